@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+// Пакетный расчёт сценариев без браузера.
+//
+//   node scripts/solve.js scenarios.json [--out results.csv] [--format csv|json] [--field]
+//   node scripts/solve.js scenarios.csv --baseline expected.csv [--tol 0.05]
+//
+// Сценарий — объект с параметрами как в приложении (SI: шаг, диаметр и толщины в метрах),
+// материалы задаются id пресета: { "name": "Кухня", "cover": "tile", "spacing": 0.1 }.
+// Пропущенные параметры берутся по умолчанию. CSV — первая строка с именами параметров,
+// разделитель «,» или «;». С --baseline результат сравнивается с эталоном и код выхода 1 при расхождении.
+import fs from "node:fs";
+import path from "node:path";
+import { solveFloor, solveFloorCoupled } from "../src/sim/solver.js";
+import { parseCsv, toCsv } from "../src/sim/csv.js";
+
+const INPUT_COLS = ["Tair", "Ts", "Tr", "spacing", "pipeOD", "screedThk", "hTop", "belowT", "airVel", "screed", "cover", "under", "insul", "nPipes", "layout", "loopPosFrac", "areaM2", "flowLpm", "pipeWall", "pipeType", "pipeFilm", "system", "dryBase", "dryBoard", "plateT", "plateW", "edge", "edgeStripT", "edgeStripK", "wallU", "wallTout", "edgeBand", "edgeSpacing", "tailLength", "tol", "maxIter"];
+const RESULT_COLS = [
+  ["metrics", ["Tavg", "Tmax", "Tmin", "dTsurf", "qUpMean", "qDownMean", "upShare", "qTotal", "over29", "over31", "dFoot5", "dFoot10"]],
+  ["metrics1D", ["Rpipe", "Rcover", "Rscreed", "Runder", "Rconv", "q1D", "Tsurf1D"]],
+  ["hydraulics", ["Qloop", "qLin", "v", "Re", "dpKPa", "headM"]],
+  ["norms", ["exceedAvg", "exceedMax", "exceedEdge"]],
+  ["edge", ["qWall", "TedgeMax", "TedgeAvg", "TmaxOcc"]],
+];
+// Диагностика решателя: выводится, но не сравнивается с эталоном
+const DIAG_COLS = ["method", "iterations", "residual", "converged"];
+
+function usage(msg){
+  if (msg) console.error(msg);
+  console.error("Использование: node scripts/solve.js <scenarios.json|csv> [--out file] [--format csv|json] [--field] [--baseline file] [--tol 0.05]");
+  console.error("По умолчанию pipeFilm=true (стенка трубы и плёнка воды): эталоны, сохранённые без этого параметра, пересохраните или задайте pipeFilm=false");
+  process.exit(2);
+}
+
+function parseArgs(argv){
+  const opts = { input: null, out: null, format: null, field: false, baseline: null, tol: 0.05 };
+  for (let i=0; i<argv.length; i++){
+    const a = argv[i];
+    if (a === "--out") opts.out = argv[++i];
+    else if (a === "--format") opts.format = argv[++i];
+    else if (a === "--field") opts.field = true;
+    else if (a === "--baseline") opts.baseline = argv[++i];
+    else if (a === "--tol") opts.tol = parseFloat(argv[++i]);
+    else if (a === "-h" || a === "--help") usage();
+    else if (a.startsWith("--")) usage(`Неизвестный ключ ${a}`);
+    else opts.input = a;
+  }
+  if (!opts.input) usage("Не указан файл сценариев");
+  if (!opts.format) opts.format = opts.out && /\.json$/i.test(opts.out) ? "json" : "csv";
+  if (!["csv", "json"].includes(opts.format)) usage(`Неизвестный формат ${opts.format}`);
+  if (!Number.isFinite(opts.tol) || opts.tol < 0) usage("--tol должен быть неотрицательным числом");
+  return opts;
+}
+
+function readTable(file){
+  const text = fs.readFileSync(file, "utf8");
+  if (/\.json$/i.test(file)){
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data.scenarios;
+    if (!Array.isArray(list)) throw new Error(`${file}: ожидается массив сценариев или { "scenarios": [...] }`);
+    return list;
+  }
+  return parseCsv(text);
+}
+
+function solveScenario(sc, n){
+  const name = String(sc.name ?? sc.id ?? `#${n+1}`);
+  const res = sc.autoReturn ? solveFloorCoupled(sc) : solveFloor(sc);
+  const row = { name };
+  for (const c of INPUT_COLS){
+    const v = res.params[c];
+    row[c] = v && typeof v === "object" ? v.id : v;
+  }
+  // Краевая зона выключена — res.edge = null, столбцы пустые
+  for (const [group, cols] of RESULT_COLS) for (const c of cols) row[c] = res[group]?.[c] ?? "";
+  row.Qloop = +row.Qloop.toFixed(1);
+  row.qLin = +row.qLin.toFixed(1);
+  row.v = +row.v.toFixed(3); row.Re = Math.round(row.Re);
+  row.dpKPa = +row.dpKPa.toFixed(2); row.headM = +row.headM.toFixed(2);
+  const hf = res.hydraulics.flags;
+  if (hf.dpWarn || hf.vLow || hf.vHigh) console.error(`Сценарий ${name}: гидравлика вне типичных пределов (Δp ${row.dpKPa} кПа, v ${row.v} м/с)`);
+  for (const c of DIAG_COLS) row[c] = res.debug[c];
+  row.residual = +row.residual.toExponential(2);
+  if (!res.debug.converged) console.error(`Сценарий ${name}: нет сходимости за ${res.debug.iterations} итераций (невязка ${row.residual} °C)`);
+  return { name, row, res };
+}
+
+function toJson(solved, withField){
+  return JSON.stringify(solved.map(({ name, row, res }) => {
+    const { residualHistory, ...debug } = res.debug;
+    const o = { name, params: Object.fromEntries(INPUT_COLS.map(c => [c, row[c]])), metrics: res.metrics, metrics1D: res.metrics1D, hydraulics: res.hydraulics, norms: res.norms, edge: res.edge, debug };
+    if (withField) o.field = { NX: res.grid.NX, NY: res.grid.NY, dx: res.grid.dx, dy: res.grid.dy, T: Array.from(res.field.T, v => +v.toFixed(3)) };
+    return o;
+  }), null, 2) + "\n";
+}
+
+// Сравнение с эталоном: числовые результаты по абсолютному допуску, флаги норм — точно
+function compareBaseline(solved, file, tol){
+  const base = readTable(file).map(r => r.metrics ? { name: r.name, ...r.metrics, ...r.metrics1D, ...r.hydraulics, ...r.norms, ...r.edge } : r);
+  const byName = new Map(base.map(r => [String(r.name), r]));
+  const problems = [];
+  for (const { name, row } of solved){
+    const ref = byName.get(name);
+    if (!ref){ problems.push(`${name}: нет в эталоне`); continue; }
+    for (const [, cols] of RESULT_COLS){
+      for (const c of cols){
+        if (ref[c] === undefined) continue;
+        const a = row[c], b = ref[c];
+        // Пустая ячейка (величина в этом расчёте не получена) против числа эталона — расхождение, а не 0
+        const missing = a === "" || a === undefined;
+        const bad = typeof b === "number" ? missing || !(Math.abs(a - b) <= tol) : String(a) !== String(b);
+        if (bad) problems.push(`${name}: ${c} = ${missing ? "нет" : a}, эталон ${b}`);
+      }
+    }
+  }
+  const names = new Set(solved.map(s => s.name));
+  for (const r of base) if (!names.has(String(r.name))) problems.push(`${r.name}: нет в текущем расчёте`);
+  return problems;
+}
+
+function main(){
+  const opts = parseArgs(process.argv.slice(2));
+  const scenarios = readTable(opts.input);
+  const solved = scenarios.map((sc, n) => {
+    try { return solveScenario(sc, n); }
+    catch (e){ console.error(`Сценарий ${sc.name ?? n+1}: ${e.message}`); process.exit(1); }
+  });
+  const text = opts.format === "json" ? toJson(solved, opts.field) : toCsv(solved.map(s => s.row));
+  if (opts.out){
+    fs.mkdirSync(path.dirname(path.resolve(opts.out)), { recursive: true });
+    fs.writeFileSync(opts.out, text);
+    console.error(`Рассчитано сценариев: ${solved.length} → ${opts.out}`);
+  } else {
+    process.stdout.write(text);
+  }
+  if (opts.baseline){
+    const problems = compareBaseline(solved, opts.baseline, opts.tol);
+    if (problems.length){
+      console.error(`Расхождения с эталоном (допуск ${opts.tol}):`);
+      for (const p of problems) console.error(`  ${p}`);
+      process.exit(1);
+    }
+    console.error(`Совпадает с эталоном ${opts.baseline} (допуск ${opts.tol})`);
+  }
+}
+
+main();
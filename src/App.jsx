@@ -4,7 +4,25 @@ import { motion } from "framer-motion";
 import { Slider } from "./components/ui/slider";
 import { Button } from "./components/ui/button";
 import { Label } from "./components/ui/label";
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts";
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine } from "recharts";
+import { PRESETS_SCREED, PRESETS_COVER, PRESETS_INSULATION, PRESETS_UNDERLAY, PRESETS_PIPE, PRESETS_DRY_BASE, PRESETS_DRY_BOARD, SYSTEMS } from "./sim/presets.js";
+import { solveFloor, solveFloorCoupled } from "./sim/solver.js";
+import { renderField, colorMap, fieldScale, PALETTES } from "./sim/render.js";
+import { simulateTransient } from "./sim/transient.js";
+import { DP_WARN_KPA, DP_LIMIT_KPA, V_MIN, V_MAX } from "./sim/hydraulics.js";
+import { designManifold, DEFAULT_LOOPS } from "./sim/manifold.js";
+import { DEFAULT_ROOM, floorCoverage, coverageAdvice } from "./sim/room.js";
+import { characteristicCurves } from "./sim/characteristic.js";
+import { SWEEP_INPUTS, SWEEP_METRICS, sweepKeysFor, sweepValues, runSweep, sensitivity, tornado } from "./sim/sweep.js";
+import { drawFieldCanvas } from "./fieldCanvas.js";
+import { heatFlux, sampleNodes } from "./sim/flux.js";
+import { probeProfile } from "./sim/probe.js";
+import { encodeState, decodeState } from "./appState.js";
+import { serializeProject, parseProject, projectFileName } from "./project.js";
+import { RESULT_EXPORTS, exportResult } from "./resultsExport.js";
+import { buildReport, underlayText } from "./report.js";
+import { IMAGE_WIDTHS, fieldImagePNG, fieldImageSVG } from "./fieldImage.js";
+import { MATERIAL_GROUPS, materialLists, loadLibrary, saveLibrary, normalizeMaterial, importLibrary, exportLibraryJSON, exportLibraryCSV } from "./materialLibrary.js";
 
 /**
  * Симулятор водяного тёплого пола (2D стационар)
@@ -46,6 +64,7 @@ const FORMULAS_HTML = String.raw`
   k_{\mathrm{ins}} \text{ (если } t_{\mathrm{ins}}>0\text{) иначе } k_{\mathrm{scr}}, & \text{иначе}
   \end{cases}
   \]</p>
+  <p>Свой пирог: слои \(i = 1\ldots n\) сверху вниз, \(k(y) = k_i\) при \(y_{i-1} < y \le y_i\), \(y_i = \sum_{m\le i} t_m\); трубы — в отмеченном слое, шаг сетки по y не больше \(t_i / N_i\) (30 ячеек на слой с трубой).</p>
 
   <h3>Дискретизация (внутренняя точка, переменное k)</h3>
   <p>\( k_y^{\uparrow}=\tfrac{2kk^{\uparrow}}{k+k^{\uparrow}},\; k_y^{\downarrow}=\tfrac{2kk^{\downarrow}}{k+k^{\downarrow}},\; k_x^{\leftarrow}=k_x^{\rightarrow}=k \)</p>
@@ -53,6 +72,8 @@ const FORMULAS_HTML = String.raw`
   <p>\[ b=\frac{k_x^{\leftarrow}T_L+k_x^{\rightarrow}T_R}{\Delta x^2}+\frac{k_y^{\uparrow}T_U+k_y^{\downarrow}T_D}{\Delta y^2} \]</p>
   <p>\[ T_{\mathrm{new}}=\frac{b}{A_x+A_y} \]</p>
   <p>SOR: \( T \leftarrow T_{\mathrm{old}} + \omega\,(T_{\mathrm{new}}-T_{\mathrm{old}}),\; \omega=1.85 \)</p>
+  <p>Линейный SOR: столбец \(i\) решается прогонкой целиком (трёхдиагональная система по \(j\)), затем релаксация с \(\omega=1.9\).</p>
+  <p>Невязка итерации: \( r = \max \lvert T_{\mathrm{new}}-T_{\mathrm{old}} \rvert \); остановка при \( r < \mathrm{tol} \) или по достижении \( \mathrm{maxIter} \).</p>
 
   <h3>Граничные условия</h3>
   <p>Верх (Робин, без трубы): \( T_0=\dfrac{(k/\Delta y)\,T_1 + h_{\mathrm{eff}}\,T_{\mathrm{air}}}{(k/\Delta y)+h_{\mathrm{eff}}} \)</p>
@@ -61,6 +82,18 @@ const FORMULAS_HTML = String.raw`
   <p>\( T = \phi\,T_{\mathrm{pipe}} + (1-\phi)\,T_{\mathrm{rob}} \)</p>
   <p>Верх (ячейка трубы, без “мата”): \(T=T_{\mathrm{pipe}}\). Низ: \(T = T_{\mathrm{below}}\). Бока: \(T_{0,j}=T_{1,j},\; T_{N_X-1,j}=T_{N_X-2,j}\).</p>
 
+  <h3>Стенка трубы и плёнка воды</h3>
+  <p>\( R' = \dfrac{\ln(D/d_i)}{2\pi k_{\mathrm{ст}}} + \dfrac{1}{h\,\pi d_i} \) (м·К/Вт), \( h = \mathrm{Nu}\,k_w/d_i \), \( \mathrm{Pr} = \mu c_p/k_w \)</p>
+  <p>\( \mathrm{Nu} = 3.66 \) при \(\mathrm{Re}\le 2300\); Гнелинский при \(\mathrm{Re}\ge 4000\): \( \mathrm{Nu} = \dfrac{(f/8)(\mathrm{Re}-1000)\,\mathrm{Pr}}{1+12.7\sqrt{f/8}\,(\mathrm{Pr}^{2/3}-1)},\; f = (0.79\ln\mathrm{Re}-1.64)^{-2} \); между ними — интерполяция.</p>
+  <p>Узлы трубы держат температуру воды; связь соседнего узла слоя с трубой через грань длины \(a\): \( G = \dfrac{a}{d/(2k) + R'A} \), \(A\) — суммарная длина таких граней у трубы (ступенчатый периметр), так что \( \sum a/(R'A) = 1/R' \). В 1D-оценке \( R_{\mathrm{pipe}} = R'\,S \) добавляется к \(R_{\Sigma}\).</p>
+
+  <h3>Сухая система</h3>
+  <p>Труба лежит в пазу основания (панель EPS или зазор между рейками — воздух), верх трубы — под плитой. Пластина толщиной \(t\) тоньше шага сетки: её узлы получают \( k = k_{\mathrm{Al}}\,t/\Delta \), что сохраняет проводимость вдоль пластины \(k_{\mathrm{Al}} t\); полка — строка под плитой шириной \(w\le S\), канал — узлы вокруг трубы. В 1D-оценке слоя над трубой нет: \(R_{\mathrm{screed}} = 0\), плита входит в \(R_{\mathrm{cover}}\).</p>
+
+  <h3>Краевая зона</h3>
+  <p>Слева — наружная стена: узел границы \( T_0 = \dfrac{(k/\Delta x)\,T_1 + U_w T_{\mathrm{out}}}{k/\Delta x + U_w} \), \( U_w = \left(1/U - R_{si}
+ight)^{-1},\ R_{si} = 0.13 \) м²K/Вт (у пола, примыкающего к стене, теплообмена с воздухом нет). У стены — демпферная лента от поверхности до утеплителя, затем полоса шириной \(b\) с шагом \(S_e\), дальше трубы с основным шагом; справа — ось симметрии. Поток в стену \( q_{\mathrm{wall}} = \int U_w (T_0 - T_{\mathrm{out}})\,dy \), Вт на метр стены. Ветви — первые проходы петли от стены. Пределы DIN EN 1264: краевая зона — 35 °C, зона пребывания — 29 °C.</p>
+
   <h3>Температура трубы вдоль петли (1D экспоненциальная)</h3>
   <p>\[
   L_{\mathrm{eff}}=
@@ -71,7 +104,12 @@ const FORMULAS_HTML = String.raw`
   \]</p>
   <p>\[ \alpha=\frac{\ln\left(\dfrac{T_s-T_{\mathrm{air}}}{T_r-T_{\mathrm{air}}}\right)}{L_{\mathrm{eff}}} \]</p>
   <p>\[ T_s(x)=T_{\mathrm{air}}+(T_s-T_{\mathrm{air}})\,e^{-\alpha x},\quad T_r(x)=T_{\mathrm{air}}+(T_s-T_{\mathrm{air}})\,e^{-\alpha (L_{\mathrm{eff}}-x)} \]</p>
-  <p>Змейка: \([T_s(x-\delta),\;T_s(x),\;T_s(x+\delta)]\). Спираль: \([T_s(x-\delta),\;T_r(x),\;T_s(x+\delta)]\). \(x=\text{loopPosFrac}\cdot L_{\mathrm{eff}}\), \(\delta\in\{2.0,3.0\}\,\mathrm{м}\).</p>
+  <p>Ветвь \(k\) среза берёт температуру \(T_s(s_k)\) в своей точке петли \(s_k\). Помещение — квадрат со стороной \(a=\sqrt{L_{\mathrm{eff}} S}\), поперёк — \(N=\max\left(n,\,\mathrm{round}(a/S)\right)\) проходов; окно из \(n\) соседних труб центрировано на \(z_c=\text{loopPosFrac}\cdot N\) (в шагах от стены с коллектором).</p>
+  <p>Змейка: \( s_k = \dfrac{k+\tfrac12}{N}\,L_{\mathrm{eff}} \). Спираль (встречная): от стены чередуются подающие и обратные витки; подающий виток \(m\): \( s = \sum_{q<m} 4a_q + \beta a_m \), обратный: \( s = L_{\mathrm{eff}} - \left(\sum_{q<m} 4a_q + \beta a_m\right) \), \(a_m\) — сторона витка, \(\beta=\tfrac12\) слева от центра и \(\tfrac52\) справа; суммы нормируются на \(L_{\mathrm{eff}}/2\). При \(n=1\) — одна симметричная ячейка с \(T_{\mathrm{wm}}\).</p>
+
+  <h3>Прогрев и остывание (нестационарный режим)</h3>
+  <p>\[ \rho c\,\frac{T^{n+1}-T^{n}}{\Delta t} = \nabla\cdot\left(k\nabla T^{n+1}\right) \]</p>
+  <p>Неявная схема Эйлера, \(\rho c\) — из пресетов слоёв; на каждом шаге линейный SOR по столбцам. Вода в остановленной трубе: \(\rho c = 998\cdot 4180\), \(k = 0.6\). Узел поверхности — без теплоёмкости (Робин).</p>
 
   <h3>Потоки тепла</h3>
   <p>Вверх: \( q_{\uparrow}(i)=h_{\mathrm{eff}}\,(T_{\mathrm{surf}}[i]-T_{\mathrm{air}}) \), \( \overline{q}_{\uparrow}=\tfrac{1}{N_X}\sum_i q_{\uparrow}(i) \)</p>
@@ -85,11 +123,30 @@ const FORMULAS_HTML = String.raw`
     \mathrm{area}_{\mathrm{m^2}}, & \text{фикс. площадь}\\
     S\cdot L_{\mathrm{eff}}, & \text{иначе}
   \end{cases} \]</p>
-  <p>\( Q_{\mathrm{loop}}=\overline{q}_{\uparrow}\cdot \mathrm{area}_{\mathrm{plan}} \), \( T_{r,\mathrm{auto}}=T_s-\dfrac{Q_{\mathrm{loop}}}{\dot m\,c_p} \)</p>
+  <p>Без авто-обратки: \( Q_{\mathrm{loop}}=\overline{q}_{\uparrow}\cdot \mathrm{area}_{\mathrm{plan}} \) по одному срезу.</p>
+  <p>Связанная модель петли: \( \dot m\,c_p\,\dfrac{dT_w}{ds} = -q'(T_w),\quad q' = \left(\overline{q}_{\uparrow}+\overline{q}_{\downarrow}\right) S \), где \(q'(T_w)\) — из 2D-сечения одной трубы с температурой \(T_w\) в каждой из 24 станций по \(L_{\mathrm{eff}}\) (метод трапеций), \(T_w(0)=T_s\), \(T_r=T_w(L_{\mathrm{eff}})\).</p>
+  <p>\( Q_{\mathrm{loop}}=\displaystyle\int_0^{L_{\mathrm{eff}}} \overline{q}_{\uparrow}\,S\,ds \); ветви основного среза берут \(T_w(s_k)\) вместо экспоненты.</p>
+
+  <h3>Потери давления в петле</h3>
+  <p>\( d_i = D - 2\delta,\quad v = \dfrac{4\,\dot V}{\pi d_i^2},\quad \mathrm{Re} = \dfrac{\rho v d_i}{\mu(T_{\mathrm{wm}})},\quad \mu = 2.414\cdot10^{-5}\cdot 10^{\,247.8/(T+133.15)} \)</p>
+  <p>\( \lambda = 64/\mathrm{Re} \) при \(\mathrm{Re}\le 2300\); \( \lambda = 0.25\,\big/\,\lg^2\!\left(\dfrac{\varepsilon}{3.7 d_i} + \dfrac{5.74}{\mathrm{Re}^{0.9}}\right) \) при \(\mathrm{Re}\ge 4000\) (\(\varepsilon = 0.007\) мм), между ними — интерполяция.</p>
+  <p>\( \Delta p = \lambda\,\dfrac{L_{\mathrm{eff}} + L_{\mathrm{подв}}}{d_i}\,\dfrac{\rho v^2}{2},\quad H = \dfrac{\Delta p}{\rho g} \). Только трение по длине, без местных сопротивлений. Типичные пределы: \(\Delta p \le 20\text{–}25\) кПа, \(0.15 \le v \le 0.8\) м/с.</p>
+
+  <h3>Теплопотери помещения и покрытие</h3>
+  <p>\( Q = \sum U_i A_i\,(T_{\mathrm{air}} - T_{\mathrm{out}}) + 0.34\,n\,V\,(T_{\mathrm{air}} - T_{\mathrm{out}}) \), \(V = A_{\mathrm{пол}}\,h\) — или заданная нагрузка. Покрытие: \( \overline{q}_{\uparrow} A_{\mathrm{пол}} / Q \).</p>
+  <p>Требуемая подача при том же перепаде: \( T_s' = T_s + \dfrac{q_{\mathrm{need}} - \overline{q}_{\uparrow}}{\partial q_{\uparrow}/\partial T_w} \), наклон — из характеристики ячейки одной трубы; шаг — наибольший из 100…300 мм, дающий \(q_{\mathrm{need}}\) при текущих температурах воды.</p>
+
+  <h3>Характеристика EN 1264</h3>
+  <p>Для каждого шага и \(\Delta\theta_H \in \{5,\dots,40\}\) K — расчёт ячейки одной трубы с \(T_w = \theta_i + \Delta\theta_H\); аппроксимация \( q = K_H\,\Delta\theta_H^{\,n} \) МНК по \(\ln q,\ \ln\Delta\theta_H\).</p>
+  <p>Граничная точка кривой — \(\Delta\theta_{H,G}\), при которой \(T_{\mathrm{пов,max}} = \theta_{F,\max} \in \{29, 33, 35\}\) °C (линейная интерполяция); для сравнения \( q_G = 8.92\,(\theta_{F,\max} - \theta_i)^{1.1} \).</p>
+
+  <h3>Коллектор и балансировка</h3>
+  <p>Задача линейна по \(T_w\): \( q'(T_w) = a\,(T_w - T_0) \), \(a\) и \(T_0\) — по двум расчётам ячейки одной трубы. Тогда \( T_w(s) = T_0 + (T_s - T_0)\,e^{-a s/(\dot m c_p)} \) и при заданном \(\Delta T\): \( \dot m c_p = \dfrac{a L}{\ln\frac{T_s - T_0}{T_s - \Delta T - T_0}},\; Q = \dot m c_p\,\Delta T \).</p>
+  <p>Подбор подачи — наименьшая \(T_s\), при которой каждая петля с требованием отдаёт вверх не меньше \(q_{\mathrm{need}}\cdot A\). Клапаны: \( \Delta p_{\mathrm{кл},i} = \max_j \Delta p_j - \Delta p_i,\; K_v = G\,/\sqrt{\Delta p_{\mathrm{кл}}} \) (\(G\) — м³/ч, \(\Delta p\) — бар).</p>
 
   <h3>1D-оценка сопротивлений и потока</h3>
   <p>\( R_{\mathrm{cov}}=\begin{cases}\dfrac{t_{\mathrm{cov}}}{k_{\mathrm{cov}}}, & t_{\mathrm{cov}}>0\\ 0, & \text{иначе}\end{cases},\; R_{\mathrm{scr}}=\dfrac{t_{\mathrm{scr}}}{k_{\mathrm{scr}}},\; R_{\mathrm{und}}=\begin{cases}\dfrac{t_{\mathrm{und}}}{k_{\mathrm{under}}}, & t_{\mathrm{und}}>0\\ 0, & \text{иначе}\end{cases} \)</p>
-  <p>\( R_{\mathrm{conv}}=\dfrac{1}{h_{\mathrm{eff}}},\; R_{\Sigma}=R_{\mathrm{cov}}+R_{\mathrm{scr}}+R_{\mathrm{und}}+R_{\mathrm{conv}} \)</p>
+  <p>\( R_{\mathrm{conv}}=\dfrac{1}{h_{\mathrm{eff}}},\; R_{\Sigma}=R_{\mathrm{pipe}}+R_{\mathrm{cov}}+R_{\mathrm{scr}}+R_{\mathrm{und}}+R_{\mathrm{conv}} \)</p>
   <p>\( T_{\mathrm{pipe,eff}}=\tfrac{1}{2}\left(T_{\mathrm{pipe}}^{(1)}+T_{\mathrm{pipe}}^{(N)}\right) \), \( q_{1D}=\dfrac{T_{\mathrm{pipe,eff}}-T_{\mathrm{air}}}{R_{\Sigma}} \), \( T_{\mathrm{surf,1D}}=T_{\mathrm{air}}+q_{1D}\,R_{\mathrm{conv}} \)</p>
 
   <h3>Метрики комфорта</h3>
@@ -105,48 +162,16 @@ const FORMULAS_HTML = String.raw`
     \max(T_{\mathrm{wm}},\,T_{\mathrm{air}}+15), & \text{иначе}
   \end{cases} \]</p>
   <p>\( u=\mathrm{clamp}_{[0,1]}\!\left(\dfrac{T-T_{\min}}{T_{\max}-T_{\min}}\right),\; u' = 0.5 + (u-0.5)\,c,\; c\in[1,3] \)</p>
-  <p>(в зоне утеплителя для отрисовки: \(T' = T_{\mathrm{air}} - (T_{\mathrm{air}}-T)\cdot 0.6\))</p>
+  <p>Свои пределы заменяют \(T_{\min}, T_{\max}\) значениями пользователя. Для палитры «От Tair» шкала расширяется симметрично: \(h=\max(T_{\max}-T_{\mathrm{air}},\,T_{\mathrm{air}}-T_{\min})\), \([T_{\mathrm{air}}-h,\,T_{\mathrm{air}}+h]\) — белый цвет соответствует температуре воздуха.</p>
+  <p>(в зоне утеплителя для отрисовки, если включено «Приглушать утеплитель»: \(T' = T_{\mathrm{air}} - (T_{\mathrm{air}}-T)\cdot 0.6\))</p>
 
   <h3>Линейная интерполяция изолиний (marching squares)</h3>
   <p>\( \text{если }(T_{\mathrm{iso}}-t_a)(T_{\mathrm{iso}}-t_b)\le 0,\; f=\dfrac{T_{\mathrm{iso}}-t_a}{t_b-t_a},\; \mathbf{p}=\mathbf{p}_a + f\,(\mathbf{p}_b-\mathbf{p}_a) \)</p>
-`;
-
-const PRESETS_SCREED = [
-  { id: "wet", name: "Мокрая цементная", k: 0.80 },
-  { id: "semi", name: "Полусухая", k: 0.46 },
-  { id: "anhydrite", name: "Ангидритовая", k: 1.60 },
-  { id: "high", name: "Бетон", k: 1.50 },
-];
-
-const PRESETS_COVER = [
-  // Эффективные параметры с учётом типичных подслоёв
-  { id: "tile", name: "Плитка 10 мм + клей 4 мм", t: 0.014, k: 1.10 },
-  { id: "laminate8", name: "Ламинат 8 мм + подложка 2 мм", t: 0.010, k: 0.11 },
-  { id: "carpet10", name: "Ковролин 10 мм", t: 0.010, k: 0.07 },
-  { id: "wood20", name: "Дерево 20 мм", t: 0.020, k: 0.15 },
-  { id: "vinyl5", name: "Винил 5 мм", t: 0.005, k: 0.25 },
-  { id: "none", name: "Без покрытия (голая стяжка)", t: 0.0, k: 99.0 },
-];
 
-const PRESETS_INSULATION = [
-  { id: "eps30", name: "EPS 30 мм", t: 0.03, k: 0.035 },
-  { id: "eps50", name: "EPS 50 мм", t: 0.05, k: 0.035 },
-  { id: "eps100", name: "EPS 100 мм", t: 0.10, k: 0.035 },
-  { id: "eps150", name: "EPS 150 мм", t: 0.15, k: 0.035 },
-  { id: "eps200", name: "EPS 200 мм", t: 0.20, k: 0.035 },
-  { id: "xps50", name: "XPS 50 мм", t: 0.05, k: 0.030 },
-  { id: "none", name: "Без утеплителя", t: 0.0, k: 1.0 },
-];
-
-// Подложка между стяжкой и утеплителем (эффективная прослойка)
-const PRESETS_UNDERLAY = [
-  { id: "none", name: "Нет подложки", type: "none", t: 0 },
-  { id: "foil", name: "Фольга в контакте", type: "foil", t: 0 },
-  { id: "bubble5", name: "Фольга с пузырьками 5 мм", type: "bubble", t: 0.005, eps: 0.05 },
-  // Учебные варианты матов для крепления трубы (уменьшение контакта со стяжкой)
-  { id: "mat50", name: "Мат под трубу (контакт 50%)", type: "mat", phi: 0.50 },
-  { id: "mat33", name: "Мат под трубу (контакт 33%)", type: "mat", phi: 0.33 },
-];
+  <h3>Тепловой поток</h3>
+  <p>\( q_x = -k_j\,\dfrac{T_{i+1,j}-T_{i-1,j}}{2\Delta x},\quad q_y = \tfrac12\big(q_{j-1/2}+q_{j+1/2}\big),\; q_{j+1/2} = -\dfrac{2k_jk_{j+1}}{k_j+k_{j+1}}\,\dfrac{T_{i,j+1}-T_{i,j}}{\Delta y} \)</p>
+  <p>Ось \(y\) направлена вниз; шкала \(|q|\) — от 0 до 98-го перцентиля. Линии тока стартуют у каждой трубы так, что число линий пропорционально выходящему потоку: доля линий, ушедших вниз, близка к доле тепла, уходящего вниз.</p>
+`;
 
 function useDebounce(value, delay) {
   const [v, setV] = useState(value);
@@ -154,6 +179,138 @@ function useDebounce(value, delay) {
   return v;
 }
 
+// Кадр растеризации (RGBA-буфер renderField) → ImageData для канваса
+function withImage(res, preview = false){
+  const { px, ...rest } = res;
+  return { ...rest, img: new ImageData(px.data, px.width, px.height), colorScale: px.colorScale, widthPx: px.width, heightPx: px.height, preview };
+}
+
+// Настройки цветовой шкалы сохраняются в сценариях вместе с входными данными, но решателю не передаются
+const VIEW_KEYS = ['fixScale', 'contrast', 'palette', 'userScale', 'scaleMin', 'scaleMax', 'insulFade'];
+function splitView(input){
+  const view = {}, params = {};
+  for (const [k, v] of Object.entries(input)) (VIEW_KEYS.includes(k) ? view : params)[k] = v;
+  return { view, params };
+}
+
+// Расчёт поля в Web Worker: сначала грубый предпросмотр, затем прогресс итераций и полный результат.
+// Смена вида (палитра, шкала, T или |q|) только перерисовывает последнее поле в воркере, без пересчёта.
+// Цикл SOR в воркере синхронный, поэтому устаревший запуск прерывается пересозданием воркера.
+function useFloorSolver(params, view){
+  const workerRef = useRef(null);
+  const busyRef = useRef(false);
+  const runId = useRef(0);
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  const fieldRef = useRef(null); // поле уже показано; без Worker — сам результат для перерисовки
+  const [results, setResults] = useState(null);
+  const [progress, setProgress] = useState(null); // { it, iters, residual, frac } во время расчёта
+  const [error, setError] = useState(null); // текст ошибки последнего запуска
+
+  useEffect(()=> ()=> { workerRef.current?.terminate(); workerRef.current = null; }, []);
+
+  useEffect(()=>{
+    const id = ++runId.current;
+    setError(null);
+    if (workerRef.current && busyRef.current){ workerRef.current.terminate(); workerRef.current = null; }
+    // Показанное поле (в том числе предпросмотр) относится к другим входным данным — при ошибке убираем его
+    const fail = (message)=> { busyRef.current = false; setProgress(null); setResults(null); setError(message); };
+    if (!workerRef.current){
+      let w = null;
+      try { w = new Worker(new URL('./sim/solver.worker.js', import.meta.url), { type: 'module' }); }
+      catch { /* Worker недоступен — расчёт в главном потоке ниже */ }
+      if (w){
+        w.onmessage = (e)=> {
+          const msg = e.data;
+          if (msg.id !== runId.current) return;
+          if (msg.type === 'progress') setProgress({ it: msg.it, iters: msg.iters, residual: msg.residual, frac: msg.frac });
+          else if (msg.type === 'preview'){ fieldRef.current = true; setResults(withImage(msg.result, true)); }
+          else if (msg.type === 'done'){ busyRef.current = false; fieldRef.current = true; setProgress(null); setResults(withImage(msg.result)); }
+          else if (msg.type === 'render') setResults(r => r && withImage({ ...r, px: msg.px }, r.preview));
+          else if (msg.type === 'error') fail(msg.message);
+        };
+        // Воркер не загрузился или упал вне обработчика сообщений
+        w.onerror = (e)=> { e.preventDefault(); fail(e.message || 'воркер расчёта остановлен'); w.terminate(); workerRef.current = null; };
+        workerRef.current = w;
+      }
+    }
+    // Запасной вариант без Worker — расчёт в главном потоке
+    if (!workerRef.current){
+      try {
+        const res = params.autoReturn ? solveFloorCoupled(params) : solveFloor(params);
+        fieldRef.current = res;
+        setResults(withImage({ ...res, px: renderField(res, { ...viewRef.current, widthPx: 560 }) }));
+      } catch (err){ fail(String(err?.message || err)); }
+      return;
+    }
+    busyRef.current = true;
+    setProgress({ it: 0, iters: 1, residual: Infinity, frac: 0 });
+    workerRef.current.postMessage({ id, params, view: viewRef.current });
+  }, [params]);
+
+  // Перерисовка с новым видом: воркер обработает её после текущего расчёта, если он идёт
+  useEffect(()=>{
+    if (!fieldRef.current) return;
+    if (workerRef.current){ workerRef.current.postMessage({ id: runId.current, task: 'render', view }); return; }
+    const res = fieldRef.current;
+    try { setResults(withImage({ ...res, px: renderField(res, { ...view, widthPx: 560 }) })); }
+    catch (err){ setError(String(err?.message || err)); }
+  }, [view]);
+
+  return { results, progress, error };
+}
+
+// Расчёты по кнопке (нестационарный, коллектор) — в отдельном воркере, чтобы не прерывать стационарный.
+// runLocal — запасной вариант в главном потоке
+function useTaskSolver(task, runLocal){
+  const workerRef = useRef(null);
+  const runId = useRef(0);
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(()=> ()=> { workerRef.current?.terminate(); workerRef.current = null; }, []);
+
+  function run(input, options){
+    const { params } = splitView(input);
+    const id = ++runId.current;
+    workerRef.current?.terminate(); workerRef.current = null;
+    setError(null);
+    setProgress({ it: 0, iters: 100, frac: 0 });
+    let w = null;
+    try { w = new Worker(new URL('./sim/solver.worker.js', import.meta.url), { type: 'module' }); }
+    catch { /* Worker недоступен — расчёт в главном потоке ниже */ }
+    if (!w){
+      try { setResult({ ...runLocal(params, options), input, options }); }
+      catch (err){ setError(String(err?.message || err)); }
+      setProgress(null);
+      return;
+    }
+    const fail = (message)=> { setProgress(null); setError(message); w.terminate(); workerRef.current = null; };
+    w.onmessage = (e)=> {
+      const msg = e.data;
+      if (msg.id !== runId.current) return;
+      if (msg.type === 'progress') setProgress({ it: msg.it, iters: msg.iters, frac: msg.frac });
+      else if (msg.type === 'done'){ setProgress(null); setResult({ ...msg.result, input, options }); w.terminate(); workerRef.current = null; }
+      else if (msg.type === 'error') fail(msg.message);
+    };
+    w.onerror = (e)=> { e.preventDefault(); if (id === runId.current) fail(e.message || 'воркер расчёта остановлен'); };
+    workerRef.current = w;
+    w.postMessage({ id, task, params, options });
+  }
+
+  return { result, progress, error, run };
+}
+
+// Сохранение текста в файл через временную ссылку
+function downloadText(text, fileName, type){
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
 function fmt(val, d=3){
   const n = Number(val);
   if (!isFinite(n)) return String(val);
@@ -167,46 +324,82 @@ function fmt(val, d=3){
 }
 
 export default function App() {
-  const [Tair, setTair] = useState(22);
-  const [Ts, setTs] = useState(45);
-  const [Tr, setTr] = useState(40);
-
-  const [spacing, setSpacing] = useState(0.15);
-  const [pipeOD, setPipeOD] = useState(0.016);
+  // Начальное состояние — из ссылки (хэш URL), иначе по умолчанию
+  // Библиотека материалов пользователя (localStorage) — до разбора ссылки: в ней могут быть её материалы
+  const [library, setLibrary] = useState(()=> loadLibrary());
+  const lists = useMemo(()=> materialLists(library), [library]);
+  const [urlInit] = useState(()=> decodeState(typeof window !== 'undefined' ? window.location.hash : '', { lists }));
+  const init = urlInit.state;
+  const [Tair, setTair] = useState(init.Tair);
+  const [Ts, setTs] = useState(init.Ts);
+  const [Tr, setTr] = useState(init.Tr);
+
+  const [spacing, setSpacing] = useState(init.spacing);
+  const [pipeOD, setPipeOD] = useState(init.pipeOD);
   // Расстояние трубы от утеплителя — убрано из UI; используем автоматическое размещение
-  const [screedThk, setScreedThk] = useState(0.050);
-
-  const [hTop, setHTop] = useState(10);
-  const [belowT, setBelowT] = useState(18);
-  const [airVel, setAirVel] = useState(0); // скорость воздуха у поверхности, м/с
-  const [autoReturn, setAutoReturn] = useState(false); // авто-расчёт обратки при фикс. расходе
-  const [flowLpm, setFlowLpm] = useState(1.5); // л/мин на контур
-  const [nPipes] = useState(3);
-  const [layout, setLayout] = useState('spiral'); // 'meander' | 'spiral'
+  const [screedThk, setScreedThk] = useState(init.screedThk);
+
+  const [hTop, setHTop] = useState(init.hTop);
+  const [belowT, setBelowT] = useState(init.belowT);
+  const [airVel, setAirVel] = useState(init.airVel); // скорость воздуха у поверхности, м/с
+  const [autoReturn, setAutoReturn] = useState(init.autoReturn); // авто-расчёт обратки при фикс. расходе
+  const [flowLpm, setFlowLpm] = useState(init.flowLpm); // л/мин на контур
+  const [pipeWall, setPipeWall] = useState(init.pipeWall); // толщина стенки трубы, м
+  const [pipeType, setPipeType] = useState(init.pipeType); // труба из каталога (теплопроводность стенки)
+  const [pipeFilm, setPipeFilm] = useState(init.pipeFilm); // граница трубы через стенку и плёнку воды
+  const [tailLength, setTailLength] = useState(init.tailLength); // подводки от коллектора (туда и обратно), м
+  const [nPipes, setNPipes] = useState(init.nPipes); // число труб в срезе
+  const [layout, setLayout] = useState(init.layout); // 'meander' | 'spiral'
   const [loopLength] = useState(80); // м (не используется при фиксированной площади)
-  const [loopPosFrac, setLoopPosFrac] = useState(0.5); // позиция среза
+  const [loopPosFrac, setLoopPosFrac] = useState(init.loopPosFrac); // позиция среза
   const [useFixedArea] = useState(true);
-  const [areaM2] = useState(9); // м² по умолчанию
+  const [areaM2, setAreaM2] = useState(init.areaM2); // площадь петли, м²
+  const [room, setRoom] = useState(init.room); // помещение: теплопотери и отапливаемая площадь
   const [pipeUseTsTr, setPipeUseTsTr] = useState(true);
-  const [fixScale, setFixScale] = useState(false); // фиксировать цветовую шкалу
-
-  const [screed, setScreed] = useState(PRESETS_SCREED[1]);
-  const [cover, setCover] = useState(PRESETS_COVER[0]);
-  const [insul, setInsul] = useState(PRESETS_INSULATION[2]);
-  const [under, setUnder] = useState(PRESETS_UNDERLAY[0]);
+  const [fixScale, setFixScale] = useState(init.fixScale); // фиксировать цветовую шкалу
+  const [method, setMethod] = useState(init.method); // 'point' — SOR, 'line' — линейный SOR
+  const [tol, setTol] = useState(init.tol); // допуск по невязке, °C
+  const [maxIter, setMaxIter] = useState(init.maxIter); // предел числа итераций
+
+  const [screed, setScreed] = useState(init.screed);
+  const [cover, setCover] = useState(init.cover);
+  const [insul, setInsul] = useState(init.insul);
+  const [under, setUnder] = useState(init.under);
+  const [layers, setLayers] = useState(init.layers); // свой пирог: слои сверху вниз; null — стандартный
+  const [system, setSystem] = useState(init.system); // 'wet' — труба в стяжке, 'dry' — сухая система с пластинами
+  const [dryBase, setDryBase] = useState(init.dryBase); // основание с трубой: панель с пазами или рейки
+  const [dryBoard, setDryBoard] = useState(init.dryBoard); // плита под покрытием
+  const [plateT, setPlateT] = useState(init.plateT); // толщина алюминиевой пластины, м
+  const [plateW, setPlateW] = useState(init.plateW); // ширина пластины, м
+  const [edge, setEdge] = useState(init.edge); // краевая зона: слева наружная стена
+  const [edgeStripT, setEdgeStripT] = useState(init.edgeStripT); // демпферная лента: толщина, м
+  const [edgeStripK, setEdgeStripK] = useState(init.edgeStripK); // и теплопроводность, W/m·K
+  const [wallU, setWallU] = useState(init.wallU); // U наружной стены, W/m²K
+  const [wallTout, setWallTout] = useState(init.wallTout); // наружная температура, °C
+  const [edgeBand, setEdgeBand] = useState(init.edgeBand); // ширина полосы у стены, м
+  const [edgeSpacing, setEdgeSpacing] = useState(init.edgeSpacing); // шаг укладки в полосе, м
 
   const airVelSmooth = useDebounce(airVel, 400);
-  const [contrast, setContrast] = useState(1.6);
-  const debounced = useDebounce({ Tair, Ts, Tr, spacing, pipeOD, screedThk, hTop, belowT, airVel: airVelSmooth, screed, cover, under, insul, nPipes, layout, loopLength, loopPosFrac, useFixedArea, areaM2, fixScale, autoReturn, flowLpm, contrast }, 150);
-
-  const NX = 144;
-  const NY = 72;
+  const [contrast, setContrast] = useState(init.contrast);
+  const [palette, setPalette] = useState(init.palette); // цветовая шкала поля
+  const [userScale, setUserScale] = useState(init.userScale); // пределы шкалы задаёт пользователь
+  const [scaleMin, setScaleMin] = useState(init.scaleMin);
+  const [scaleMax, setScaleMax] = useState(init.scaleMax);
+  const [insulFade, setInsulFade] = useState(init.insulFade); // приглушать цвета в зоне утеплителя
+  const fieldView = useMemo(()=> ({ fixScale, contrast, palette, userScale, scaleMin, scaleMax, insulFade }), [fixScale, contrast, palette, userScale, scaleMin, scaleMax, insulFade]);
+  // Объект входных данных пересоздаётся только при изменении значений — иначе дебаунс перезапускал бы расчёт на каждом рендере
+  const solverInput = useMemo(()=> ({ Tair, Ts, Tr, spacing, pipeOD, screedThk, hTop, belowT, airVel: airVelSmooth, screed, cover, under, insul, layers, nPipes, layout, loopLength, loopPosFrac, useFixedArea, areaM2, autoReturn, flowLpm, pipeWall, pipeType, pipeFilm, system, dryBase, dryBoard, plateT, plateW, edge, edgeStripT, edgeStripK, wallU, wallTout, edgeBand, edgeSpacing, tailLength, method, tol, maxIter }),
+    [Tair, Ts, Tr, spacing, pipeOD, screedThk, hTop, belowT, airVelSmooth, screed, cover, under, insul, layers, nPipes, layout, loopLength, loopPosFrac, useFixedArea, areaM2, autoReturn, flowLpm, pipeWall, pipeType, pipeFilm, system, dryBase, dryBoard, plateT, plateW, edge, edgeStripT, edgeStripK, wallU, wallTout, edgeBand, edgeSpacing, tailLength, method, tol, maxIter]);
+  const debounced = useDebounce(solverInput, 150);
 
   const canvasRef = useRef(null);
   const [hover, setHover] = useState(null); // {x,y,T}
   const [isMobile, setIsMobile] = useState(false);
-  const [showIso, setShowIso] = useState(true);
-  const [isoStep, setIsoStep] = useState(0.5);
+  const [showIso, setShowIso] = useState(init.showIso);
+  const [isoStep, setIsoStep] = useState(init.isoStep);
+  const [quantity, setQuantity] = useState(init.quantity); // 'T' — температура, 'q' — модуль теплового потока
+  const [flux, setFlux] = useState(init.flux); // поток поверх поля: 'none', 'arrows', 'lines'
+  const [probes, setProbes] = useState([]); // вертикальные зонды: положение в долях ширины сечения
   const [showFormulas, setShowFormulas] = useState(false);
   const [floatCalc, setFloatCalc] = useState(false);
   const [floatProfile, setFloatProfile] = useState(false);
@@ -236,537 +429,169 @@ export default function App() {
     }
   }, [showFormulas]);
 
-  // Унифицированный способ создавать канвас (OffscreenCanvas с запасным вариантом)
-  function createCanvas(width, height){
-    try {
-      if (typeof OffscreenCanvas !== 'undefined'){
-        return new OffscreenCanvas(width, height);
-      }
-    } catch {}
-    const c = document.createElement('canvas');
-    c.width = width; c.height = height;
-    return c;
-  }
-
-  const results = useMemo(()=>{
-    const { Tair, Ts, Tr, spacing, pipeOD, screedThk, hTop, belowT, airVel, screed, cover, under, insul, nPipes, layout, loopLength, loopPosFrac, useFixedArea, areaM2, fixScale, autoReturn, flowLpm, contrast } = debounced;
-    const S = Math.max(0.08, Math.min(0.40, spacing));
-    const D = Math.max(0.012, Math.min(0.020, pipeOD));
-    const twm = 0.5 * (Ts + Tr);
-
-    // Толщина стяжки задаётся без учёта покрытия; покрытие добавляется отдельно
-    const tCover = cover.t;
-    const tScreed = Math.max(screedThk, 0.02);
-    // Подложка: эквивалентная теплопроводность для пузырьковой фольги (ISO 6946)
-    let tUnder = 0, kUnder = 1;
-    // Для UI пояснений
-    let underInfo = { type: under?.type ?? 'none', tGap: 0, eps: under?.eps ?? null, Rair_base: 0, rad_factor: 1, Rgap: 0, kUnder: 1 };
-    if (under.type === 'bubble' && under.t > 0){
-      tUnder = under.t;
-      const tGap = under.t;
-      // Базовое R для невентилируемого горизонтального зазора при тепле вниз (ISO 6946 Annex B)
-      const Rair_base = 0.11 * (tGap/0.01); // ~0.11 м²K/Вт на 10 мм
-      // Усиление за счёт низкой эмиссии фольги (ε≈0.05): 1.5–1.7 (берём 1.6 как учебное среднее)
-      const rad_factor = 1.6;
-      const Rgap = Rair_base * rad_factor;
-      kUnder = Math.max(0.002, tGap / Rgap);
-      underInfo = { type: 'bubble', tGap, eps: under.eps ?? 0.05, Rair_base, rad_factor, Rgap, kUnder };
-    } else if (under.type === 'foil'){
-      tUnder = 0; // чистая фольга в контакте — нет воздушного зазора → R≈0
-      kUnder = 1;
-      underInfo = { type: 'foil', tGap: 0, eps: 0.05, Rair_base: 0, rad_factor: 1, Rgap: 0, kUnder };
-    }
-
-    const tIns = insul.t;
-    const totalH = tCover + tScreed + tUnder + tIns;
-
-    // Геометрия: автоматическое размещение трубы — лежит на подложке (если есть) или на утеплителе
-    const yUnderTop = tCover + tScreed; // верх подложки
-    const yInsulTop = tCover + tScreed + tUnder; // верх утеплителя
-    const minCover = 0.02; // минимальное покрытие над трубой
-    const limitByScreed = Math.max(0, tScreed - D);
-    const limitByCover = Math.max(0, yInsulTop - minCover - D);
-    const maxDBot = Math.max(0, Math.min(limitByScreed, limitByCover));
-    const dBotUser = 0; // пользователь не задаёт
-    const dBotRaw = Math.max(dBotUser, (under && under.type !== 'none') ? under.t || 0 : 0);
-    const dBot = Math.min(dBotRaw, maxDBot);
-    const pipeBottomY = yInsulTop - dBot; // чем больше dBot, тем выше низ трубы (в стяжке)
-    const pipeCenterY = pipeBottomY - 0.5 * D;
-    const pipeTopY = pipeCenterY - 0.5 * D;
-    const W = Math.max(1, nPipes) * S;
-    const pipeCenters = Array.from({ length: Math.max(1, nPipes) }, (_, k) => ({ x: (k + 0.5) * S, y: pipeCenterY }));
-
-    // Адаптивная дискретизация по толщине с гарантированным числом ячеек на слой
-    const baseNY = 80;
-    const dyBase = totalH / Math.max(2, (baseNY - 1));
-    const dyLimits = [dyBase];
-    if (tCover > 0) dyLimits.push(tCover / 6);
-    dyLimits.push(tScreed / 30);
-    if (tUnder > 0) dyLimits.push(tUnder / 4);
-    if (tIns > 0) dyLimits.push(tIns / 10);
-    const dyTarget = Math.max(1e-5, Math.min(...dyLimits));
-    const NY = Math.max(3, Math.min(300, Math.round(totalH / dyTarget) + 1));
-
-    const dx = W / (NX - 1);
-    const dy = totalH / (NY - 1);
-
-    const kRow = new Float64Array(NY);
-    for (let j=0; j<NY; j++){
-      const y = j*dy;
-      if (y <= tCover) kRow[j] = cover.t === 0 ? screed.k : cover.k;
-      else if (y <= tCover + tScreed) kRow[j] = screed.k;
-      else if (y <= tCover + tScreed + tUnder) kRow[j] = kUnder;
-      else kRow[j] = insul.t > 0 ? insul.k : screed.k;
-    }
-
-    const T = new Float64Array(NX*NY);
-    const idx = (i,j)=> j*NX + i;
-    for (let j=0; j<NY; j++){
-      const frac = 1 - j/(NY-1);
-      const Tv = belowT * (1-frac) + Tair * frac;
-      T.fill(Tv, j*NX, (j+1)*NX);
-    }
+  // Вид растра основного поля: смена только перерисовывает поле в воркере
+  const fieldRender = useMemo(()=> ({ ...fieldView, quantity }), [fieldView, quantity]);
+  const { results, progress, error: solveError } = useFloorSolver(debounced, fieldRender);
+  // Режим |q|: поток в узлах — для подсказки под курсором
+  const fluxNodes = useMemo(()=> quantity === 'q' && results ? heatFlux(results) : null, [results?.field, quantity]);
 
-    const pipeMask = new Uint8Array(NX*NY);
-    const pipeLabel = new Int8Array(NX*NY); pipeLabel.fill(-1);
-    const r = 0.5*D;
-    for (let j=1; j<NY-1; j++){
-      const y = j*dy;
-      for (let i=1; i<NX-1; i++){
-        const x = i*dx;
-        for (let k=0; k<pipeCenters.length; k++){
-          const pc = pipeCenters[k];
-          if (Math.hypot(x - pc.x, y - pc.y) <= r){ pipeMask[idx(i,j)] = 1; pipeLabel[idx(i,j)] = k; break; }
-        }
-      }
-    }
+  useEffect(()=>{
+    const marks = results ? probes.map((u, n)=> ({ x: u * results.grid.W, color: PROBE_COLORS[n], label: String(n + 1) })) : [];
+    drawFieldCanvas(canvasRef.current, results, { showIso, isoStep, legend: true, flux, probes: marks });
+  }, [results, showIso, isoStep, flux, probes]);
+
+  // В режиме авто-обратки обратка — результат связанной модели петли; ползунок показывает её
+  const loop = results?.hydraulics?.loop ?? null;
+  const TrShown = autoReturn && loop ? +loop.Tr.toFixed(2) : Tr;
+  function toggleAutoReturn(on){
+    if (!on && loop) setTr(+loop.Tr.toFixed(1));
+    setAutoReturn(on);
+  }
 
-    const iters = 1200, omega = 1.85;
-    // Эффективный коэффициент теплоотдачи сверху с учётом скорости воздуха (прирост конвекции)
-    const hEff = hTop + 6.0 * Math.pow(Math.max(0, airVel), 0.6);
-
-    function computePipeTemperatures(n, Ts, Tr, layout, Tair, L, x, S){
-      if (n <= 1) return [0.5*(Ts+Tr)];
-      // оценка коэффициента затухания по 1D-модели: Tr = Tair + (Ts-Tair) e^{-alpha L}
-      const num = Math.max(1e-6, Ts - Tair);
-      const den = Math.max(1e-6, Tr - Tair);
-      const alpha = Math.max(1e-6, Math.log(num/den) / Math.max(1e-6, L));
-      const Ts_x = Tair + (Ts - Tair) * Math.exp(-alpha * x);
-      const Tr_x = Tair + (Ts - Tair) * Math.exp(-alpha * Math.max(0, L - x));
-      // Шаг разницы пройденной длины между соседними ветвями в центре среза
-      const deltaAdj = layout === 'spiral' ? 2.0 : 3.0; // м (как вы задали)
-      if (layout === 'meander') {
-        // Змейка: монотонный спад температуры вдоль петли (без чередования подача/обратка)
-        const clamp = (v)=> Math.max(0, Math.min(L, v));
-        const Ts_at = (s)=> Tair + (Ts - Tair) * Math.exp(-alpha * clamp(s));
-        const left  = Ts_at(x - deltaAdj);
-        const mid   = Ts_at(x);
-        const right = Ts_at(x + deltaAdj);
-        return [left, mid, right].slice(0, n);
-      }
-      // Спираль: аналогично — крайние ближе к подаче, средняя ближе к обратке
-      const clamp = (v)=> Math.max(0, Math.min(L, v));
-      const Ts_at = (s)=> Tair + (Ts - Tair) * Math.exp(-alpha * clamp(s));
-      const Tr_at = (s)=> Tair + (Ts - Tair) * Math.exp(-alpha * clamp(L - s));
-      const left = Ts_at(x - deltaAdj);
-      const mid  = Tr_at(x);
-      const right= Ts_at(x + deltaAdj);
-      return [left, mid, right].slice(0, n);
-    }
-    const L_eff = Math.max(5, useFixedArea ? (Math.max(1e-3, areaM2) / Math.max(0.02, S)) : loopLength);
-    const xPos = Math.max(0, Math.min(0.5, loopPosFrac)) * Math.max(1e-6, L_eff);
-    const TpipeArr = computePipeTemperatures(pipeCenters.length, Ts, Tr, layout, Tair, L_eff, xPos, S);
-    // debug scalars
-    const alphaDbg = Math.max(1e-6, Math.log(Math.max(1e-6, (Ts - Tair)) / Math.max(1e-6, (Tr - Tair))) / Math.max(1e-6, L_eff));
-    const TsLoc = Tair + (Ts - Tair) * Math.exp(-alphaDbg * xPos);
-    const TrLoc = Tair + (Ts - Tair) * Math.exp(-alphaDbg * Math.max(0, L_eff - xPos));
-    for (let it=0; it<iters; it++){
-      for (let j=0; j<NY; j++){
-        if (j===0){
-          for (let i=0; i<NX; i++){
-            if (pipeMask[idx(i,j)]) {
-              const label = pipeLabel[idx(i,j)];
-              const Tpipe = (label >= 0) ? TpipeArr[Math.max(0, Math.min(TpipeArr.length-1, label))] : twm;
-              // Если выбран "мат": имитируем снижение контакта через робин на части периметра (упрощение)
-              if (under.type === 'mat'){
-                const phi = under.phi ?? 0.5; // доля контакта
-                const kGap = 0.026, tGap = 0.001; // ~1 мм зазор
-                const hGap = kGap / tGap; // около 26 W/m2K
-                // смешиваем: T0 = w*Dirichlet + (1-w)*Robin(к воздуху Tair)
-                const w = Math.max(0, Math.min(1, phi));
-                const T1 = T[idx(i,j+1)]; const k = kRow[j];
-                const Trob = ((k/dy)*T1 + hGap*Tair) / ((k/dy) + hGap);
-                T[idx(i,j)] = w*Tpipe + (1-w)*Trob; continue;
-              } else {
-                T[idx(i,j)] = Tpipe; continue;
-              }
-            }
-            // Robin BC: -k * dT/dy = h * (T0 - Tair)
-            // Численно устойчивая форма (весовое среднее):
-            // T0 = ( (k/dy)*T1 + h*Tair ) / ( (k/dy) + h )
-            const k = kRow[j];
-            const T1 = T[idx(i,j+1)];
-            const T0 = ((k/dy)*T1 + hEff*Tair) / ((k/dy) + hEff);
-            T[idx(i,j)] = T0;
-          }
-          // симметрия по бокам для угловых узлов
-          T[idx(0,0)] = T[idx(1,0)];
-          T[idx(NX-1,0)] = T[idx(NX-2,0)];
-          continue;
-        }
-        if (j===NY-1){
-          for (let i=0; i<NX; i++){
-            if (pipeMask[idx(i,j)]) { T[idx(i,j)] = twm; continue; }
-            T[idx(i,j)] = belowT;
-          }
-          continue;
-        }
-
-        for (let i=0; i<NX; i++){
-          if (i===0){ T[idx(0,j)] = T[idx(1,j)]; continue; }
-          if (i===NX-1){ T[idx(NX-1,j)] = T[idx(NX-2,j)]; continue; }
-          if (pipeMask[idx(i,j)]){
-            const label = pipeLabel[idx(i,j)];
-            const Tpipe = (label >= 0) ? TpipeArr[Math.max(0, Math.min(TpipeArr.length-1, label))] : twm;
-            if (under.type === 'mat'){
-              const phi = under.phi ?? 0.5; const kGap=0.026, tGap=0.001; const hGap = kGap/tGap; const w=Math.max(0,Math.min(1,phi));
-              const T1 = T[idx(i,j+1)]; const k = kRow[j];
-              const Trob = ((k/dy)*T1 + hGap*Tair) / ((k/dy) + hGap);
-              T[idx(i,j)] = w*Tpipe + (1-w)*Trob; continue;
-            } else {
-              T[idx(i,j)] = Tpipe; continue;
-            }
-          }
-
-          const k = kRow[j], kU = kRow[j-1], kD = kRow[j+1];
-          const kxL = k, kxR = k;
-          const kyU = 2*k*kU/(k+kU), kyD = 2*k*kD/(k+kD);
-
-          const tL = T[idx(i-1,j)], tR = T[idx(i+1,j)];
-          const tU = T[idx(i,j-1)], tD = T[idx(i,j+1)];
-
-          const Ax = kxL/(dx*dx) + kxR/(dx*dx);
-          const Ay = kyU/(dy*dy) + kyD/(dy*dy);
-          const b = (kxL*tL + kxR*tR)/(dx*dx) + (kyU*tU + kyD*tD)/(dy*dy);
-
-          const Tnew = b/(Ax+Ay);
-          const old = T[idx(i,j)];
-          T[idx(i,j)] = old + omega*(Tnew - old);
-        }
-      }
-    }
+  // Труба из каталога задаёт материал стенки и размеры; ползунки диаметра и стенки остаются для уточнения
+  function choosePipe(id){
+    const p = PRESETS_PIPE.find(x => x.id === id);
+    if (!p) return;
+    setPipeType(p); setPipeOD(p.od); setPipeWall(p.wall);
+  }
 
-    const surfaceT = new Float64Array(NX);
-    for (let i=0; i<NX; i++) surfaceT[i] = T[idx(i,0)];
-
-    const qUpArr = new Float64Array(NX);
-    let qUpSum = 0;
-    for (let i=0; i<NX; i++){ const q = hEff*(surfaceT[i] - Tair); qUpArr[i]=q; qUpSum+=q; }
-    const qUpMean = qUpSum / NX;
-
-    let qDownSum = 0;
-    for (let i=0; i<NX; i++){
-      const kB = kRow[NY-1];
-      const Tb = T[idx(i,NY-1)];
-      const Tprev = T[idx(i,NY-2)];
-      const q = -kB * (Tb - Tprev) / dy;
-      qDownSum += q;
-    }
-    const qDownMean = qDownSum / NX; // положительно вниз
-    const qDownAbs = Math.max(0, qDownMean);
-
-    const qTotalPerArea = qUpMean + qDownAbs;
-    const upShare = qUpMean / (qTotalPerArea + 1e-9);
-
-    const profile = Array.from({ length: NX }, (_, i)=> ({ x: (i*dx).toFixed(3), T: +surfaceT[i].toFixed(2), q: +qUpArr[i].toFixed(1) }));
-
-    // Комфорт и нормативы: доля поверхности выше порогов и локальный перепад ("босая стопа")
-    let over29 = 0, over31 = 0;
-    for (let i=0; i<NX; i++){ if (surfaceT[i] > 29) over29++; if (surfaceT[i] > 31) over31++; }
-    const over29Pct = (over29 / NX) * 100;
-    const over31Pct = (over31 / NX) * 100;
-    const steps5 = Math.max(1, Math.round(0.05 / Math.max(1e-9, dx)));
-    const steps10 = Math.max(1, Math.round(0.10 / Math.max(1e-9, dx)));
-    let dFoot5 = 0, dFoot10 = 0;
-    for (let i=0; i<NX; i++){
-      const j5 = Math.min(NX-1, i + steps5);
-      const j10 = Math.min(NX-1, i + steps10);
-      dFoot5 = Math.max(dFoot5, Math.abs(surfaceT[j5] - surfaceT[i]));
-      dFoot10 = Math.max(dFoot10, Math.abs(surfaceT[j10] - surfaceT[i]));
-    }
+  // Покрытие теплопотерь помещения; подбор подачи/шага — в воркере по окончательному результату
+  const roomDebounced = useDebounce(room, 300);
+  const coverage = room.enabled && results ? floorCoverage(room, Tair, results.metrics.qUpMean) : null;
+  const advice = useTaskSolver('room', coverageAdvice);
+  useEffect(()=>{
+    if (!roomDebounced.enabled || !results || results.preview) return;
+    const cov = floorCoverage(roomDebounced, results.params.Tair, results.metrics.qUpMean);
+    advice.run(results.params, { qNeed: cov.qNeed, qUpMean: results.metrics.qUpMean, Tavg: results.metrics.Tavg });
+  }, [results, roomDebounced]);
+  const adviceFresh = advice.result && advice.result.input === results?.params && coverage && Math.abs(advice.result.qNeed - coverage.qNeed) < 1e-9 ? advice.result : null;
+
+  // Ссылка на текущую конфигурацию: состояние пишется в хэш URL без записи в историю
+  // Поправки при чтении ссылки или файла проекта: { title, warnings }
+  const [loadNotice, setLoadNotice] = useState(urlInit.warnings.length ? { title: 'Ссылка прочитана с поправками', warnings: urlInit.warnings } : null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const appState = useMemo(()=> ({ Tair, Ts, Tr, spacing, pipeOD, screedThk, hTop, belowT, airVel, screed, cover, insul, under, layers, nPipes, layout, loopPosFrac, areaM2, autoReturn, flowLpm, pipeWall, pipeType, pipeFilm, system, dryBase, dryBoard, plateT, plateW, edge, edgeStripT, edgeStripK, wallU, wallTout, edgeBand, edgeSpacing, tailLength, method, tol, maxIter, fixScale, contrast, palette, userScale, scaleMin, scaleMax, insulFade, showIso, isoStep, quantity, flux, room }),
+    [Tair, Ts, Tr, spacing, pipeOD, screedThk, hTop, belowT, airVel, screed, cover, insul, under, layers, nPipes, layout, loopPosFrac, areaM2, autoReturn, flowLpm, pipeWall, pipeType, pipeFilm, system, dryBase, dryBoard, plateT, plateW, edge, edgeStripT, edgeStripK, wallU, wallTout, edgeBand, edgeSpacing, tailLength, method, tol, maxIter, fixScale, contrast, palette, userScale, scaleMin, scaleMax, insulFade, showIso, isoStep, quantity, flux, room]);
+  const appStateDebounced = useDebounce(appState, 400);
+  useEffect(()=>{
+    window.history.replaceState(null, '', '#' + encodeState(appStateDebounced));
+  }, [appStateDebounced]);
+
+  function applyState(s){
+    setTair(s.Tair); setTs(s.Ts); setTr(s.Tr);
+    setSpacing(s.spacing); setPipeOD(s.pipeOD); setScreedThk(s.screedThk);
+    setHTop(s.hTop); setBelowT(s.belowT); setAirVel(s.airVel);
+    setScreed(s.screed); setCover(s.cover); setInsul(s.insul); setUnder(s.under); setLayers(s.layers);
+    setNPipes(s.nPipes); setLayout(s.layout); setLoopPosFrac(s.loopPosFrac); setAreaM2(s.areaM2);
+    setAutoReturn(s.autoReturn); setFlowLpm(s.flowLpm); setPipeWall(s.pipeWall); setPipeType(s.pipeType); setPipeFilm(s.pipeFilm); setTailLength(s.tailLength);
+    setSystem(s.system); setDryBase(s.dryBase); setDryBoard(s.dryBoard); setPlateT(s.plateT); setPlateW(s.plateW);
+    setEdge(s.edge); setEdgeStripT(s.edgeStripT); setEdgeStripK(s.edgeStripK); setWallU(s.wallU); setWallTout(s.wallTout); setEdgeBand(s.edgeBand); setEdgeSpacing(s.edgeSpacing);
+    setMethod(s.method); setTol(s.tol); setMaxIter(s.maxIter);
+    setFixScale(s.fixScale); setContrast(s.contrast); setShowIso(s.showIso); setIsoStep(s.isoStep); setQuantity(s.quantity); setFlux(s.flux);
+    setPalette(s.palette); setUserScale(s.userScale); setScaleMin(s.scaleMin); setScaleMax(s.scaleMax); setInsulFade(s.insulFade);
+    setRoom(s.room);
+  }
 
-    // Подбираем размер изображения так, чтобы соотношение сторон совпадало с физическим (W:totalH)
-    const widthPx = 560;
-    const heightPx = Math.max(240, Math.round(widthPx * (totalH / Math.max(1e-9, W))));
-    const img = new ImageData(widthPx, heightPx);
-
-    const Tmin = fixScale ? (Tair - 2) : Math.min(Tair, belowT) - 2;
-    const Tmax = fixScale ? (Tair + 20) : Math.max(twm, Tair + 15);
-    const clamp01 = (v)=> Math.min(1, Math.max(0, (v - Tmin) / (Tmax - Tmin + 1e-9)));
-    const applyContrast = (u)=> {
-      const c = Math.max(1, Math.min(3, contrast || 1));
-      const out = 0.5 + (u - 0.5) * c;
-      return Math.min(1, Math.max(0, out));
+  // Вставленная в адресную строку ссылка в той же вкладке: replaceState событие не вызывает
+  useEffect(()=>{
+    const onHash = ()=> {
+      const { state, warnings, found } = decodeState(window.location.hash, { lists: materialLists(loadLibrary()) });
+      if (!found) return;
+      applyState(state);
+      setLoadNotice(warnings.length ? { title: 'Ссылка прочитана с поправками', warnings } : null);
     };
+    window.addEventListener('hashchange', onHash);
+    return ()=> window.removeEventListener('hashchange', onHash);
+  }, []);
 
-    for (let yPix=0; yPix<heightPx; yPix++){
-      const y = (yPix/(heightPx-1))*(NY-1);
-      const j0 = Math.floor(y), j1 = Math.min(NY-1, j0+1), fy = y - j0;
-      const yPhys = (yPix/(heightPx-1)) * totalH;
-      for (let xPix=0; xPix<widthPx; xPix++){
-        const x = (xPix/(widthPx-1))*(NX-1);
-        const i0 = Math.floor(x), i1 = Math.min(NX-1, i0+1), fx = x - i0;
-        const xPhys = (xPix/(widthPx-1)) * W;
-        // Если пиксель попадает внутрь трубы — использовать температуру трубы
-        let insidePipe = -1;
-        for (let k=0; k<pipeCenters.length; k++){
-          const pc = pipeCenters[k];
-          if (Math.hypot(xPhys - pc.x, yPhys - pc.y) <= r){ insidePipe = k; break; }
-        }
-        let Tv;
-        if (insidePipe >= 0){
-          Tv = TpipeArr[Math.max(0, Math.min(TpipeArr.length-1, insidePipe))];
-        } else {
-        const T00 = T[idx(i0,j0)], T10 = T[idx(i1,j0)], T01 = T[idx(i0,j1)], T11 = T[idx(i1,j1)];
-          Tv = (1-fx)*(1-fy)*T00 + fx*(1-fy)*T10 + (1-fx)*fy*T01 + fx*fy*T11;
-        }
-        // Визуально приглушаем нижнюю зону (утеплитель), чтобы не завышать впечатление от потока вниз
-        if (yPhys >= yInsulTop) {
-          const compress = 0.6; // 0…1, чем меньше — тем слабее контраст
-          Tv = Tair - (Tair - Tv) * compress;
-        }
-        const c = colorMap(applyContrast(clamp01(Tv)));
-        const p = 4*(yPix*widthPx + xPix);
-        img.data[p+0] = c[0]; img.data[p+1] = c[1]; img.data[p+2] = c[2]; img.data[p+3] = 255;
-      }
-    }
-
-    const overlays = { tCover, tScreed, tUnder, tIns, pipes: pipeCenters.map(p=>({ ...p, r })), S, W, totalH, pipeTopY, yUnderTop, yInsulTop, coverId: cover.id };
-
-    let sumT = 0; for (let i=0; i<NX; i++) sumT += surfaceT[i];
-    const Tavg = sumT / NX;
-    const TmaxSurf = Math.max(...surfaceT);
-    const TminSurf = Math.min(...surfaceT);
-    const dTsurf = TmaxSurf - TminSurf;
-
-    // 1D-оценка сопротивлений и потока
-    const Rcover = tCover > 0 ? tCover/Math.max(cover.k,1e-3): 0;
-    const Rscreed = tScreed/Math.max(screed.k,1e-3);
-    const Runder = tUnder > 0 ? tUnder/Math.max(kUnder,1e-3): 0;
-    const Rconv = 1/Math.max(hEff,1e-3);
-    const Rsum = Rcover + Rscreed + Runder + Rconv;
-    const TpipeEff = (TpipeArr[0] + TpipeArr[TpipeArr.length-1]) * 0.5; // грубая оценка
-    const q1D = (TpipeEff - Tair)/Math.max(Rsum,1e-6);
-    const Tsurf1D = Tair + q1D*Rconv;
-
-    // Гидравлика: оценка обратки при фикс. расходе
-    const rho = 998; // кг/м3
-    const cp = 4180; // Дж/(кг·К)
-    const mdot = Math.max(1e-6, (flowLpm/1000) / 60 * rho); // кг/с
-    // Площадь плана петли: фиксированная (areaM2) или оценка S*L_eff
-    const areaPlan = useFixedArea ? Math.max(1e-6, areaM2) : Math.max(1e-6, S * L_eff);
-    // Для баланса энергии берём тепло, идущее ВВЕРХ в помещение
-    const Qloop = qUpMean * areaPlan; // Вт (Дж/с)
-    const Tr_auto = Ts - Qloop / Math.max(1e-6, (mdot*cp));
-
-    // Нормативные пороги (учебные): СП 60.13330 (средняя для жилых ≤ 26 °C), DIN EN 1264 (максимальная для жилых ≤ 29 °C)
-    const norms = { spAvgLimit: 29, dinMaxLimit: 29, exceedAvg: Tavg > 29, exceedMax: TmaxSurf > 29 };
-
-    return {
-      img, overlays, widthPx, heightPx, profile,
-      metrics: {
-        Tavg: +Tavg.toFixed(2), Tmax: +TmaxSurf.toFixed(2), Tmin: +TminSurf.toFixed(2), dTsurf: +dTsurf.toFixed(2),
-        qUpMean: +qUpMean.toFixed(1), qDownMean: +qDownAbs.toFixed(1), upShare: +(upShare*100).toFixed(1),
-        qTotal: +qTotalPerArea.toFixed(1),
-          over29: +over29Pct.toFixed(1), over31: +over31Pct.toFixed(1),
-          dFoot5: +dFoot5.toFixed(2), dFoot10: +dFoot10.toFixed(2)
-      },
-      metrics1D: {
-        Rcover: +Rcover.toFixed(3), Rscreed: +Rscreed.toFixed(3), Runder: +Runder.toFixed(3), Rconv: +Rconv.toFixed(3),
-        q1D: +q1D.toFixed(1), Tsurf1D: +Tsurf1D.toFixed(2)
-      },
-      grid: { S, W, totalH, dx, dy, NX, NY },
-      debug: { alpha: alphaDbg, xPos, L: L_eff, TsLoc: TsLoc, TrLoc: TrLoc, pipeTemps: Array.from(TpipeArr) },
-      field: { T },
-      underInfo,
-      hydraulics: { Tr_auto, mdot, Qloop },
-      norms,
-      flags: {}
-    };
-  }, [debounced]);
+  // Проект: название, заметки и зафиксированные сценарии сравнения сохраняются в файл вместе с входными данными
+  const [projectName, setProjectName] = useState('');
+  const [projectNotes, setProjectNotes] = useState('');
+  const [scenarios, setScenarios] = useState([]); // [{ id, name, input, result }]; result === null — ещё не пересчитан
 
-  useEffect(()=>{
-    if (!results || !canvasRef.current) return;
-    const ctx = canvasRef.current.getContext("2d");
-    const { img, overlays } = results;
-    const { tCover, tScreed, tUnder, pipes, S, W, totalH, yUnderTop, yInsulTop, coverId } = overlays;
-
-    // draw
-    // Кросс-браузер отрисовка без ошибки OffscreenCanvas в средах, где его нет
-    const off = createCanvas(img.width, img.height);
-      const octx = off.getContext("2d");
-    try { octx.putImageData(img, 0, 0); } catch {}
-      canvasRef.current.width = img.width;
-      canvasRef.current.height = img.height;
-    try { ctx.drawImage(off, 0, 0); } catch { ctx.putImageData(img, 0, 0); }
-
-    // overlays
-    ctx.lineWidth = 2;
-    ctx.setLineDash([6,6]);
-    ctx.strokeStyle = "rgba(0,0,0,0.6)";
-    const yCover = (tCover/totalH) * img.height;
-    const yScreed = ((tCover + tScreed)/totalH) * img.height;
-    const yUnder = (yUnderTop/totalH) * img.height;
-    const yIns = (yInsulTop/totalH) * img.height;
-    if (tCover > 0){
-      // декоративное отображение чистового покрытия в верхней зоне
-      const makePattern = (type)=>{
-        const tile = 24; const c = new OffscreenCanvas(tile, tile); const p = c.getContext('2d');
-        p.clearRect(0,0,tile,tile);
-        if (type==='tile'){
-          p.fillStyle = '#e8e8e8'; p.fillRect(0,0,tile,tile);
-          p.strokeStyle = 'rgba(0,0,0,0.25)'; p.lineWidth = 1; p.strokeRect(0.5,0.5,tile-1,tile-1);
-        } else if (type==='laminate'){
-          p.fillStyle = '#f0eadc'; p.fillRect(0,0,tile,tile);
-          p.strokeStyle = 'rgba(120,85,40,0.25)'; p.lineWidth = 1; p.beginPath(); p.moveTo(tile*0.33,0); p.lineTo(tile*0.33,tile); p.moveTo(tile*0.66,0); p.lineTo(tile*0.66,tile); p.stroke();
-        } else if (type==='wood20'){
-          p.fillStyle = '#eadfcb'; p.fillRect(0,0,tile,tile);
-          p.strokeStyle = 'rgba(120,90,50,0.25)'; p.lineWidth = 1; p.beginPath(); p.moveTo(0, tile*0.5); p.bezierCurveTo(tile*0.3, tile*0.3, tile*0.7, tile*0.7, tile, tile*0.5); p.stroke();
-        } else if (type==='vinyl5'){
-          p.fillStyle = '#f2f5f7'; p.fillRect(0,0,tile,tile);
-          p.fillStyle = 'rgba(0,0,0,0.06)'; p.fillRect(tile*0.5-1,tile*0.5-1,2,2);
-        } else { p.fillStyle = 'rgba(0,0,0,0)'; }
-        return ctx.createPattern(c, 'repeat');
-      };
-      const mapId = (id)=> id==='tile' ? 'tile' : id==='laminate8' ? 'laminate' : id;
-      const pat = makePattern(mapId(coverId));
-      if (pat){ ctx.save(); ctx.globalAlpha = 0.35; ctx.fillStyle = pat; ctx.fillRect(0, 0, img.width, yCover); ctx.restore(); }
-
-      ctx.beginPath(); ctx.moveTo(0, yCover); ctx.lineTo(img.width, yCover); ctx.stroke();
-    }
+  function saveProject(){
+    const data = serializeProject({ name: projectName, notes: projectNotes, state: appState, scenarios });
+    downloadText(JSON.stringify(data, null, 2), projectFileName(projectName), 'application/json');
+  }
 
-    // Штриховка слоёв: стяжка (\\) — зона [yCover, yScreed], подложка (светлая сетка), утеплитель (/) — зона [yScreed, bottom]
-    const screedHeight = Math.max(0, yScreed - yCover);
-    if (screedHeight > 1){
-      const tile = 12; const oc = new OffscreenCanvas(tile, tile); const pc = oc.getContext('2d');
-      pc.clearRect(0,0,tile,tile);
-      pc.strokeStyle = '#000000'; pc.lineWidth = 1;
-      // диагонали \\
-      pc.beginPath(); pc.moveTo(-tile,0); pc.lineTo(0,tile); pc.lineTo(tile*2,tile*3); pc.stroke();
-      pc.beginPath(); pc.moveTo(0,0); pc.lineTo(tile,tile); pc.lineTo(tile*2,tile*2); pc.stroke();
-      const patS = ctx.createPattern(oc,'repeat');
-      if (patS){ ctx.save(); ctx.globalCompositeOperation = 'multiply'; ctx.globalAlpha = 0.22; ctx.fillStyle = patS; ctx.fillRect(0, yCover, img.width, screedHeight); ctx.restore(); }
-    }
-    const insulHeight = Math.max(0, img.height - yIns);
-    if (insulHeight > 1){
-      const tile = 12; const oc = new OffscreenCanvas(tile, tile); const pc = oc.getContext('2d');
-      pc.clearRect(0,0,tile,tile);
-      pc.strokeStyle = '#000000'; pc.lineWidth = 1;
-      // диагонали /
-      pc.beginPath(); pc.moveTo(0,tile); pc.lineTo(tile,0); pc.lineTo(tile*2,-tile); pc.stroke();
-      pc.beginPath(); pc.moveTo(-tile,tile); pc.lineTo(0,0); pc.lineTo(tile,-tile); pc.stroke();
-      const patI = ctx.createPattern(oc,'repeat');
-      if (patI){ ctx.save(); ctx.globalCompositeOperation = 'multiply'; ctx.globalAlpha = 0.22; ctx.fillStyle = patI; ctx.fillRect(0, yIns, img.width, insulHeight); ctx.restore(); }
-    }
+  async function openProject(file){
+    let p;
+    try { p = parseProject(await file.text(), { library }); }
+    catch (err){ setLoadNotice({ title: `Файл «${file.name}» не открыт`, warnings: [err.message] }); return; }
+    applyState(p.state);
+    if (p.materials.length) setLibrary(lib => [...lib, ...p.materials]);
+    setProjectName(p.name || file.name.replace(/\.json$/i, ''));
+    setProjectNotes(p.notes);
+    // Сценарии пересчитываются в панели сравнения
+    setScenarios(p.scenarios.map((sc, i)=> {
+      const { room: _room, showIso: _showIso, isoStep: _isoStep, quantity: _quantity, flux: _flux, ...input } = sc.state;
+      return { id: i + 1, name: sc.name, input: { ...input, loopLength, useFixedArea }, result: null };
+    }));
+    setLoadNotice(p.warnings.length ? { title: `Проект «${p.name || file.name}» открыт с поправками`, warnings: p.warnings } : null);
+  }
 
-    // Подложка — лёгкая сетка
-    if (tUnder > 0){
-      const height = Math.max(0, yIns - yUnder);
-      if (height > 1){
-        const tile = 8; const oc = new OffscreenCanvas(tile, tile); const pc = oc.getContext('2d');
-        pc.clearRect(0,0,tile,tile);
-        pc.strokeStyle = 'rgba(255,255,255,0.9)'; pc.lineWidth = 0.8;
-        pc.beginPath();
-        pc.moveTo(0,0); pc.lineTo(tile,0); pc.moveTo(0,tile*0.5); pc.lineTo(tile,tile*0.5); pc.moveTo(0,tile); pc.lineTo(tile,tile);
-        pc.moveTo(0,0); pc.lineTo(0,tile); pc.moveTo(tile*0.5,0); pc.lineTo(tile*0.5,tile); pc.moveTo(tile,0); pc.lineTo(tile,tile);
-        pc.stroke();
-        const patU = ctx.createPattern(oc,'repeat');
-        if (patU){ ctx.save(); ctx.globalAlpha = 0.35; ctx.fillStyle = patU; ctx.fillRect(0, yUnder, img.width, height); ctx.restore(); }
-      }
-    }
+  // Библиотека сохраняется при каждом изменении; выбранные материалы пользователя обновляются после правки
+  const [showLibrary, setShowLibrary] = useState(false);
+  useEffect(()=>{
+    saveLibrary(library);
+    const fresh = (m)=> m.custom ? (library.find(x => x.id === m.id) ?? m) : m;
+    setCover(fresh); setScreed(fresh); setUnder(fresh); setInsul(fresh);
+    setLayers(ls => ls && ls.map(l => ({ ...l, material: fresh(l.material) })));
+  }, [library]);
+
+  // Свой пирог начинается с текущих материалов; выключение возвращает стандартный
+  function toggleStack(on){
+    if (!on){ setLayers(null); return; }
+    setLayers([
+      { group: 'cover', material: cover, t: cover.t },
+      { group: 'screed', material: screed, t: screedThk, pipe: true },
+      { group: 'under', material: under, t: under.t ?? 0 },
+      { group: 'insul', material: insul, t: insul.t },
+    ].filter(l => l.material.id !== 'none'));
+  }
 
-    // Подписи слоёв у линий
-    ctx.save();
-    ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
-    ctx.fillStyle = 'rgba(0,0,0,0.75)';
-    ctx.textAlign = 'left';
-    // Покрытие — у верхней границы покрытия
-    if (tCover > 0){ ctx.textBaseline = 'bottom'; ctx.fillText('Покрытие', 8, Math.max(10, yCover - 4)); }
-    // Стяжка — у границы стяжки/подложки
-    ctx.textBaseline = 'bottom'; ctx.fillText('Стяжка', 8, Math.max(10, yScreed - 4));
-    // Подложка — подпись скрыта по просьбе пользователя
-    // Утеплитель — ниже границы стяжки/утеплителя
-    ctx.textBaseline = 'top'; ctx.fillText('Утеплитель', 8, Math.min(img.height - 10, yIns + 4));
-    ctx.restore();
-    ctx.beginPath(); ctx.moveTo(0, yScreed); ctx.lineTo(img.width, yScreed); ctx.stroke();
-    // пунктир верха утеплителя
-    ctx.setLineDash([4,4]); ctx.strokeStyle = 'rgba(0,0,0,0.5)';
-    ctx.beginPath(); ctx.moveTo(0, yIns); ctx.lineTo(img.width, yIns); ctx.stroke();
-    // сброс стиля линий
-    ctx.setLineDash([]); ctx.strokeStyle = 'rgba(0,0,0,0.9)';
-
-    ctx.setLineDash([]);
-    ctx.strokeStyle = "rgba(0,0,0,0.9)";
-    for (const pipe of pipes){
-      const xPipe = (pipe.x / W) * img.width;
-    const yPipe = (pipe.y / totalH) * img.height;
-      const rPix = (pipe.r / W) * img.width; // при согласованном aspect это = (r/totalH)*height
-    ctx.beginPath(); ctx.arc(xPipe, yPipe, rPix, 0, Math.PI * 2); ctx.stroke();
+  // Отчёт PDF по текущему (точному) расчёту; поле в отчёте — всегда температура
+  function saveReport(){
+    try {
+      const field = quantity === 'T' ? results : withImage({ ...results, px: renderField(results, { ...fieldView, widthPx: results.widthPx }) });
+      const doc = buildReport(field, { name: projectName, notes: projectNotes, showIso, isoStep });
+      doc.save(projectFileName(projectName || 'report').replace(/\.json$/, '.pdf'));
+    } catch (err){
+      setLoadNotice({ title: 'Отчёт не создан', warnings: [err.message] });
     }
+  }
 
-    // Изолинии температуры (полноценные, по всему полю) — marching squares по ячейкам
-    if (showIso && results?.metrics){
-      const Tmin = results.metrics.Tmin;
-      const Tmax = results.metrics.Tmax;
-      const step = Math.max(0.5, Math.min(5, isoStep || 1));
-      ctx.save();
-      ctx.strokeStyle = 'rgba(0,0,0,0.35)';
-      ctx.lineWidth = 1;
-      const T = results.field.T;
-      for (let Tiso = Math.ceil(Tmin/step)*step; Tiso < Tmax; Tiso += step){
-        for (let j=0; j<NY-1; j++){
-          const y0 = (j/(NY-1))*img.height;
-          const y1 = ((j+1)/(NY-1))*img.height;
-          for (let i=0; i<NX-1; i++){
-            const x0 = (i/(NX-1))*img.width;
-            const x1 = ((i+1)/(NX-1))*img.width;
-            const t00 = T[j*NX + i];
-            const t10 = T[j*NX + (i+1)];
-            const t01 = T[(j+1)*NX + i];
-            const t11 = T[(j+1)*NX + (i+1)];
-            const pts = [];
-            const addEdge = (ta, tb, xa, ya, xb, yb) => {
-              if ((Tiso-ta)*(Tiso-tb) <= 0 && Math.abs(tb-ta) > 1e-9){
-                const f = (Tiso - ta)/(tb - ta);
-                pts.push({ x: xa + f*(xb-xa), y: ya + f*(yb-ya) });
-              }
-            };
-            addEdge(t00, t10, x0, y0, x1, y0); // верх
-            addEdge(t10, t11, x1, y0, x1, y1); // право
-            addEdge(t11, t01, x1, y1, x0, y1); // низ
-            addEdge(t01, t00, x0, y1, x0, y0); // лево
-            if (pts.length === 2){
-              ctx.beginPath(); ctx.moveTo(pts[0].x, pts[0].y); ctx.lineTo(pts[1].x, pts[1].y); ctx.stroke();
-            } else if (pts.length === 4){
-              // двусмысленный случай — рисуем две диагональные линии
-              ctx.beginPath(); ctx.moveTo(pts[0].x, pts[0].y); ctx.lineTo(pts[1].x, pts[1].y); ctx.stroke();
-              ctx.beginPath(); ctx.moveTo(pts[2].x, pts[2].y); ctx.lineTo(pts[3].x, pts[3].y); ctx.stroke();
-            }
-          }
-        }
-      }
-      ctx.restore();
+  async function copyLink(){
+    const url = window.location.origin + window.location.pathname + window.location.search + '#' + encodeState(appState);
+    window.history.replaceState(null, '', url);
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch {
+      // Без доступа к буферу (http, старые браузеры) — выделенный текст и execCommand
+      const ta = document.createElement('textarea');
+      ta.value = url;
+      document.body.appendChild(ta);
+      ta.select();
+      document.execCommand('copy');
+      ta.remove();
     }
-  }, [results]);
-
-  // Авто-обновление обратки при включённом фиксированном расходе
-  useEffect(()=>{
-    if (!results?.hydraulics || !autoReturn) return;
-    const calc = Math.max(0, Math.min(Ts, results.hydraulics.Tr_auto));
-    if (Math.abs(calc - Tr) > 0.05) setTr(+calc.toFixed(2));
-  }, [results?.hydraulics, autoReturn, Ts, Tr]);
+    setLinkCopied(true);
+    setTimeout(()=> setLinkCopied(false), 1500);
+  }
 
   const profileData = results?.profile ?? [];
+  // ~12 подписей по оси x при любом числе труб
+  const profileTickInterval = Math.max(1, Math.round(profileData.length / 12) - 1);
+  // История невязки, прореженная до ~200 точек для графика
+  const residualData = useMemo(()=>{
+    const h = results?.debug?.residualHistory;
+    if (!h?.length) return [];
+    const step = Math.max(1, Math.ceil(h.length / 200));
+    const out = [];
+    for (let i=0; i<h.length; i+=step) out.push({ it: i+1, r: Math.max(1e-12, h[i]) });
+    if ((h.length-1) % step) out.push({ it: h.length, r: Math.max(1e-12, h[h.length-1]) });
+    return out;
+  }, [results]);
 
   function sampleTemperatureAtCanvas(clientX, clientY){
     if (!results || !canvasRef.current) return null;
@@ -786,7 +611,8 @@ export default function App() {
     const idx = (i,j)=> j*NX + i;
     const T00 = T[idx(i0,j0)], T10 = T[idx(i1,j0)], T01 = T[idx(i0,j1)], T11 = T[idx(i1,j1)];
     const Tv = (1-fx)*(1-fy)*T00 + fx*(1-fy)*T10 + (1-fx)*fy*T01 + fx*fy*T11;
-    return { x: xPx, y: yPx, T: Tv };
+    const q = fluxNodes ? sampleNodes(results, fluxNodes.mag, xPx / rect.width * grid.W, yPx / rect.height * grid.totalH) : null;
+    return { x: xPx, y: yPx, T: Tv, q };
   }
 
   function handleMouseMove(e){
@@ -794,6 +620,15 @@ export default function App() {
     if (s) setHover(s); else setHover(null);
   }
   function handleMouseLeave(){ setHover(null); }
+  // Щелчок по полю ставит зонд, щелчок по зонду убирает его
+  function handleFieldClick(e){
+    if (!results || !canvasRef.current) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const u = (e.clientX - rect.left) / rect.width;
+    if (u < 0 || u > 1) return;
+    const near = (v)=> Math.abs(v - u) * rect.width < 6;
+    setProbes(list => list.some(near) ? list.filter(v => !near(v)) : list.length < PROBE_COLORS.length ? [...list, u] : list);
+  }
 
   return (
     <div className="w-full min-h-screen bg-white text-gray-900">
@@ -826,16 +661,21 @@ export default function App() {
               </svg>
             </a>
             <Button size="sm" variant="outline" onClick={()=> setFloatCalc(true)} title="Открыть калькулятор" aria-label="Калькулятор">Калькулятор</Button>
+            <Button size="sm" variant="outline" onClick={copyLink} title="Скопировать ссылку на текущую конфигурацию">{linkCopied ? 'Скопировано' : 'Ссылка'}</Button>
+            <Button size="sm" variant="outline" onClick={saveReport} disabled={!results || results.preview} title="Отчёт PDF: исходные данные, конструкция, поле, профиль, результаты и нормативы">PDF</Button>
             <Button
               variant="outline"
               onClick={()=>{
                 setTs(45); setTr(40); setTair(22);
                 setSpacing(0.15); setPipeOD(0.016);
                 setScreedThk(0.050);
-                setScreed(PRESETS_SCREED[1]); setCover(PRESETS_COVER[0]); setInsul(PRESETS_INSULATION[2]); setUnder(PRESETS_UNDERLAY[0]);
+                setScreed(PRESETS_SCREED[1]); setCover(PRESETS_COVER[0]); setInsul(PRESETS_INSULATION[2]); setUnder(PRESETS_UNDERLAY[0]); setLayers(null);
+                setSystem('wet'); setDryBase(PRESETS_DRY_BASE[0]); setDryBoard(PRESETS_DRY_BOARD[0]); setPlateT(0.0005); setPlateW(0.12);
+                setEdge(false); setEdgeStripT(0.010); setEdgeStripK(0.04); setWallU(0.35); setWallTout(-25); setEdgeBand(0.5); setEdgeSpacing(0.10);
                 setHTop(10); setBelowT(18); setAirVel(0);
-                setAutoReturn(false); setFlowLpm(1.5);
-                setLayout('spiral');
+                setAutoReturn(false); setFlowLpm(1.5); setPipeWall(0.002); setPipeType(PRESETS_PIPE[0]); setPipeFilm(true); setTailLength(4); setAreaM2(9); setRoom(DEFAULT_ROOM);
+                setLayout('spiral'); setNPipes(3);
+                setMethod('point'); setTol(1e-5); setMaxIter(6000);
               }}
               title="Сбросить параметры до значений по умолчанию"
             >
@@ -844,6 +684,15 @@ export default function App() {
           </div>
         </div>
         {/* subtitle removed by request */}
+        {loadNotice && (
+          <div className="mt-4 rounded-xl border border-amber-300 bg-amber-50 p-3 text-xs text-amber-900">
+            <div className="flex items-center justify-between gap-2">
+              <b>{loadNotice.title}:</b>
+              <Button size="sm" variant="outline" onClick={()=> setLoadNotice(null)}>Закрыть</Button>
+            </div>
+            <ul className="list-disc ml-5 mt-1">{loadNotice.warnings.map((w, i)=> <li key={i}>{w}</li>)}</ul>
+          </div>
+        )}
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mt-6">
           <div className="lg:col-span-1 rounded-2xl border p-4 shadow-sm">
@@ -855,8 +704,8 @@ export default function App() {
             <div className="space-y-3">
               <SliderField label="Температура воздуха" min={10} max={30} step={0.5} value={Tair} onChange={setTair} />
               <SliderField label="Подача" min={25} max={55} step={0.5} value={Ts} onChange={setTs} />
-              <SliderField label="Обратка" min={20} max={50} step={0.5} value={Tr} onChange={setTr} />
-              <div className="text-xs text-gray-600">Средняя температура теплоносителя: <b>{fmt(0.5*(Ts+Tr),1)} °C</b></div>
+              <SliderField label="Обратка" min={20} max={50} step={0.5} value={TrShown} onChange={setTr} disabled={autoReturn} />
+              <div className="text-xs text-gray-600">Средняя температура теплоносителя: <b>{fmt(0.5*(Ts+TrShown),1)} °C</b></div>
               <div className="grid grid-cols-5 items-center gap-3">
                 <div className="col-span-3 flex items-center gap-2">
                   <Label>Авто-обратка (фикс. расход)</Label>
@@ -869,7 +718,7 @@ export default function App() {
                     <div className="absolute z-10 hidden group-hover:block left-1/2 -translate-x-1/2 mt-2 whitespace-normal rounded-md border bg-white px-4 py-3 text-base shadow w-[500px] text-left">
                       <div className="font-semibold mb-2">Авто-обратка (фиксированный расход) — принцип работы</div>
                       <p className="mb-2"><b>Определение.</b> В режиме «авто-обратка» насос контура работает с <b>постоянным расходом</b> теплоносителя, а температура <b>подачи</b> фиксирована. Температура <b>обратки</b> меняется в зависимости от того, сколько тепла этот участок пола отдаёт помещению.</p>
-                      <div className="mb-2"><b>Примечание симуляции.</b> В этой модели расчёт выполняется для <b>площади петли 9 м²</b>. Эффективная <b>длина трубы</b> автоматически меняется в зависимости от выбранного <b>шага укладки</b>.</div>
+                      <div className="mb-2"><b>Примечание симуляции.</b> Расчёт выполняется для заданной <b>площади петли</b> (по умолчанию 9 м²). Эффективная <b>длина трубы</b> автоматически меняется в зависимости от выбранного <b>шага укладки</b>.</div>
                       <div className="font-semibold mb-1">1. Логика процесса</div>
                       <ul className="list-disc pl-5 space-y-1 mb-2">
                         <li>Малые теплопотери помещения → вода в трубах остывает <b>мало</b> → обратка <b>выше</b>, ΔT <b>меньше</b>.</li>
@@ -877,19 +726,20 @@ export default function App() {
                         <li><b>Перегрев.</b> Если помещение уже прогрето, то при фиксированных подаче и расходе теплоноситель отдаёт меньше тепла — ΔT естественно <b>снижается</b>.</li>
                       </ul>
                       <div className="font-semibold mb-1">2. Математическая модель</div>
-                      <p className="mb-2">Температура обратки вычисляется по формуле: <b>Tr = Ts − Qloop / (ṁ · cₚ)</b></p>
+                      <p className="mb-2">Петля длиной L проходится по шагам; на каждом шаге рассчитывается 2D-сечение с текущей температурой воды, и вода остывает на величину отданной теплоты: <b>ΔTw = q′ · Δs / (ṁ · cₚ)</b></p>
                       <div className="mb-2">где:</div>
                       <ul className="list-disc pl-5 space-y-1 mb-2">
-                        <li><b>Ts</b> — температура подачи, °C;</li>
-                        <li><b>Qloop</b> — тепловая мощность, отдаваемая участком пола в помещение, Вт;</li>
+                        <li><b>q′</b> — теплота, отдаваемая водой на метр трубы (вверх в помещение и вниз), Вт/м;</li>
+                        <li><b>Δs</b> — шаг по длине петли, м;</li>
                         <li><b>ṁ</b> — массовый расход, кг/с (задаётся параметром «Расход, л/мин»);</li>
                         <li><b>cₚ</b> — удельная теплоёмкость воды, ≈ 4.18 кДж/(кг·°C).</li>
                       </ul>
+                      <p className="mb-2">Температура воды в конце петли — это обратка <b>Tr</b>; ветви среза берут температуру воды в своей точке петли.</p>
                       <p>Если режим «авто-обратка» отключён, температуру обратки вы задаёте вручную.</p>
                     </div>
                   </span>
                 </div>
-                <input className="col-span-2 justify-self-end" type="checkbox" checked={autoReturn} onChange={(e)=> setAutoReturn(e.target.checked)} />
+                <input className="col-span-2 justify-self-end" type="checkbox" checked={autoReturn} onChange={(e)=> toggleAutoReturn(e.target.checked)} />
               </div>
               {(()=>{ const val = +flowLpm.toFixed(2); return (
                 <SliderField
@@ -899,9 +749,13 @@ export default function App() {
                   step={0.1}
                   value={val}
                   onChange={(x)=> setFlowLpm(x)}
-                  disabled={!autoReturn}
                 />
               )})()}
+              {(()=>{ const val = +(pipeWall*1000).toFixed(1); return (
+                <SliderField label="Стенка трубы, мм" min={1} max={3} step={0.1} value={val} onChange={(mm)=> setPipeWall(mm/1000)} />
+              )})()}
+              <SliderField label="Подводки к коллектору, м" hint="Суммарная длина подающей и обратной подводки от коллектора до петли" min={0} max={20} step={0.5} value={tailLength} onChange={setTailLength} />
+              <HydraulicsInfo h={results?.hydraulics} />
             </div>
             )}
 
@@ -915,11 +769,17 @@ export default function App() {
                 {(()=>{ const val = Math.round(spacing*1000); return (
                   <SliderField label="Шаг укладки, мм" min={50} max={300} step={10} value={val} onChange={(mm)=> setSpacing(mm/1000)} />
                 )})()}
+                <SelectRow label="Труба" value={pipeType.id} onValueChange={choosePipe} items={PRESETS_PIPE} render={(p)=> `${p.name} (k=${p.k} W/m·K)`} />
                 {(()=>{ const val = Math.round(pipeOD*1000); return (
                   <SliderField label="Наружный диаметр трубы, мм" min={12} max={25} step={1} value={val} onChange={(mm)=> setPipeOD(mm/1000)} />
                 )})()}
+                <label className="flex items-center gap-2 text-sm" title="Тепло от воды к стяжке проходит плёнку воды (зависит от расхода) и стенку трубы. Выключено — температура воды прямо на трубе"><input type="checkbox" checked={pipeFilm} onChange={(e)=> setPipeFilm(e.target.checked)} /> Стенка трубы и теплоотдача воды</label>
+                <SliderField label="Площадь петли, м²" hint="Длина трубы петли = площадь / шаг укладки" min={2} max={30} step={0.5} value={areaM2} onChange={setAreaM2} />
+                <SliderField label="Число труб в срезе" hint={"Ширина расчётной области = число труб × шаг.\n1 — одна симметричная ячейка со средней температурой теплоносителя."} min={1} max={10} step={1} value={nPipes} onChange={setNPipes} />
+                <label className="flex items-center gap-2 text-sm" title="Слева — наружная стена с демпферной лентой, у стены — полоса с уменьшенным шагом; трубы полосы добавляются к числу труб в срезе"><input type="checkbox" checked={edge} onChange={(e)=> setEdge(e.target.checked)} /> Краевая зона у наружной стены</label>
+                {edge && <EdgeZoneFields edgeStripT={edgeStripT} setEdgeStripT={setEdgeStripT} edgeStripK={edgeStripK} setEdgeStripK={setEdgeStripK} wallU={wallU} setWallU={setWallU} wallTout={wallTout} setWallTout={setWallTout} edgeBand={edgeBand} setEdgeBand={setEdgeBand} edgeSpacing={edgeSpacing} setEdgeSpacing={setEdgeSpacing} />}
                 {(()=>{ const val = Math.round(screedThk*1000); return (
-                  <SliderField label="Толщина стяжки, мм" min={50} max={120} step={5} value={val} onChange={(mm)=> setScreedThk(mm/1000)} />
+                  <SliderField label="Толщина стяжки, мм" hint={system === 'dry' ? 'Сухая система: стяжки нет, толщины основания и плиты — по выбранным в «Материалах»' : layers ? 'Свой пирог: толщина слоя с трубой задаётся в «Материалах»' : undefined} min={50} max={120} step={5} value={val} onChange={(mm)=> setScreedThk(mm/1000)} disabled={!!layers || system === 'dry'} />
                 )})()}
               </div>
               )}
@@ -928,30 +788,31 @@ export default function App() {
             <div className="rounded-2xl border p-4 shadow-sm mt-4">
               <div className="flex items-center justify-between mb-3">
                 <div className="text-sm font-medium">Материалы</div>
-                <Button size="sm" variant="outline" onClick={()=> setFloatMaterials(v=>!v)}>{floatMaterials ? 'Прикрепить' : 'Открепить'}</Button>
+                <div className="flex items-center gap-2">
+                  <Button size="sm" variant="outline" onClick={()=> setShowLibrary(true)} title="Свои материалы: создать, изменить, импорт и экспорт">Библиотека</Button>
+                  <Button size="sm" variant="outline" onClick={()=> setFloatMaterials(v=>!v)}>{floatMaterials ? 'Прикрепить' : 'Открепить'}</Button>
+                </div>
               </div>
               {!floatMaterials && (
               <div className="space-y-3">
-                <SelectRow label="Покрытие" value={cover.id} onValueChange={(v)=> setCover(PRESETS_COVER.find(p=>p.id===v) || PRESETS_COVER[0])} items={PRESETS_COVER} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
-                <SelectRow label="Стяжка" value={screed.id} onValueChange={(v)=> setScreed(PRESETS_SCREED.find(p=>p.id===v) || PRESETS_SCREED[0])} items={PRESETS_SCREED} render={(p)=> `${p.name} (k=${p.k} W/m·K)`} />
-                <SelectRow label="Подложка (между стяжкой и утеплителем)" value={under.id} onValueChange={(v)=> setUnder(PRESETS_UNDERLAY.find(p=>p.id===v) || PRESETS_UNDERLAY[0])} items={PRESETS_UNDERLAY} render={(p)=> p.name} />
-                <SelectRow label="Утеплитель" value={insul.id} onValueChange={(v)=> setInsul(PRESETS_INSULATION.find(p=>p.id===v) || PRESETS_INSULATION[0])} items={PRESETS_INSULATION} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
-                {results?.underInfo && (
+                <SelectRow label="Система" value={system} onValueChange={setSystem} items={SYSTEMS} render={(s)=> s.name} />
+                {system === 'dry' ? (<>
+                  <SelectRow label="Покрытие" value={cover.id} onValueChange={(v)=> setCover(materialOptions(lists.cover, cover).find(p=>p.id===v))} items={materialOptions(lists.cover, cover)} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
+                  <DrySystemFields dryBase={dryBase} setDryBase={setDryBase} dryBoard={dryBoard} setDryBoard={setDryBoard} plateT={plateT} setPlateT={setPlateT} plateW={plateW} setPlateW={setPlateW} />
+                  <SelectRow label="Утеплитель" value={insul.id} onValueChange={(v)=> setInsul(materialOptions(lists.insul, insul).find(p=>p.id===v))} items={materialOptions(lists.insul, insul)} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
+                </>) : (<>
+                <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={!!layers} onChange={(e)=> toggleStack(e.target.checked)} /> Свой пирог: слои по порядку, слой с трубой отмечен</label>
+                {layers ? <StackEditor layers={layers} setLayers={setLayers} lists={lists} /> : (<>
+                  <SelectRow label="Покрытие" value={cover.id} onValueChange={(v)=> setCover(materialOptions(lists.cover, cover).find(p=>p.id===v))} items={materialOptions(lists.cover, cover)} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
+                  <SelectRow label="Стяжка" value={screed.id} onValueChange={(v)=> setScreed(materialOptions(lists.screed, screed).find(p=>p.id===v))} items={materialOptions(lists.screed, screed)} render={(p)=> `${p.name} (k=${p.k} W/m·K)`} />
+                  <SelectRow label="Подложка (между стяжкой и утеплителем)" value={under.id} onValueChange={(v)=> setUnder(materialOptions(lists.under, under).find(p=>p.id===v))} items={materialOptions(lists.under, under)} render={(p)=> p.name} />
+                  <SelectRow label="Утеплитель" value={insul.id} onValueChange={(v)=> setInsul(materialOptions(lists.insul, insul).find(p=>p.id===v))} items={materialOptions(lists.insul, insul)} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
+                </>)}
+                </>)}
+                {system !== 'dry' && results?.underInfo && (
                   <div className="text-xs text-gray-700 border rounded-md p-2 bg-gray-50">
                     <div className="font-medium mb-1">Подложка — эквивалентное сопротивление (ISO 6946):</div>
-                    {results.underInfo.type === 'foil' && (
-                      <div>
-                        Чистая фольга в контакте: нет воздушного зазора → R≈0 → влияния на теплопередачу нет.
-                      </div>
-                    )}
-                    {results.underInfo.type === 'bubble' && (
-                      <div>
-                        Воздушный зазор t = {fmt(results.underInfo.tGap,3)} м: базовое Rₐᵢʳ ≈ {fmt(results.underInfo.Rair_base,3)} м²K/Вт. Низкая эмиссия фольги (ε≈{results.underInfo.eps}) даёт радиационный множитель ≈ {fmt(results.underInfo.rad_factor,2)} → Rᵍₐₚ ≈ {fmt(results.underInfo.Rgap,3)} м²K/Вт, эквивалентная k ≈ {fmt(results.underInfo.kUnder,3)} W/m·K. Поэтому эффект «фольга+пузырьки» минимальный.
-                      </div>
-                    )}
-                    {results.underInfo.type === 'none' && (
-                      <div>Подложка отсутствует.</div>
-                    )}
+                    <div>{underlayText(results.underInfo, results.metrics1D)}</div>
                   </div>
                 )}
               </div>
@@ -969,7 +830,6 @@ export default function App() {
                 <SliderField label="Температура ниже утеплителя" min={5} max={22} step={0.5} value={belowT} onChange={setBelowT} />
                 <SliderField label="Скорость воздуха у поверхности, м/с" min={0} max={1.0} step={0.05} value={airVel} onChange={setAirVel} />
                 
-              {/* Число труб фиксировано = 3 */}
               <div className="grid grid-cols-5 gap-3 items-center">
                 <Label className="col-span-2">Схема укладки</Label>
                 <select className="col-span-3 border rounded-md px-3 py-2 bg-white text-sm" value={layout} onChange={(e)=> setLayout(e.target.value)}>
@@ -991,37 +851,49 @@ export default function App() {
               )}
               {/* скрытая кнопка сброса по просьбе пользователя */}
             </div>
+
+            <RoomPanel room={room} setRoom={setRoom} coverage={coverage} />
+            <ProjectPanel name={projectName} setName={setProjectName} notes={projectNotes} setNotes={setProjectNotes} onSave={saveProject} onOpen={openProject} />
           </div>
 
           <div className="lg:col-span-2 grid grid-cols-1 gap-6">
             <div className="rounded-2xl border p-4 shadow-sm">
               <div className="flex items-center justify-between mb-3">
-                <div className="text-sm font-medium">Поле температур</div>
+                <div className="flex items-center gap-3">
+                  <div className="text-sm font-medium">Поле температур</div>
+                  <SolveStatus progress={progress} preview={results?.preview} />
+                </div>
                 <Button size="sm" variant="outline" onClick={()=> setFloatField(v=>!v)}>{floatField ? 'Прикрепить' : 'Открепить'}</Button>
               </div>
+              <SolveError error={solveError} />
               {!floatField && (
                 <>
                   <div className="rounded-2xl overflow-hidden border shadow-sm relative">
-                    <canvas ref={canvasRef} className="w-full h-auto block" onMouseMove={handleMouseMove} onMouseLeave={handleMouseLeave} />
+                    <canvas ref={canvasRef} className="w-full h-auto block cursor-crosshair" onMouseMove={handleMouseMove} onMouseLeave={handleMouseLeave} onClick={handleFieldClick} title="Щелчок — поставить или убрать зонд T(y)" />
                     {hover && (
                       <div className="absolute pointer-events-none text-[11px] px-2 py-1 rounded-md bg-black/80 text-white shadow"
                            style={{ left: Math.min(Math.max(hover.x+8, 4), (canvasRef.current?.clientWidth||0)-80), top: Math.min(Math.max(hover.y+8, 4), (canvasRef.current?.clientHeight||0)-24) }}>
-                        {`T = ${fmt(hover.T,2)} °C`}
+                        {`T = ${fmt(hover.T,2)} °C`}{hover.q !== null && ` · |q| = ${fmt(hover.q,1)} W/m²`}
                       </div>
                     )}
                   </div>
                   <div className="flex flex-wrap items-center justify-end mt-2 gap-3 text-sm">
                     <Label>Фиксировать шкалу по T</Label>
-                    <input type="checkbox" checked={fixScale} onChange={(e)=> setFixScale(e.target.checked)} />
+                    <input type="checkbox" checked={fixScale} onChange={(e)=> setFixScale(e.target.checked)} disabled={userScale} />
                     <Label className="ml-4">Контраст</Label>
                     <input type="range" min={1} max={3} step={0.1} value={contrast} onChange={(e)=> setContrast(parseFloat(e.target.value))} className="w-40" />
                     <Label className="ml-4">Изолинии</Label>
                     <input type="checkbox" checked={showIso} onChange={(e)=> setShowIso(e.target.checked)} />
+                    <FluxControls quantity={quantity} setQuantity={setQuantity} flux={flux} setFlux={setFlux} />
+                    <ColorScaleControls value={{ palette, userScale, scaleMin, scaleMax, insulFade }} set={{ setPalette, setUserScale, setScaleMin, setScaleMax, setInsulFade }} range={results && fieldScale(results.params, fieldView)} />
+                    <FieldImageExport results={results} title={projectName} view={{ fixScale, contrast, palette, userScale, scaleMin, scaleMax, insulFade, showIso, isoStep, quantity, flux }} />
                   </div>
                 </>
               )}
             </div>
 
+            {results && <ProbePanel results={results} probes={probes} setProbes={setProbes} />}
+
             <div className="rounded-2xl border p-4 shadow-sm">
               <div className="flex items-center justify-between mb-3">
                 <div className="text-sm font-medium">Результаты</div>
@@ -1039,8 +911,11 @@ export default function App() {
                     <Metric label="q↓ средняя" value={`${results?.metrics.qDownMean} W/m²`} />
                     <Metric label="Доля вверх" value={`${results?.metrics.upShare}%`} />
                     <Metric label="q суммарная" value={`${results?.metrics.qTotal} W/m²`} />
+                    {results?.edge && <Metric label="Краевая зона Tпов ср/макс" value={`${results.edge.TedgeAvg} / ${results.edge.TedgeMax} °C`} />}
+                    {results?.edge && <Metric label="Поток в стену" value={`${results.edge.qWall} W/m`} />}
                   </div>
                   <div className="mt-3 text-xs">
+                    <ConvergenceWarning debug={results?.debug} preview={results?.preview} />
                     {results?.norms?.exceedAvg && (
                       <div className="rounded-md border border-amber-300 bg-amber-50 text-amber-900 px-3 py-2">
                         Превышен норматив по средней температуре поверхности для жилых помещений (СП 60.13330):
@@ -1049,10 +924,51 @@ export default function App() {
                     )}
                     {results?.norms?.exceedMax && (
                       <div className="rounded-md border border-red-300 bg-red-50 text-red-900 px-3 py-2 mt-2">
-                        Превышен норматив по максимальной температуре поверхности (DIN EN 1264):
-                        Tпов макс = {results.metrics.Tmax} °C {">"} {results.norms.dinMaxLimit} °C.
+                        Превышен норматив по максимальной температуре поверхности (DIN EN 1264){results.edge ? ' в зоне пребывания' : ''}:
+                        Tпов макс = {results.edge ? results.edge.TmaxOcc : results.metrics.Tmax} °C {">"} {results.norms.dinMaxLimit} °C.
+                      </div>
+                    )}
+                    {results?.norms?.exceedEdge && (
+                      <div className="rounded-md border border-red-300 bg-red-50 text-red-900 px-3 py-2 mt-2">
+                        Превышен норматив для краевой зоны (DIN EN 1264): Tпов макс = {results.edge.TedgeMax} °C {">"} {results.norms.edgeMaxLimit} °C.
                       </div>
                     )}
+                    <CoverageIndicator coverage={coverage} advice={adviceFresh} spacing={spacing} />
+                    <SolveError error={advice.error} />
+                  </div>
+                  <ResultsExport results={results} />
+                  <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4 items-start">
+                    <div className="md:col-span-2">
+                      <div className="text-xs text-gray-600 mb-1">
+                        Сходимость: {results?.debug ? `${results.debug.iterations} итераций, невязка ${results.debug.residual.toExponential(1)} °C` : '—'}
+                      </div>
+                      <div className="h-28">
+                        <ResponsiveContainer width="100%" height="100%">
+                          <LineChart data={residualData} margin={{ top: 4, right: 8, left: 0, bottom: 0 }}>
+                            <XAxis dataKey="it" type="number" domain={[1, "dataMax"]} tick={{ fontSize: 10 }} />
+                            <YAxis scale="log" domain={["auto","auto"]} allowDataOverflow tick={{ fontSize: 10 }} tickFormatter={(v)=> Number(v).toExponential(0)} width={44} />
+                            <Tooltip formatter={(val)=> [`${Number(val).toExponential(2)} °C`, 'невязка']} labelFormatter={(v)=> `итерация ${v}`} />
+                            <Line isAnimationActive={false} type="monotone" dataKey="r" dot={false} strokeWidth={1.5} />
+                          </LineChart>
+                        </ResponsiveContainer>
+                      </div>
+                    </div>
+                    <div className="space-y-2 text-sm">
+                      <div className="grid grid-cols-5 gap-2 items-center">
+                        <Label className="col-span-2">Метод</Label>
+                        <select className="col-span-3 border rounded-md px-2 py-1 bg-white text-sm" value={method} onChange={(e)=> setMethod(e.target.value)}>
+                          <option value="point">SOR</option>
+                          <option value="line">Линейный SOR</option>
+                        </select>
+                      </div>
+                      <div className="grid grid-cols-5 gap-2 items-center">
+                        <Label className="col-span-2">Допуск, °C</Label>
+                        <select className="col-span-3 border rounded-md px-2 py-1 bg-white text-sm" value={tol} onChange={(e)=> setTol(parseFloat(e.target.value))}>
+                          {[1e-3, 1e-4, 1e-5, 1e-6].map(v => <option key={v} value={v}>{v.toExponential(0)}</option>)}
+                        </select>
+                      </div>
+                      <SliderField label="Макс. итераций" min={500} max={20000} step={500} value={maxIter} onChange={setMaxIter} />
+                    </div>
                   </div>
                 </>
               )}
@@ -1070,7 +986,7 @@ export default function App() {
                   <div className="h-80">
                     <ResponsiveContainer width="100%" height="100%">
                       <LineChart data={profileData} margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
-                        <XAxis dataKey="x" tickFormatter={(v)=>`${(parseFloat(v)*1000|0)} мм`} interval={11} />
+                        <XAxis dataKey="x" tickFormatter={(v)=>`${(parseFloat(v)*1000|0)} мм`} interval={profileTickInterval} />
                         <YAxis yAxisId="left" domain={["auto","auto"]} label={{ value: "T, °C", angle: -90, position: "insideLeft" }} />
                         <YAxis yAxisId="right" orientation="right" domain={["auto","auto"]} label={{ value: "q↑, W/m²", angle: -90, position: "insideRight" }} />
                         <Tooltip formatter={(val, name)=> name==="T"? [`${val} °C`,`Tпов`] : [`${val} W/m²`,`q↑`]} labelFormatter={(v)=>`x = ${(parseFloat(v)*1000|0)} мм`} />
@@ -1085,10 +1001,24 @@ export default function App() {
                 </>
               )}
               </div>
+
+            <ScenarioPanel scenarios={scenarios} setScenarios={setScenarios} results={results} input={debounced} view={fieldView} showIso={showIso} isoStep={isoStep} flux={flux} />
+
+            {loop && <LoopPanel loop={loop} />}
+
+            <TransientPanel input={debounced} view={fieldView} showIso={showIso} isoStep={isoStep} flux={flux} />
+
+            <ManifoldPanel input={debounced} />
+
+            <CharacteristicPanel input={debounced} />
+
+            <SweepPanel input={debounced} />
             </div>
 
         </div>
       </div>
+      {showLibrary && <MaterialLibraryModal library={library} setLibrary={setLibrary} onClose={()=> setShowLibrary(false)} />}
+
       {showFormulas && (
         <div className="fixed inset-0 z-[60] flex items-center justify-center">
           <div className="absolute inset-0 bg-black/50" onClick={()=> setShowFormulas(false)} />
@@ -1120,6 +1050,12 @@ export default function App() {
           <Metric label="Доля вверх" value={`${results?.metrics.upShare}%`} />
           <Metric label="q суммарная" value={`${results?.metrics.qTotal} W/m²`} />
         </div>
+        <div className="mt-3 text-xs">
+          <ConvergenceWarning debug={results?.debug} preview={results?.preview} />
+          <CoverageIndicator coverage={coverage} advice={adviceFresh} spacing={spacing} />
+          <SolveError error={advice.error} />
+        </div>
+        <ResultsExport results={results} />
       </DraggableWindow>
 
       <DraggableWindow
@@ -1131,7 +1067,7 @@ export default function App() {
         <div className="h-[360px] w-full">
           <ResponsiveContainer width="100%" height="100%">
             <LineChart data={profileData} margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
-              <XAxis dataKey="x" tickFormatter={(v)=>`${(parseFloat(v)*1000|0)} мм`} interval={11} />
+              <XAxis dataKey="x" tickFormatter={(v)=>`${(parseFloat(v)*1000|0)} мм`} interval={profileTickInterval} />
               <YAxis yAxisId="left" domain={["auto","auto"]} label={{ value: "T, °C", angle: -90, position: "insideLeft" }} />
               <YAxis yAxisId="right" orientation="right" domain={["auto","auto"]} label={{ value: "q↑, W/m²", angle: -90, position: "insideRight" }} />
               <Tooltip formatter={(val, name)=> name==="T"? [`${val} °C`,`Tпов`] : [`${val} W/m²`,`q↑`]} labelFormatter={(v)=>`x = ${(parseFloat(v)*1000|0)} мм`} />
@@ -1148,22 +1084,27 @@ export default function App() {
         initial={{ x: 700, y: 40, w: 600, h: undefined }}
         onClose={()=> setFloatField(false)}
       >
+        <div className="mb-2"><SolveStatus progress={progress} preview={results?.preview} /></div>
+        <SolveError error={solveError} />
         <div className="rounded-2xl overflow-hidden border shadow-sm relative">
-          <canvas ref={canvasRef} className="w-full h-auto block" onMouseMove={handleMouseMove} onMouseLeave={handleMouseLeave} />
+          <canvas ref={canvasRef} className="w-full h-auto block cursor-crosshair" onMouseMove={handleMouseMove} onMouseLeave={handleMouseLeave} onClick={handleFieldClick} title="Щелчок — поставить или убрать зонд T(y)" />
           {hover && (
             <div className="absolute pointer-events-none text-[11px] px-2 py-1 rounded-md bg-black/80 text-white shadow"
                  style={{ left: Math.min(Math.max(hover.x+8, 4), (canvasRef.current?.clientWidth||0)-80), top: Math.min(Math.max(hover.y+8, 4), (canvasRef.current?.clientHeight||0)-24) }}>
-              {`T = ${fmt(hover.T,2)} °C`}
+              {`T = ${fmt(hover.T,2)} °C`}{hover.q !== null && ` · |q| = ${fmt(hover.q,1)} W/m²`}
             </div>
           )}
         </div>
         <div className="flex flex-wrap items-center justify-end mt-2 gap-3 text-sm">
           <Label>Фиксировать шкалу по T</Label>
-          <input type="checkbox" checked={fixScale} onChange={(e)=> setFixScale(e.target.checked)} />
+          <input type="checkbox" checked={fixScale} onChange={(e)=> setFixScale(e.target.checked)} disabled={userScale} />
           <Label className="ml-4">Контраст</Label>
           <input type="range" min={1} max={3} step={0.1} value={contrast} onChange={(e)=> setContrast(parseFloat(e.target.value))} className="w-40" />
           <Label className="ml-4">Изолинии</Label>
           <input type="checkbox" checked={showIso} onChange={(e)=> setShowIso(e.target.checked)} />
+          <FluxControls quantity={quantity} setQuantity={setQuantity} flux={flux} setFlux={setFlux} />
+          <ColorScaleControls value={{ palette, userScale, scaleMin, scaleMax, insulFade }} set={{ setPalette, setUserScale, setScaleMin, setScaleMax, setInsulFade }} range={results && fieldScale(results.params, fieldView)} />
+          <FieldImageExport results={results} title={projectName} view={{ fixScale, contrast, palette, userScale, scaleMin, scaleMax, insulFade, showIso, isoStep, quantity, flux }} />
         </div>
       </DraggableWindow>
 
@@ -1176,17 +1117,18 @@ export default function App() {
         <div className="space-y-3">
           <SliderField label="Температура воздуха" min={10} max={30} step={0.5} value={Tair} onChange={setTair} />
           <SliderField label="Подача" min={25} max={55} step={0.5} value={Ts} onChange={setTs} />
-          <SliderField label="Обратка" min={20} max={50} step={0.5} value={Tr} onChange={setTr} />
-          <div className="text-xs text-gray-600">Средняя температура теплоносителя: <b>{fmt(0.5*(Ts+Tr),1)} °C</b></div>
+          <SliderField label="Обратка" min={20} max={50} step={0.5} value={TrShown} onChange={setTr} disabled={autoReturn} />
+          <div className="text-xs text-gray-600">Средняя температура теплоносителя: <b>{fmt(0.5*(Ts+TrShown),1)} °C</b></div>
           <div className="grid grid-cols-5 items-center gap-3">
             <div className="col-span-3 flex items-center gap-2">
               <Label>Авто-обратка (фикс. расход)</Label>
-              <input type="checkbox" checked={autoReturn} onChange={(e)=> setAutoReturn(e.target.checked)} />
+              <input type="checkbox" checked={autoReturn} onChange={(e)=> toggleAutoReturn(e.target.checked)} />
             </div>
           </div>
           {(()=>{ const val = +flowLpm.toFixed(2); return (
-            <SliderField label="Расход контура, л/мин" min={0.5} max={6} step={0.1} value={val} onChange={(x)=> setFlowLpm(x)} disabled={!autoReturn} />
+            <SliderField label="Расход контура, л/мин" min={0.5} max={6} step={0.1} value={val} onChange={(x)=> setFlowLpm(x)} />
           )})()}
+          <HydraulicsInfo h={results?.hydraulics} />
         </div>
       </DraggableWindow>
 
@@ -1200,11 +1142,17 @@ export default function App() {
           {(()=>{ const val = Math.round(spacing*1000); return (
             <SliderField label="Шаг укладки, мм" min={50} max={300} step={10} value={val} onChange={(mm)=> setSpacing(mm/1000)} />
           )})()}
+          <SelectRow label="Труба" value={pipeType.id} onValueChange={choosePipe} items={PRESETS_PIPE} render={(p)=> `${p.name} (k=${p.k} W/m·K)`} />
           {(()=>{ const val = Math.round(pipeOD*1000); return (
             <SliderField label="Наружный диаметр трубы, мм" min={12} max={25} step={1} value={val} onChange={(mm)=> setPipeOD(mm/1000)} />
           )})()}
+          <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={pipeFilm} onChange={(e)=> setPipeFilm(e.target.checked)} /> Стенка трубы и теплоотдача воды</label>
+          <SliderField label="Площадь петли, м²" hint="Длина трубы петли = площадь / шаг укладки" min={2} max={30} step={0.5} value={areaM2} onChange={setAreaM2} />
+          <SliderField label="Число труб в срезе" min={1} max={10} step={1} value={nPipes} onChange={setNPipes} />
+          <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={edge} onChange={(e)=> setEdge(e.target.checked)} /> Краевая зона у наружной стены</label>
+          {edge && <EdgeZoneFields edgeStripT={edgeStripT} setEdgeStripT={setEdgeStripT} edgeStripK={edgeStripK} setEdgeStripK={setEdgeStripK} wallU={wallU} setWallU={setWallU} wallTout={wallTout} setWallTout={setWallTout} edgeBand={edgeBand} setEdgeBand={setEdgeBand} edgeSpacing={edgeSpacing} setEdgeSpacing={setEdgeSpacing} />}
           {(()=>{ const val = Math.round(screedThk*1000); return (
-            <SliderField label="Толщина стяжки, мм" min={50} max={120} step={5} value={val} onChange={(mm)=> setScreedThk(mm/1000)} />
+            <SliderField label="Толщина стяжки, мм" min={50} max={120} step={5} value={val} onChange={(mm)=> setScreedThk(mm/1000)} disabled={!!layers || system === 'dry'} />
           )})()}
         </div>
       </DraggableWindow>
@@ -1216,26 +1164,24 @@ export default function App() {
         onClose={()=> setFloatMaterials(false)}
       >
         <div className="space-y-3">
-          <SelectRow label="Покрытие" value={cover.id} onValueChange={(v)=> setCover(PRESETS_COVER.find(p=>p.id===v) || PRESETS_COVER[0])} items={PRESETS_COVER} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
-          <SelectRow label="Стяжка" value={screed.id} onValueChange={(v)=> setScreed(PRESETS_SCREED.find(p=>p.id===v) || PRESETS_SCREED[0])} items={PRESETS_SCREED} render={(p)=> `${p.name} (k=${p.k} W/m·K)`} />
-          <SelectRow label="Подложка (между стяжкой и утеплителем)" value={under.id} onValueChange={(v)=> setUnder(PRESETS_UNDERLAY.find(p=>p.id===v) || PRESETS_UNDERLAY[0])} items={PRESETS_UNDERLAY} render={(p)=> p.name} />
-          <SelectRow label="Утеплитель" value={insul.id} onValueChange={(v)=> setInsul(PRESETS_INSULATION.find(p=>p.id===v) || PRESETS_INSULATION[0])} items={PRESETS_INSULATION} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
-          {results?.underInfo && (
+          <SelectRow label="Система" value={system} onValueChange={setSystem} items={SYSTEMS} render={(s)=> s.name} />
+          {system === 'dry' ? (<>
+            <SelectRow label="Покрытие" value={cover.id} onValueChange={(v)=> setCover(materialOptions(lists.cover, cover).find(p=>p.id===v))} items={materialOptions(lists.cover, cover)} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
+            <DrySystemFields dryBase={dryBase} setDryBase={setDryBase} dryBoard={dryBoard} setDryBoard={setDryBoard} plateT={plateT} setPlateT={setPlateT} plateW={plateW} setPlateW={setPlateW} />
+            <SelectRow label="Утеплитель" value={insul.id} onValueChange={(v)=> setInsul(materialOptions(lists.insul, insul).find(p=>p.id===v))} items={materialOptions(lists.insul, insul)} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
+          </>) : (<>
+          <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={!!layers} onChange={(e)=> toggleStack(e.target.checked)} /> Свой пирог: слои по порядку, слой с трубой отмечен</label>
+          {layers ? <StackEditor layers={layers} setLayers={setLayers} lists={lists} /> : (<>
+            <SelectRow label="Покрытие" value={cover.id} onValueChange={(v)=> setCover(materialOptions(lists.cover, cover).find(p=>p.id===v))} items={materialOptions(lists.cover, cover)} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
+            <SelectRow label="Стяжка" value={screed.id} onValueChange={(v)=> setScreed(materialOptions(lists.screed, screed).find(p=>p.id===v))} items={materialOptions(lists.screed, screed)} render={(p)=> `${p.name} (k=${p.k} W/m·K)`} />
+            <SelectRow label="Подложка (между стяжкой и утеплителем)" value={under.id} onValueChange={(v)=> setUnder(materialOptions(lists.under, under).find(p=>p.id===v))} items={materialOptions(lists.under, under)} render={(p)=> p.name} />
+            <SelectRow label="Утеплитель" value={insul.id} onValueChange={(v)=> setInsul(materialOptions(lists.insul, insul).find(p=>p.id===v))} items={materialOptions(lists.insul, insul)} render={(p)=> `${p.name}${p.t?` (k=${p.k})`:''}`} />
+          </>)}
+          </>)}
+          {system !== 'dry' && results?.underInfo && (
             <div className="text-xs text-gray-700 border rounded-md p-2 bg-gray-50">
               <div className="font-medium mb-1">Подложка — эквивалентное сопротивление (ISO 6946):</div>
-              {results.underInfo.type === 'foil' && (
-                <div>
-                  Чистая фольга в контакте: нет воздушного зазора → R≈0 → влияния на теплопередачу нет.
-                </div>
-              )}
-              {results.underInfo.type === 'bubble' && (
-                <div>
-                  Воздушный зазор t = {fmt(results.underInfo.tGap,3)} м: базовое Rₐᵢʳ ≈ {fmt(results.underInfo.Rair_base,3)} м²K/Вт. Низкая эмиссия фольги (ε≈{results.underInfo.eps}) даёт радиационный множитель ≈ {fmt(results.underInfo.rad_factor,2)} → Rᵍₐₚ ≈ {fmt(results.underInfo.Rgap,3)} м²K/Вт, эквивалентная k ≈ {fmt(results.underInfo.kUnder,3)} W/m·K. Поэтому эффект «фольга+пузырьки» минимальный.
-                </div>
-              )}
-              {results.underInfo.type === 'none' && (
-                <div>Подложка отсутствует.</div>
-              )}
+              <div>{underlayText(results.underInfo, results.metrics1D)}</div>
             </div>
           )}
         </div>
@@ -1300,6 +1246,190 @@ function SliderField({ label, min, max, step, value, onChange, hint, disabled })
   );
 }
 
+// Варианты материала: справочник с библиотекой пользователя и текущий материал, если он взят из файла проекта или ссылки и в списке его нет
+function materialOptions(list, current){
+  return list.some(p => p.id === current.id) ? list : [...list, current];
+}
+
+// Свой пирог: слои сверху вниз — материал (из всех групп), толщина, слой с трубой, порядок
+function StackEditor({ layers, setLayers, lists }){
+  const update = (n, patch)=> setLayers(layers.map((l, i)=> i === n ? { ...l, ...patch } : l));
+  const move = (n, d)=> {
+    const next = [...layers];
+    [next[n], next[n + d]] = [next[n + d], next[n]];
+    setLayers(next);
+  };
+  const remove = (n)=> {
+    const next = layers.filter((_, i)=> i !== n);
+    // Труба удалённого слоя переходит в первую стяжку (или в первый слой)
+    const keep = next.find(l => l.pipe) ?? next.find(l => l.group === 'screed') ?? next[0];
+    setLayers(next.map(l => ({ ...l, pipe: l === keep })));
+  };
+  const pick = (n, value)=> {
+    const [group, id] = value.split(':');
+    const m = lists[group].find(p => p.id === id);
+    const l = layers[n];
+    update(n, { group, material: m, t: group === 'screed' ? (l.group === 'screed' ? l.t : 0.05) : (m.t ?? l.t) });
+  };
+  const total = layers.reduce((s, l)=> s + l.t, 0);
+  return (
+    <div className="space-y-1">
+      <table className="w-full text-sm">
+        <thead className="text-xs text-gray-500 text-left">
+          <tr><th className="pr-2">Материал</th><th className="pr-2">t, мм</th><th className="pr-2" title="Слой с трубой">Труба</th><th /></tr>
+        </thead>
+        <tbody>
+          {layers.map((l, n)=> (
+            <tr key={n}>
+              <td className="pr-2 py-0.5">
+                <select className="border rounded-md px-2 py-1 bg-white text-sm w-full" value={`${l.group}:${l.material.id}`} onChange={(e)=> pick(n, e.target.value)}>
+                  {Object.entries(MATERIAL_GROUPS).map(([g, def]) => (
+                    <optgroup key={g} label={def.label}>
+                      {materialOptions(lists[g], l.group === g ? l.material : lists[g][0]).map(p => <option key={p.id} value={`${g}:${p.id}`}>{p.name}</option>)}
+                    </optgroup>
+                  ))}
+                </select>
+              </td>
+              <td className="pr-2">
+                <input className="border rounded-md px-2 py-1 bg-white text-sm w-20 tabular-nums" type="number" min={0} max={300} step={1}
+                  value={+(l.t * 1000).toFixed(1)} onChange={(e)=> { const mm = parseFloat(e.target.value); if (Number.isFinite(mm)) update(n, { t: Math.min(0.3, Math.max(0, mm / 1000)) }); }} />
+              </td>
+              <td className="pr-2 text-center">
+                <input type="radio" name="pipeLayer" checked={l.pipe} onChange={()=> setLayers(layers.map((x, i)=> ({ ...x, pipe: i === n })))} />
+              </td>
+              <td className="text-right whitespace-nowrap">
+                <button className="text-gray-600 hover:text-gray-900 disabled:opacity-30 px-1" disabled={n === 0} onClick={()=> move(n, -1)} aria-label="Выше">↑</button>
+                <button className="text-gray-600 hover:text-gray-900 disabled:opacity-30 px-1" disabled={n === layers.length - 1} onClick={()=> move(n, 1)} aria-label="Ниже">↓</button>
+                <button className="text-gray-500 hover:text-gray-900 disabled:opacity-30 px-1" disabled={layers.length === 1} onClick={()=> remove(n)} aria-label="Удалить слой">✕</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex items-center justify-between text-xs text-gray-600">
+        <Button size="sm" variant="outline" onClick={()=> setLayers([...layers, { group: 'insul', material: lists.insul[0], t: lists.insul[0].t, pipe: false }])}>+ Слой</Button>
+        <span>Сверху вниз, всего {fmt(total * 1000, 0)} мм. Слой с трубой — не тоньше 20 мм; фольга и мат — без толщины.</span>
+      </div>
+    </div>
+  );
+}
+
+// Выгрузка результатов: набор данных и формат; во время предварительного (грубого) расчёта недоступна
+function ResultsExport({ results }){
+  const [what, setWhat] = useState('profile');
+  const ready = !!results?.field && !results.preview;
+  const save = (format)=> {
+    const { text, fileName, type } = exportResult(results, what, format);
+    downloadText(text, fileName, type);
+  };
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+      <Label>Экспорт</Label>
+      <select className="border rounded-md px-2 py-1 bg-white text-sm" value={what} onChange={(e)=> setWhat(e.target.value)}>
+        {Object.entries(RESULT_EXPORTS).map(([k, d]) => <option key={k} value={k}>{d.label}</option>)}
+      </select>
+      <Button size="sm" variant="outline" disabled={!ready || what === 'all'} onClick={()=> save('csv')} title="Таблица для электронных таблиц (разделитель «,», точка в числах)">CSV</Button>
+      <Button size="sm" variant="outline" disabled={!ready} onClick={()=> save('json')}>JSON</Button>
+      {!ready && results?.preview && <span className="text-xs text-gray-500">дождитесь точного расчёта</span>}
+    </div>
+  );
+}
+
+// Изображение поля для отчётов: PNG или SVG выбранной ширины со шкалой, линейкой и штампом
+function FieldImageExport({ results, title, view }){
+  const [widthPx, setWidthPx] = useState(2400);
+  const ready = !!results?.field && !results.preview;
+  const opts = { ...view, widthPx, title };
+  const name = projectFileName(title || 'field').replace(/\.json$/, '');
+  const savePNG = ()=> fieldImagePNG(results, opts).toBlob(blob => {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob); a.download = `${name}.png`; a.click();
+    URL.revokeObjectURL(a.href);
+  }, 'image/png');
+  return (
+    <span className="inline-flex items-center gap-2 ml-4">
+      <select className="border rounded-md px-2 py-1 bg-white text-sm" value={widthPx} onChange={(e)=> setWidthPx(Number(e.target.value))} title="Ширина изображения">
+        {IMAGE_WIDTHS.map(w => <option key={w} value={w}>{w} px</option>)}
+      </select>
+      <Button size="sm" variant="outline" disabled={!ready} onClick={savePNG}>PNG</Button>
+      <Button size="sm" variant="outline" disabled={!ready} onClick={()=> downloadText(fieldImageSVG(results, opts), `${name}.svg`, 'image/svg+xml')}>SVG</Button>
+    </span>
+  );
+}
+
+// Что показывает поле (температура или |q|) и тепловой поток поверх него
+function FluxControls({ quantity, setQuantity, flux, setFlux }){
+  const cls = "border rounded-md px-2 py-1 bg-white text-sm";
+  return (
+    <>
+      <Label className="ml-4">Цвет</Label>
+      <select className={cls} value={quantity} onChange={(e)=> setQuantity(e.target.value)}>
+        <option value="T">Температура</option>
+        <option value="q">|q|, W/m²</option>
+      </select>
+      <Label className="ml-4">Поток</Label>
+      <select className={cls} value={flux} onChange={(e)=> setFlux(e.target.value)} title="Плотность теплового потока −k∇T; линии, уходящие вниз, — малиновые">
+        <option value="none">Нет</option>
+        <option value="arrows">Стрелки</option>
+        <option value="lines">Линии тока</option>
+      </select>
+    </>
+  );
+}
+
+// Палитра, пределы шкалы пользователя и приглушение утеплителя; range — текущая шкала (подставляется при включении своих пределов)
+function ColorScaleControls({ value, set, range }){
+  const { palette, userScale, scaleMin, scaleMax, insulFade } = value;
+  const num = (v, setter)=> { const x = parseFloat(v); if (Number.isFinite(x)) setter(x); };
+  function toggleUser(on){
+    if (on && range){ set.setScaleMin(+range[0].toFixed(1)); set.setScaleMax(+range[1].toFixed(1)); }
+    set.setUserScale(on);
+  }
+  return (
+    <>
+      <Label className="ml-4">Палитра</Label>
+      <select className="border rounded-md px-2 py-1 bg-white text-sm" value={palette} onChange={(e)=> set.setPalette(e.target.value)}>
+        {Object.entries(PALETTES).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+      </select>
+      <Label className="ml-4">Свои пределы</Label>
+      <input type="checkbox" checked={userScale} onChange={(e)=> toggleUser(e.target.checked)} />
+      {userScale && (
+        <span className="inline-flex items-center gap-1">
+          <input type="number" step={0.5} min={-10} max={60} className="border rounded-md px-2 py-1 bg-white text-sm w-20" value={scaleMin} onChange={(e)=> num(e.target.value, set.setScaleMin)} />
+          …
+          <input type="number" step={0.5} min={0} max={80} className="border rounded-md px-2 py-1 bg-white text-sm w-20" value={scaleMax} onChange={(e)=> num(e.target.value, set.setScaleMax)} />
+          °C
+          {scaleMax <= scaleMin && <span className="text-xs text-red-700">макс ≤ мин — шкала авто</span>}
+        </span>
+      )}
+      <Label className="ml-4" title="Визуальное сжатие контраста в утеплителе: T' = Tair − (Tair − T)·0.6">Приглушать утеплитель</Label>
+      <input type="checkbox" checked={insulFade} onChange={(e)=> set.setInsulFade(e.target.checked)} />
+    </>
+  );
+}
+
+// Краевая зона: демпферная лента, наружная стена и полоса у стены с уменьшенным шагом
+function EdgeZoneFields({ edgeStripT, setEdgeStripT, edgeStripK, setEdgeStripK, wallU, setWallU, wallTout, setWallTout, edgeBand, setEdgeBand, edgeSpacing, setEdgeSpacing }){
+  return (<>
+    <SliderField label="Демпферная лента, мм" min={5} max={30} step={1} value={Math.round(edgeStripT*1000)} onChange={(mm)=> setEdgeStripT(mm/1000)} />
+    <SliderField label="k ленты, W/m·K" min={0.02} max={0.2} step={0.005} value={edgeStripK} onChange={setEdgeStripK} />
+    <SliderField label="U наружной стены, W/m²K" hint="Без сопротивления у внутренней поверхности (0.13 м²K/Вт): пол примыкает к стене" min={0.1} max={2} step={0.05} value={wallU} onChange={setWallU} />
+    <SliderField label="Наружная температура, °C" min={-45} max={5} step={1} value={wallTout} onChange={setWallTout} />
+    <SliderField label="Ширина краевой зоны, мм" hint="Число труб полосы = ширина / шаг в ней" min={100} max={1000} step={50} value={Math.round(edgeBand*1000)} onChange={(mm)=> setEdgeBand(mm/1000)} />
+    <SliderField label="Шаг в краевой зоне, мм" min={50} max={300} step={10} value={Math.round(edgeSpacing*1000)} onChange={(mm)=> setEdgeSpacing(mm/1000)} />
+  </>);
+}
+
+// Сухая система: основание с трубой, плита под покрытием и алюминиевые пластины
+function DrySystemFields({ dryBase, setDryBase, dryBoard, setDryBoard, plateT, setPlateT, plateW, setPlateW }){
+  return (<>
+    <SelectRow label="Основание с трубой" value={dryBase.id} onValueChange={(v)=> setDryBase(PRESETS_DRY_BASE.find(p=>p.id===v))} items={PRESETS_DRY_BASE} render={(p)=> `${p.name} (k=${p.k})`} />
+    <SelectRow label="Плита под покрытием" value={dryBoard.id} onValueChange={(v)=> setDryBoard(PRESETS_DRY_BOARD.find(p=>p.id===v))} items={PRESETS_DRY_BOARD} render={(p)=> `${p.name} (k=${p.k} W/m·K)`} />
+    <SliderField label="Толщина пластины, мм" hint="Алюминий, k = 200 W/m·K" min={0.2} max={2} step={0.1} value={+(plateT*1000).toFixed(1)} onChange={(mm)=> setPlateT(mm/1000)} />
+    <SliderField label="Ширина пластины, мм" hint="Полка шире шага укладки обрезается по шагу" min={40} max={300} step={10} value={Math.round(plateW*1000)} onChange={(mm)=> setPlateW(mm/1000)} />
+  </>);
+}
+
 function SelectRow({ label, value, onValueChange, items, render }){
   return (
     <div className="grid grid-cols-5 gap-3 items-center">
@@ -1317,6 +1447,979 @@ function SelectRow({ label, value, onValueChange, items, render }){
   );
 }
 
+function TransientPanel({ input, view, showIso, isoStep, flux }){
+  const { result, progress, error, run } = useTaskSolver('transient', simulateTransient);
+  const [mode, setMode] = useState('heatup');
+  const [hours, setHours] = useState(24);
+  const [target, setTarget] = useState(26);
+  const [frame, setFrame] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const canvasRef = useRef(null);
+
+  useEffect(()=>{ setFrame(0); setPlaying(false); }, [result]);
+  useEffect(()=>{
+    if (!playing || !result) return;
+    const id = setInterval(()=> setFrame(f => {
+      if (f >= result.frames.length - 1){ setPlaying(false); return f; }
+      return f + 1;
+    }), 150);
+    return ()=> clearInterval(id);
+  }, [playing, result]);
+
+  // Кадр поля в том же виде, что и стационарный результат, — для общей отрисовки
+  const frameRes = useMemo(()=>{
+    if (!result) return null;
+    const { base, frames } = result;
+    const fr = frames[Math.min(frame, frames.length - 1)];
+    const surf = Array.from(fr.T.subarray(0, base.grid.NX));
+    const res = { ...base, field: { ...base.field, T: fr.T }, debug: { ...base.debug, pipeTemps: fr.pipeTemps },
+      metrics: { ...base.metrics, Tmin: Math.min(...surf), Tmax: Math.max(...surf) } };
+    const px = renderField(res, { ...view, widthPx: 560 });
+    return { ...res, img: new ImageData(px.data, px.width, px.height), colorScale: px.colorScale };
+  }, [result, frame, view]);
+
+  useEffect(()=>{ drawFieldCanvas(canvasRef.current, frameRes, { showIso, isoStep, legend: true, flux }); }, [frameRes, showIso, isoStep, flux]);
+
+  const chartData = useMemo(()=>{
+    if (!result) return [];
+    const step = Math.max(1, Math.ceil(result.series.length / 300));
+    return result.series.filter((_, i)=> i % step === 0 || i === result.series.length - 1)
+      .map(s => ({ t: +s.t.toFixed(3), Tavg: +s.Tavg.toFixed(2), Tmax: +s.Tmax.toFixed(2), qUp: +s.qUp.toFixed(1) }));
+  }, [result]);
+
+  const stale = result && result.input !== input;
+  const tFrame = result ? result.frames[Math.min(frame, result.frames.length - 1)].t : 0;
+  const fmtHours = (h)=> `${Math.floor(h)} ч ${String(Math.round((h % 1) * 60)).padStart(2, '0')} мин`;
+
+  return (
+    <div className="rounded-2xl border p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-3">
+          <div className="text-sm font-medium">Прогрев и остывание</div>
+          <SolveStatus progress={progress} />
+        </div>
+        <Button size="sm" onClick={()=> run(input, { mode, hours, target })} disabled={!!progress}>Рассчитать</Button>
+      </div>
+      <SolveError error={error} />
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-5 gap-3 items-center">
+          <Label className="col-span-2">Режим</Label>
+          <select className="col-span-3 border rounded-md px-3 py-2 bg-white text-sm" value={mode} onChange={(e)=> setMode(e.target.value)}>
+            <option value="heatup">Прогрев из холодного</option>
+            <option value="cooldown">Остывание (насос остановлен)</option>
+          </select>
+        </div>
+        <SliderField label="Длительность, ч" min={1} max={72} step={1} value={hours} onChange={setHours} />
+        <SliderField label="Целевая Tпов ср, °C" min={18} max={35} step={0.5} value={target} onChange={setTarget} />
+      </div>
+      {result && (
+        <>
+          <div className="mt-3 text-xs">
+            <div className="rounded-md border bg-gray-50 px-3 py-2">
+              {result.mode === 'heatup' ? 'Прогрев' : 'Остывание'} до Tпов ср = {result.target} °C:{' '}
+              <b>{result.targetTime === null ? `не достигается за ${result.hours} ч` : fmtHours(result.targetTime)}</b>
+              {' '}(стационарная Tпов ср = {result.base.metrics.Tavg} °C, шаг по времени {Math.round(result.dt)} с)
+            </div>
+            {stale && (
+              <div className="rounded-md border border-amber-300 bg-amber-50 text-amber-900 px-3 py-2 mt-2">
+                Параметры изменились после расчёта — нажмите «Рассчитать», чтобы обновить.
+              </div>
+            )}
+          </div>
+          <div className="rounded-2xl overflow-hidden border shadow-sm mt-3">
+            <canvas ref={canvasRef} className="w-full h-auto block" />
+          </div>
+          <div className="flex items-center gap-3 mt-2 text-sm">
+            <Button size="sm" variant="outline" onClick={()=>{ if (frame >= result.frames.length - 1) setFrame(0); setPlaying(p => !p); }}>{playing ? 'Пауза' : 'Пуск'}</Button>
+            <input type="range" className="flex-1 accent-gray-800" min={0} max={result.frames.length - 1} step={1} value={frame} onChange={(e)=>{ setPlaying(false); setFrame(parseInt(e.target.value, 10)); }} />
+            <span className="text-xs tabular-nums w-24 text-right">t = {fmtHours(tFrame)}</span>
+          </div>
+          <div className="h-64 mt-3">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                <XAxis dataKey="t" type="number" domain={[0, "dataMax"]} tickFormatter={(v)=> `${fmt(v,1)} ч`} />
+                <YAxis yAxisId="left" domain={["auto","auto"]} label={{ value: "T, °C", angle: -90, position: "insideLeft" }} />
+                <YAxis yAxisId="right" orientation="right" domain={["auto","auto"]} label={{ value: "q↑, W/m²", angle: -90, position: "insideRight" }} />
+                <Tooltip formatter={(val, name)=> name === 'qUp' ? [`${val} W/m²`, 'q↑'] : [`${val} °C`, name === 'Tavg' ? 'Tпов ср' : 'Tпов макс']} labelFormatter={(v)=> `t = ${fmtHours(v)}`} />
+                <ReferenceLine yAxisId="left" y={result.target} stroke="#999" strokeDasharray="4 4" />
+                <ReferenceLine yAxisId="left" x={tFrame} stroke="#333" />
+                <Line isAnimationActive={false} yAxisId="left" type="monotone" dataKey="Tavg" dot={false} strokeWidth={2} />
+                <Line isAnimationActive={false} yAxisId="left" type="monotone" dataKey="Tmax" dot={false} strokeWidth={1} stroke="#dc2626" />
+                <Line isAnimationActive={false} yAxisId="right" type="monotone" dataKey="qUp" dot={false} strokeDasharray="6 4" strokeWidth={2} stroke="#6b7280" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="text-xs text-gray-600 mt-2">
+            {result.mode === 'heatup'
+              ? 'Прогрев: с момента t = 0 в трубы подаётся теплоноситель с температурами текущего среза; исходное поле — равновесие без отопления.'
+              : 'Остывание: исходное поле — стационарный режим; в момент t = 0 насос останавливается, вода в трубах остывает вместе с полом.'}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Цвета зондов на поле и их кривых T(y), по порядку установки
+const PROBE_COLORS = ['#111827', '#dc2626', '#2563eb', '#059669', '#d97706'];
+
+// Вертикальные зонды: T(y) с границами слоёв и температуры на границах (ограничения клея, паркета)
+function ProbePanel({ results, probes, setProbes }){
+  const { W, totalH, S } = results.grid;
+  const { layers, pipes } = results.overlays;
+  const data = useMemo(()=> probes.map(u => probeProfile(results, u * W)), [results, probes]);
+  const name = (l)=> l.label || MATERIAL_GROUPS[l.group]?.label || l.id;
+  const pipe = pipes[Math.floor((pipes.length - 1) / 2)];
+  const add = (x)=> setProbes(list => list.length < PROBE_COLORS.length ? [...list, x / W] : list);
+  const between = pipe.x + S/2 <= W ? pipe.x + S/2 : pipe.x - S/2;
+  const where = (x)=> pipes.some(p => Math.abs(p.x - x) <= p.r) ? 'над трубой' : pipes.some(p => Math.abs(Math.abs(p.x - x) - S/2) < 0.1*S) ? 'между трубами' : '';
+  return (
+    <div className="rounded-2xl border p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3 gap-3">
+        <div className="text-sm font-medium">Зонды T(y)</div>
+        <div className="flex items-center gap-2">
+          <Button size="sm" variant="outline" onClick={()=> add(pipe.x)} disabled={probes.length >= PROBE_COLORS.length}>+ Над трубой</Button>
+          <Button size="sm" variant="outline" onClick={()=> add(between)} disabled={probes.length >= PROBE_COLORS.length}>+ Между трубами</Button>
+          <Button size="sm" variant="outline" onClick={()=> setProbes([])} disabled={!probes.length}>Убрать все</Button>
+        </div>
+      </div>
+      {!probes.length ? (
+        <div className="text-xs text-gray-600">Щёлкните по полю температур, чтобы поставить вертикальный зонд (до {PROBE_COLORS.length}), или добавьте его кнопкой. Повторный щелчок по зонду убирает его.</div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                <XAxis dataKey="T" type="number" domain={["auto", "auto"]} tickFormatter={(v)=> `${v}°`} />
+                <YAxis dataKey="y" type="number" reversed domain={[0, +(totalH*1000).toFixed(1)]} label={{ value: "Глубина, мм", angle: -90, position: "insideLeft" }} />
+                <Tooltip formatter={(val)=> [`${val} мм`, 'Глубина']} labelFormatter={(v)=> `T = ${v} °C`} />
+                {layers.slice(0, -1).map((l, i)=> (
+                  <ReferenceLine key={i} y={+(l.bottom*1000).toFixed(1)} stroke="#999" strokeDasharray="4 4" label={{ value: `${name(l)} / ${name(layers[i+1])}`, position: 'insideBottomRight', fontSize: 10, fill: '#666' }} />
+                ))}
+                {data.map((d, n)=> (
+                  <Line key={n} isAnimationActive={false} dot={false} strokeWidth={2} stroke={PROBE_COLORS[n]}
+                    data={d.points.map(p => ({ T: +p.T.toFixed(2), y: +(p.y*1000).toFixed(2) }))} dataKey="y" />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm tabular-nums">
+              <thead className="text-xs text-gray-500 text-left">
+                <tr>
+                  <th className="pr-3">Граница</th>
+                  {data.map((d, n)=> (
+                    <th key={n} className="pr-3" style={{ color: PROBE_COLORS[n] }}>
+                      {n + 1}: x = {Math.round(d.x*1000)} мм {where(d.x) && <span className="font-normal text-gray-500">({where(d.x)})</span>}
+                      <button className="ml-1 text-gray-500 hover:text-gray-900" onClick={()=> setProbes(list => list.filter((_, k)=> k !== n))} aria-label="Убрать зонд">✕</button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                <tr><td className="pr-3 py-0.5 text-gray-600">Поверхность, 0 мм</td>{data.map((d, n)=> <td key={n} className="pr-3">{fmt(d.surface, 2)} °C</td>)}</tr>
+                {layers.slice(0, -1).map((l, i)=> (
+                  <tr key={i}>
+                    <td className="pr-3 py-0.5 text-gray-600">{name(l)} / {name(layers[i+1])}, {fmt(l.bottom*1000, 1)} мм</td>
+                    {data.map((d, n)=> <td key={n} className="pr-3">{fmt(d.interfaces[i].T, 2)} °C</td>)}
+                  </tr>
+                ))}
+                <tr><td className="pr-3 py-0.5 text-gray-600">Низ сечения, {fmt(totalH*1000, 1)} мм</td>{data.map((d, n)=> <td key={n} className="pr-3">{fmt(d.bottom, 2)} °C</td>)}</tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Строки таблицы сравнения сценариев: группа результата, ключ, подпись, единицы
+const SCENARIO_ROWS = [
+  ['metrics', 'Tavg', 'Tпов ср', '°C'], ['metrics', 'Tmax', 'Tпов макс', '°C'], ['metrics', 'Tmin', 'Tпов мин', '°C'],
+  ['metrics', 'dTsurf', 'ΔTпов', '°C'], ['metrics', 'qUpMean', 'q↑ средняя', 'W/m²'], ['metrics', 'qDownMean', 'q↓ средняя', 'W/m²'],
+  ['metrics', 'upShare', 'Доля вверх', '%'], ['metrics', 'qTotal', 'q суммарная', 'W/m²'], ['metrics', 'over29', 'Площадь > 29 °C', '%'],
+  ['metrics', 'over31', 'Площадь > 31 °C', '%'], ['metrics', 'dFoot5', 'Δ на 5 см', '°C'], ['metrics', 'dFoot10', 'Δ на 10 см', '°C'],
+  ['metrics1D', 'Rpipe', 'R трубы', 'm²K/W'], ['metrics1D', 'Rcover', 'R покрытия', 'm²K/W'], ['metrics1D', 'Rscreed', 'R стяжки', 'm²K/W'], ['metrics1D', 'Runder', 'R подложки', 'm²K/W'],
+  ['metrics1D', 'Rconv', 'R конвекции', 'm²K/W'], ['metrics1D', 'q1D', 'q (1D)', 'W/m²'], ['metrics1D', 'Tsurf1D', 'Tпов (1D)', '°C'],
+  // Краевая зона — строки есть, если она включена хотя бы в одном сценарии
+  ['edge', 'TedgeMax', 'Tпов краевой зоны макс', '°C'], ['edge', 'qWall', 'Поток в стену', 'W/m'],
+];
+const SCENARIO_COLORS = ['#111827', '#2563eb', '#dc2626', '#059669', '#d97706', '#7c3aed', '#db2777'];
+
+// Сравнение сценариев: зафиксированные наборы параметров с результатами рядом с текущим расчётом
+function ScenarioPanel({ scenarios, setScenarios, results, input, view, showIso, isoStep, flux }){
+  const [name, setName] = useState('');
+  const nextId = scenarios.reduce((m, s)=> Math.max(m, s.id), 0) + 1;
+  const letter = (n)=> String.fromCharCode(64 + n);
+
+  function freeze(){
+    if (!results || results.preview) return;
+    setScenarios(list => [...list, { id: nextId, name: name.trim() || `Сценарий ${letter(nextId)}`, input: { ...input, ...view }, result: results }]);
+    setName('');
+  }
+
+  // Сценарии из файла проекта приходят без результатов — пересчитываются по одному
+  const solver = useTaskSolver('solve', (params)=> params.autoReturn ? solveFloorCoupled(params) : solveFloor(params));
+  const pending = scenarios.find(s => !s.result);
+  useEffect(()=>{ if (pending) solver.run(pending.input, { id: pending.id }); }, [pending]);
+  useEffect(()=>{
+    const r = solver.result;
+    if (r) setScenarios(list => list.map(s => s.id === r.options.id && !s.result && s.input === r.input ? { ...s, result: r } : s));
+  }, [solver.result]);
+  const ready = scenarios.filter(s => s.result);
+
+  // Текущий расчёт — последний столбец; общая цветовая шкала — объединение шкал всех сценариев,
+  // палитра и приглушение утеплителя — текущие
+  const all = useMemo(()=> [
+    ...ready,
+    ...(results && !results.preview ? [{ id: 0, name: 'Текущий', input: { ...input, ...view }, result: results }] : []),
+  ], [scenarios, results, input, view]);
+  const range = useMemo(()=>{
+    if (!all.length) return null;
+    const sc = all.map(s => fieldScale(s.result.params, { ...splitView(s.input).view, palette: view.palette }));
+    return [Math.min(...sc.map(r => r[0])), Math.max(...sc.map(r => r[1]))];
+  }, [all]);
+  const profiles = all.map(s => s.result.profile.map(p => ({ x: Math.round(parseFloat(p.x)*1000), T: p.T })));
+  const ref = all[0];
+
+  return (
+    <div className="rounded-2xl border p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3 gap-3">
+        <div className="text-sm font-medium">Сравнение сценариев</div>
+        <div className="flex items-center gap-2">
+          <input className="border rounded-md px-2 py-1 bg-white text-sm w-48" placeholder={`Сценарий ${letter(nextId)}`} value={name} onChange={(e)=> setName(e.target.value)} />
+          <Button size="sm" onClick={freeze} disabled={!results || results.preview || scenarios.length >= 6}>Зафиксировать</Button>
+        </div>
+      </div>
+      {!scenarios.length && (
+        <div className="text-xs text-gray-600">Зафиксируйте текущие параметры и результаты как сценарий, измените входы и сравните: поля в общей шкале, профили поверхности и таблица отличий.</div>
+      )}
+      <SolveError error={solver.error} />
+      {pending && <div className="text-xs text-gray-600">Пересчёт сценариев из проекта: {scenarios.length - ready.length - 1} в очереди, «{pending.name}» — {Math.round((solver.progress?.frac ?? 0) * 100)}%</div>}
+      {ready.length > 0 && range && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {all.map((s, k)=> (
+              <div key={s.id} className="rounded-xl border p-2">
+                <div className="flex items-center justify-between mb-1 text-xs">
+                  <span className="font-medium" style={{ color: SCENARIO_COLORS[k % SCENARIO_COLORS.length] }}>{s.name}</span>
+                  {s.id !== 0 && <button className="text-gray-500 hover:text-gray-900" onClick={()=> setScenarios(list => list.filter(x => x.id !== s.id))} aria-label="Удалить сценарий">✕</button>}
+                </div>
+                <ScenarioField result={s.result} view={view} range={range} showIso={showIso} isoStep={isoStep} flux={flux} />
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-gray-600 mt-1">Общая цветовая шкала: {fmt(range[0],1)}…{fmt(range[1],1)} °C</div>
+          <div className="h-72 mt-3">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                <XAxis dataKey="x" type="number" domain={[0, "dataMax"]} allowDuplicatedCategory={false} tickFormatter={(v)=> `${v} мм`} />
+                <YAxis dataKey="T" domain={["auto","auto"]} label={{ value: "Tпов, °C", angle: -90, position: "insideLeft" }} />
+                <Tooltip formatter={(val, n)=> [`${val} °C`, n]} labelFormatter={(v)=> `x = ${v} мм`} />
+                {all.map((s, k)=> (
+                  <Line key={s.id} isAnimationActive={false} data={profiles[k]} dataKey="T" name={s.name} dot={false}
+                    strokeWidth={s.id === 0 ? 2.5 : 1.5} stroke={SCENARIO_COLORS[k % SCENARIO_COLORS.length]} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="overflow-x-auto mt-3">
+            <table className="w-full text-sm tabular-nums">
+              <thead className="text-xs text-gray-500 text-left">
+                <tr><th className="pr-3">Показатель</th>{all.map(s => <th key={s.id} className="pr-3">{s.name}</th>)}</tr>
+              </thead>
+              <tbody>
+                {SCENARIO_ROWS.filter(([group]) => all.some(s => s.result[group])).map(([group, key, label, unit]) => {
+                  const base = ref.result[group]?.[key];
+                  return (
+                    <tr key={key}>
+                      <td className="pr-3 py-0.5 text-gray-600">{label}, {unit}</td>
+                      {all.map((s, k)=> {
+                        const v = s.result[group]?.[key];
+                        const d = v - base;
+                        return (
+                          <td key={s.id} className="pr-3">
+                            {v ?? '—'}{k > 0 && Math.abs(d) > 1e-9 && <span className={`ml-1 text-xs ${d > 0 ? 'text-red-700' : 'text-blue-700'}`}>({d > 0 ? '+' : ''}{+d.toFixed(3)})</span>}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div className="text-xs text-gray-600 mt-2">Отличия — относительно первого сценария «{ref.name}».</div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Поле сценария в общей цветовой шкале
+function ScenarioField({ result, view, range, showIso, isoStep, flux }){
+  const canvasRef = useRef(null);
+  const res = useMemo(()=>{
+    const px = renderField(result, { ...view, widthPx: 360, range });
+    return { ...result, img: new ImageData(px.data, px.width, px.height) };
+  }, [result, view, range]);
+  useEffect(()=>{ drawFieldCanvas(canvasRef.current, res, { showIso, isoStep, flux }); }, [res, showIso, isoStep, flux]);
+  return <canvas ref={canvasRef} className="w-full h-auto block rounded-md" />;
+}
+
+// Связанная модель петли: температура воды и плотность потока вверх по длине трубы
+function LoopPanel({ loop }){
+  const data = useMemo(()=> loop.s.map((s, i)=> ({ s: +s.toFixed(2), Tw: +loop.Tw[i].toFixed(2), qUp: loop.qUp[i] })), [loop]);
+  return (
+    <div className="rounded-2xl border p-4 shadow-sm">
+      <div className="text-sm font-medium mb-3">Петля: температура воды по длине</div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <Metric label="Обратка" value={`${fmt(loop.Tr,2)} °C`} />
+        <Metric label="ΔT петли" value={`${fmt(loop.Tw[0] - loop.Tr,2)} °C`} />
+        <Metric label="Мощность петли" value={`${fmt(loop.Q,0)} W`} />
+        <Metric label="вверх / вниз" value={`${fmt(loop.Qup,0)} / ${fmt(loop.Qdown,0)} W`} />
+      </div>
+      <div className="h-64 mt-3">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data} margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+            <XAxis dataKey="s" type="number" domain={[0, "dataMax"]} tickFormatter={(v)=> `${fmt(v,0)} м`} />
+            <YAxis yAxisId="left" domain={["auto","auto"]} label={{ value: "Tw, °C", angle: -90, position: "insideLeft" }} />
+            <YAxis yAxisId="right" orientation="right" domain={["auto","auto"]} label={{ value: "q↑, W/m²", angle: -90, position: "insideRight" }} />
+            <Tooltip formatter={(val, name)=> name === 'Tw' ? [`${val} °C`, 'Tводы'] : [`${val} W/m²`, 'q↑']} labelFormatter={(v)=> `s = ${fmt(v,1)} м`} />
+            <Line isAnimationActive={false} yAxisId="left" type="monotone" dataKey="Tw" dot={false} strokeWidth={2} />
+            <Line isAnimationActive={false} yAxisId="right" type="monotone" dataKey="qUp" dot={false} strokeDasharray="6 4" strokeWidth={2} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="text-xs text-gray-600 mt-2">
+        Шаг по петле длиной {fmt(loop.L,1)} м: в каждой точке рассчитывается сечение одной трубы с текущей температурой воды{!loop.converged && ' (в части точек без сходимости)'}.
+      </div>
+    </div>
+  );
+}
+
+// Помещение: расчётные теплопотери напрямую или по ограждениям
+function RoomPanel({ room, setRoom, coverage }){
+  const set = (patch)=> setRoom(r => ({ ...r, ...patch }));
+  const field = (label, key, min, max, step)=> <SliderField label={label} min={min} max={max} step={step} value={room[key]} onChange={(v)=> set({ [key]: v })} />;
+  return (
+    <div className="rounded-2xl border p-4 shadow-sm mt-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-sm font-medium">Помещение</div>
+        <div className="flex items-center gap-2 text-sm">
+          <Label>Учитывать</Label>
+          <input type="checkbox" checked={room.enabled} onChange={(e)=> set({ enabled: e.target.checked })} />
+        </div>
+      </div>
+      {room.enabled && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-5 gap-3 items-center">
+            <Label className="col-span-2">Теплопотери</Label>
+            <select className="col-span-3 border rounded-md px-3 py-2 bg-white text-sm" value={room.mode} onChange={(e)=> set({ mode: e.target.value })}>
+              <option value="direct">Заданы, Вт</option>
+              <option value="envelope">По ограждениям</option>
+            </select>
+          </div>
+          {field("Отапливаемая площадь пола, м²", 'heatedArea', 2, 60, 0.5)}
+          {room.mode === 'direct' ? field("Расчётные теплопотери, Вт", 'Qdesign', 100, 5000, 50) : (
+            <>
+              {field("Расчётная наружная температура, °C", 'Tout', -45, 5, 1)}
+              {field("Наружные стены, м²", 'wallArea', 0, 60, 0.5)}
+              {field("U стен, Вт/(м²·K)", 'Uwall', 0.1, 2, 0.05)}
+              {field("Окна, м²", 'windowArea', 0, 20, 0.5)}
+              {field("U окон, Вт/(м²·K)", 'Uwindow', 0.5, 3, 0.1)}
+              {field("Перекрытие/кровля, м²", 'ceilingArea', 0, 60, 0.5)}
+              {field("U перекрытия, Вт/(м²·K)", 'Uceiling', 0.1, 2, 0.05)}
+              {field("Высота помещения, м", 'height', 2.2, 5, 0.1)}
+              {field("Инфильтрация, 1/ч", 'ach', 0, 2, 0.1)}
+            </>
+          )}
+          {coverage && (
+            <div className="text-xs text-gray-600">
+              Нагрузка <b>{fmt(coverage.load,0)} Вт</b> ({fmt(coverage.qNeed,1)} Вт/м²)
+              {coverage.parts && <> : стены {fmt(coverage.parts.walls,0)}, окна {fmt(coverage.parts.windows,0)}, перекрытие {fmt(coverage.parts.ceiling,0)}, инфильтрация {fmt(coverage.parts.infiltration,0)} Вт</>}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Проект: название и заметки, сохранение в файл .json и открытие
+function ProjectPanel({ name, setName, notes, setNotes, onSave, onOpen }){
+  const fileRef = useRef(null);
+  return (
+    <div className="rounded-2xl border p-4 shadow-sm mt-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-sm font-medium">Проект</div>
+        <div className="flex items-center gap-2">
+          <Button size="sm" variant="outline" onClick={()=> fileRef.current?.click()} title="Открыть проект из файла .json">Открыть</Button>
+          <Button size="sm" onClick={onSave} title="Сохранить входные данные, материалы, сценарии и заметки в файл .json">Сохранить</Button>
+          <input ref={fileRef} type="file" accept=".json,application/json" className="hidden"
+            onChange={(e)=> { const f = e.target.files?.[0]; if (f) onOpen(f); e.target.value = ''; }} />
+        </div>
+      </div>
+      <div className="space-y-3">
+        <input className="w-full border rounded-md px-3 py-2 bg-white text-sm" placeholder="Название проекта" value={name} onChange={(e)=> setName(e.target.value)} />
+        <textarea className="w-full border rounded-md px-3 py-2 bg-white text-sm" rows={3} placeholder="Заметки: объект, помещение, исходные данные…" value={notes} onChange={(e)=> setNotes(e.target.value)} />
+      </div>
+    </div>
+  );
+}
+
+// Библиотека материалов пользователя: редактор, импорт и экспорт JSON/CSV. Толщина в редакторе — в мм
+const EMPTY_MATERIAL = { id: null, group: 'cover', name: '', t: '', k: '', rho: '', c: '' };
+
+function MaterialLibraryModal({ library, setLibrary, onClose }){
+  const [form, setForm] = useState(EMPTY_MATERIAL);
+  const [message, setMessage] = useState(null); // { error: boolean, lines: string[] }
+  const fileRef = useRef(null);
+  const set = (patch)=> setForm(f => ({ ...f, ...patch }));
+  const hasT = MATERIAL_GROUPS[form.group].thickness;
+
+  function edit(m){
+    setForm({ id: m.id, group: m.group, name: m.name, t: m.t !== undefined ? +(m.t * 1000).toFixed(2) : '', k: m.k, rho: m.rho ?? '', c: m.c ?? '' });
+    setMessage(null);
+  }
+
+  function submit(){
+    const t = hasT && form.t !== '' ? parseFloat(String(form.t).replace(',', '.')) / 1000 : undefined;
+    const { material, error } = normalizeMaterial({ ...form, id: form.id ?? undefined, t });
+    if (!material){ setMessage({ error: true, lines: [error] }); return; }
+    setLibrary(lib => form.id ? lib.map(m => m.id === form.id ? material : m) : [...lib, material]);
+    setForm({ ...EMPTY_MATERIAL, group: form.group });
+    setMessage({ error: false, lines: [`«${material.name}» ${form.id ? 'изменён' : 'добавлен'}`] });
+  }
+
+  async function onImport(file){
+    try {
+      const r = importLibrary(await file.text(), library);
+      setLibrary(r.library);
+      setMessage({ error: r.errors.length > 0, lines: [`Добавлено ${r.added}, заменено ${r.replaced}`, ...r.errors] });
+    } catch (err){
+      setMessage({ error: true, lines: [`Файл «${file.name}» не прочитан: ${err.message}`] });
+    }
+  }
+
+  const input = (key, placeholder, disabled)=> (
+    <input className="border rounded-md px-2 py-1 bg-white text-sm w-full disabled:bg-gray-100" placeholder={placeholder} value={form[key]} disabled={disabled} onChange={(e)=> set({ [key]: e.target.value })} />
+  );
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative max-w-3xl w-[92vw] max-h-[86vh] overflow-auto bg-white rounded-2xl border shadow-xl p-5 md:p-7">
+        <div className="flex items-center justify-between mb-3 gap-2">
+          <div className="text-lg md:text-xl font-semibold">Библиотека материалов</div>
+          <div className="flex items-center gap-2">
+            <Button size="sm" variant="outline" onClick={()=> fileRef.current?.click()} title="Импорт из JSON или CSV (group, name, t в метрах, k, rho, c)">Импорт</Button>
+            <Button size="sm" variant="outline" disabled={!library.length} onClick={()=> downloadText(exportLibraryJSON(library), 'materials.json', 'application/json')}>JSON</Button>
+            <Button size="sm" variant="outline" disabled={!library.length} onClick={()=> downloadText(exportLibraryCSV(library), 'materials.csv', 'text/csv')}>CSV</Button>
+            <Button variant="outline" onClick={onClose} aria-label="Закрыть">Закрыть</Button>
+            <input ref={fileRef} type="file" accept=".json,.csv,application/json,text/csv" className="hidden"
+              onChange={(e)=> { const f = e.target.files?.[0]; if (f) onImport(f); e.target.value = ''; }} />
+          </div>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-7 gap-2 items-center text-sm">
+          <select className="border rounded-md px-2 py-1 bg-white text-sm" value={form.group} onChange={(e)=> set({ group: e.target.value })} disabled={!!form.id}>
+            {Object.entries(MATERIAL_GROUPS).map(([g, def]) => <option key={g} value={g}>{def.label}</option>)}
+          </select>
+          <div className="md:col-span-2">{input('name', 'Название')}</div>
+          {input('t', hasT ? 't, мм' : 't — ползунком', !hasT)}
+          {input('k', 'k, Вт/(м·K)')}
+          {input('rho', 'ρ, кг/м³')}
+          {input('c', 'c, Дж/(кг·K)')}
+        </div>
+        <div className="flex items-center gap-2 mt-2">
+          <Button size="sm" onClick={submit}>{form.id ? 'Сохранить изменения' : 'Добавить'}</Button>
+          {form.id && <Button size="sm" variant="outline" onClick={()=> setForm(EMPTY_MATERIAL)}>Отмена</Button>}
+          <span className="text-xs text-gray-500">ρ и c нужны только для нестационарного режима. Подложка пользователя — сплошной слой толщиной t.</span>
+        </div>
+        {message && (
+          <div className={`mt-2 text-xs rounded-md border px-3 py-2 ${message.error ? 'border-amber-300 bg-amber-50 text-amber-900' : 'bg-gray-50 text-gray-700'}`}>
+            {message.lines.map((l, i)=> <div key={i}>{l}</div>)}
+          </div>
+        )}
+        <table className="w-full text-sm tabular-nums mt-4">
+          <thead className="text-xs text-gray-500 text-left">
+            <tr><th className="pr-3">Группа</th><th className="pr-3">Название</th><th className="pr-3">t, мм</th><th className="pr-3">k</th><th className="pr-3">ρ</th><th className="pr-3">c</th><th /></tr>
+          </thead>
+          <tbody>
+            {library.map(m => (
+              <tr key={m.id} className={m.id === form.id ? 'bg-gray-50' : ''}>
+                <td className="pr-3 py-0.5 text-gray-600">{MATERIAL_GROUPS[m.group].label}</td>
+                <td className="pr-3">{m.name}</td>
+                <td className="pr-3">{m.t !== undefined ? fmt(m.t * 1000, 2) : '—'}</td>
+                <td className="pr-3">{m.k}</td>
+                <td className="pr-3">{m.rho ?? '—'}</td>
+                <td className="pr-3">{m.c ?? '—'}</td>
+                <td className="text-right whitespace-nowrap">
+                  <button className="text-gray-600 hover:text-gray-900 mr-2" onClick={()=> edit(m)}>Изменить</button>
+                  <button className="text-gray-500 hover:text-gray-900" onClick={()=> { setLibrary(lib => lib.filter(x => x.id !== m.id)); if (form.id === m.id) setForm(EMPTY_MATERIAL); }} aria-label="Удалить материал">✕</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!library.length && <div className="text-xs text-gray-600 mt-2">Своих материалов пока нет. Они появятся в списках «Материалы» рядом со встроенными и сохраняются в этом браузере.</div>}
+      </div>
+    </div>
+  );
+}
+
+// Дефицит или запас мощности пола относительно теплопотерь и что изменить, чтобы закрыть разницу
+function CoverageIndicator({ coverage, advice, spacing }){
+  if (!coverage) return null;
+  const deficit = coverage.balance < 0;
+  const pct = Number.isFinite(coverage.ratio) ? Math.round(coverage.ratio * 100) : null;
+  return (
+    <div className={`rounded-md border px-3 py-2 mt-2 ${deficit ? 'border-red-300 bg-red-50 text-red-900' : 'border-emerald-300 bg-emerald-50 text-emerald-900'}`}>
+      <b>{deficit ? 'Дефицит' : 'Запас'} {fmt(Math.abs(coverage.balance),0)} Вт</b>
+      {pct !== null && ` — пол покрывает ${pct}% теплопотерь`} ({fmt(coverage.output,0)} из {fmt(coverage.load,0)} Вт, нужно {fmt(coverage.qNeed,1)} W/m²).
+      {advice && deficit && (
+        <div className="mt-1">
+          Закрыть дефицит: подача ≈ <b>{fmt(advice.TsNeed,1)} °C</b> при том же перепаде
+          {advice.spacingNeed !== null && Math.abs(advice.spacingNeed - spacing) > 1e-6 ? <>, или шаг <b>{Math.round(advice.spacingNeed*1000)} мм</b> при текущих температурах</> : (advice.spacingNeed === null ? ' (уменьшение шага до 100 мм не закрывает дефицит)' : '')}.
+          {advice.TavgNeed > 29 && ` Средняя Tпов при этом ≈ ${fmt(advice.TavgNeed,1)} °C > 29 °C — нужна дополнительная отопительная поверхность.`}
+        </div>
+      )}
+      {advice && !deficit && (
+        <div className="mt-1">
+          Достаточно подачи ≈ {fmt(advice.TsNeed,1)} °C при том же перепаде{advice.spacingNeed !== null && advice.spacingNeed > spacing + 1e-6 ? `, или шага ${Math.round(advice.spacingNeed*1000)} мм` : ''}.
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Коллектор: петли с общей подачей, расходы под расчётный ΔT и настройки балансировки
+function ManifoldPanel({ input }){
+  const { result, progress, error, run } = useTaskSolver('manifold', designManifold);
+  const [loops, setLoops] = useState(DEFAULT_LOOPS);
+  const [dT, setDT] = useState(5);
+  const [autoTs, setAutoTs] = useState(false);
+  const [unit, setUnit] = useState('lpm'); // настройка: 'lpm' — расходомер, 'kv' — Kv клапана
+  const update = (i, patch)=> setLoops(ls => ls.map((l, k)=> k === i ? { ...l, ...patch } : l));
+  const num = (v)=> { const x = parseFloat(String(v).replace(',', '.')); return Number.isFinite(x) ? x : null; };
+  const stale = result && (result.input !== input || result.options.loops !== loops || result.options.dT !== dT || result.options.autoTs !== autoTs);
+  const cell = "border rounded-md px-2 py-1 bg-white text-sm w-full";
+
+  return (
+    <div className="rounded-2xl border p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-3">
+          <div className="text-sm font-medium">Коллектор</div>
+          <SolveStatus progress={progress} />
+        </div>
+        <Button size="sm" onClick={()=> run(input, { loops, dT, autoTs })} disabled={!!progress || !loops.length}>Рассчитать</Button>
+      </div>
+      <SolveError error={error} />
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-xs text-gray-500 text-left">
+            <tr><th className="pr-2">Петля</th><th className="pr-2">Площадь, м²</th><th className="pr-2">Шаг, мм</th><th className="pr-2">Покрытие</th><th className="pr-2">Подводки, м</th><th className="pr-2" title="Необязательно: требуемый поток вверх для подбора подачи">Нужно, W/m²</th><th /></tr>
+          </thead>
+          <tbody>
+            {loops.map((l, i)=> (
+              <tr key={i}>
+                <td className="pr-2 py-1"><input className={cell} value={l.name} onChange={(e)=> update(i, { name: e.target.value })} /></td>
+                <td className="pr-2 py-1"><input className={cell} type="number" min={1} max={40} step={0.5} value={l.areaM2} onChange={(e)=> update(i, { areaM2: Math.max(1, num(e.target.value) ?? 1) })} /></td>
+                <td className="pr-2 py-1">
+                  <select className={cell} value={l.spacing} onChange={(e)=> update(i, { spacing: parseFloat(e.target.value) })}>
+                    {[0.10, 0.15, 0.20, 0.25, 0.30].map(v => <option key={v} value={v}>{Math.round(v*1000)}</option>)}
+                  </select>
+                </td>
+                <td className="pr-2 py-1">
+                  <select className={cell} value={l.cover} onChange={(e)=> update(i, { cover: e.target.value })}>
+                    {PRESETS_COVER.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                  </select>
+                </td>
+                <td className="pr-2 py-1"><input className={cell} type="number" min={0} max={40} step={0.5} value={l.tailLength} onChange={(e)=> update(i, { tailLength: Math.max(0, num(e.target.value) ?? 0) })} /></td>
+                <td className="pr-2 py-1"><input className={cell} type="number" min={0} max={200} step={1} value={l.qNeed ?? ''} placeholder="—" onChange={(e)=> update(i, { qNeed: num(e.target.value) })} /></td>
+                <td className="py-1"><Button size="sm" variant="outline" onClick={()=> setLoops(ls => ls.filter((_, k)=> k !== i))} aria-label="Удалить петлю">✕</Button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-3 items-center">
+        <Button size="sm" variant="outline" disabled={loops.length >= 12}
+          onClick={()=> setLoops(ls => [...ls, { name: `Петля ${ls.length + 1}`, areaM2: 10, spacing: 0.15, cover: 'laminate8', tailLength: 6, qNeed: null }])}>Добавить петлю</Button>
+        <SliderField label="Расчётный ΔT петель, °C" min={3} max={10} step={0.5} value={dT} onChange={setDT} />
+        <div className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={autoTs} onChange={(e)=> setAutoTs(e.target.checked)} />
+          <Label>Подобрать подачу по требуемым потокам</Label>
+        </div>
+      </div>
+      {result && (
+        <>
+          <div className="mt-3 text-xs space-y-2">
+            <div className="rounded-md border bg-gray-50 px-3 py-2">
+              Подача коллектора <b>{fmt(result.Ts,1)} °C</b>{result.autoTs ? ' (подобрана)' : ''}, обратка {fmt(result.Ts - result.dT,1)} °C;
+              общий расход <b>{fmt(result.totalFlowLpm,2)} л/мин</b>, мощность {fmt(result.Q,0)} W (вверх {fmt(result.Qup,0)} W);
+              насос: <b>{fmt(result.pumpDpKPa,1)} кПа</b> ({fmt(result.pumpHeadM,2)} м) по петле «{result.loops[result.index]?.name}» без учёта коллектора и котельной.
+            </div>
+            {result.TsLimited && (
+              <div className="rounded-md border border-red-300 bg-red-50 text-red-900 px-3 py-2">
+                Не для всех петель требуемый поток достижим при подаче до 55 °C и ΔT = {result.dT} °C — уменьшите шаг или ΔT.
+              </div>
+            )}
+            {stale && (
+              <div className="rounded-md border border-amber-300 bg-amber-50 text-amber-900 px-3 py-2">
+                Параметры изменились после расчёта — нажмите «Рассчитать», чтобы обновить.
+              </div>
+            )}
+          </div>
+          <div className="overflow-x-auto mt-3">
+            <table className="w-full text-sm tabular-nums">
+              <thead className="text-xs text-gray-500 text-left">
+                <tr>
+                  <th className="pr-2">Петля</th><th className="pr-2">L, м</th><th className="pr-2">Q, W</th><th className="pr-2">q↑, W/m²</th>
+                  <th className="pr-2">Расход, л/мин</th><th className="pr-2">v, м/с</th><th className="pr-2">Δp, кПа</th>
+                  <th className="pr-2">
+                    <select className="border rounded-md px-1 py-0.5 bg-white text-xs" value={unit} onChange={(e)=> setUnit(e.target.value)}>
+                      <option value="lpm">Расходомер, л/мин</option>
+                      <option value="kv">Клапан, Kv</option>
+                    </select>
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.loops.map((r, i)=> (
+                  <tr key={i} className={i === result.index ? 'font-semibold' : ''}>
+                    <td className="pr-2 py-1">{r.name}</td>
+                    <td className="pr-2">{fmt(r.length,1)}</td>
+                    <td className="pr-2">{r.reachable ? fmt(r.Q,0) : '—'}</td>
+                    <td className={`pr-2 ${r.demandMet ? '' : 'text-red-700'}`}>{fmt(r.q,1)}{r.qNeed > 0 ? ` / ${r.qNeed}` : ''}</td>
+                    <td className="pr-2">{fmt(r.flowLpm,2)}</td>
+                    <td className={`pr-2 ${r.flags.vLow || r.flags.vHigh ? 'text-amber-700' : ''}`}>{fmt(r.v,2)}</td>
+                    <td className={`pr-2 ${r.flags.dpLimit ? 'text-red-700' : (r.flags.dpWarn ? 'text-amber-700' : '')}`}>{fmt(r.dpKPa,1)}</td>
+                    <td className="pr-2">{unit === 'lpm' ? fmt(r.flowLpm,2) : (r.kv === null ? 'открыт' : fmt(r.kv,2))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="text-xs text-gray-600 mt-2">
+            Расход каждой петли подобран так, чтобы вода остывала на расчётный ΔT; жирным — диктующая петля с наибольшими потерями, её клапан открыт,
+            остальные клапаны гасят разницу потерь: Kv = G / √Δp (G — м³/ч, Δp — бар). Пирог, стяжка и труба — общие с основным расчётом.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Характеристика EN 1264: q(ΔθH) для текущего пирога по шагам укладки и граничные кривые
+const CURVE_COLORS = ['#1d4ed8', '#0891b2', '#059669', '#ca8a04', '#ea580c', '#9333ea'];
+const LIMIT_COLORS = { 29: '#dc2626', 33: '#f59e0b', 35: '#6b7280' };
+
+function CharacteristicPanel({ input }){
+  const { result, progress, error, run } = useTaskSolver('characteristic', characteristicCurves);
+  const stale = result && result.input !== input;
+  const cur = result?.curves.find(c => c.current);
+  return (
+    <div className="rounded-2xl border p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-3">
+          <div className="text-sm font-medium">Характеристика EN 1264</div>
+          <SolveStatus progress={progress} />
+        </div>
+        <Button size="sm" onClick={()=> run(input)} disabled={!!progress}>Рассчитать</Button>
+      </div>
+      <SolveError error={error} />
+      {!result && (
+        <div className="text-xs text-gray-600">
+          Плотность потока вверх q в зависимости от ΔθH = Tводы − Tвоздуха для текущего покрытия, стяжки и трубы при шагах 100–300 мм,
+          граничные кривые по Tпов макс = 29/33/35 °C и аппроксимация q = K_H·ΔθH^n.
+        </div>
+      )}
+      {result && (
+        <>
+          {stale && (
+            <div className="rounded-md border border-amber-300 bg-amber-50 text-amber-900 px-3 py-2 mb-2 text-xs">
+              Параметры изменились после расчёта — нажмите «Рассчитать», чтобы обновить.
+            </div>
+          )}
+          <div className="h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                <XAxis dataKey="dT" type="number" domain={[0, "dataMax"]} allowDuplicatedCategory={false} tickFormatter={(v)=> `${v} K`} />
+                <YAxis dataKey="q" domain={[0, "auto"]} label={{ value: "q, W/m²", angle: -90, position: "insideLeft" }} />
+                <Tooltip formatter={(val, name)=> [`${fmt(val,1)} W/m²`, name]} labelFormatter={(v)=> `ΔθH = ${fmt(v,1)} K`} />
+                {result.curves.map((c, i)=> (
+                  <Line key={c.spacing} isAnimationActive={false} data={c.points} dataKey="q" name={`шаг ${Math.round(c.spacing*1000)} мм`}
+                    dot={false} strokeWidth={c.current ? 3 : 1.5} stroke={CURVE_COLORS[i % CURVE_COLORS.length]} />
+                ))}
+                {result.limitCurves.map(lc => (
+                  <Line key={lc.TFmax} isAnimationActive={false} data={lc.points.map(p => ({ dT: +p.dTG.toFixed(2), q: +p.qG.toFixed(1) }))} dataKey="q"
+                    name={`граница ${lc.TFmax} °C`} dot={{ r: 2 }} strokeDasharray="5 4" strokeWidth={1.5} stroke={LIMIT_COLORS[lc.TFmax]} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="overflow-x-auto mt-3">
+            <table className="w-full text-sm tabular-nums">
+              <thead className="text-xs text-gray-500 text-left">
+                <tr>
+                  <th className="pr-2">Шаг, мм</th><th className="pr-2">K_H</th><th className="pr-2">n</th><th className="pr-2">R²</th>
+                  {result.limitCurves.map(lc => <th key={lc.TFmax} className="pr-2">{lc.TFmax} °C: ΔθH,G / q_G</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {result.curves.map(c => (
+                  <tr key={c.spacing} className={c.current ? 'font-semibold' : ''}>
+                    <td className="pr-2 py-1">{Math.round(c.spacing*1000)}</td>
+                    <td className="pr-2">{c.fit ? fmt(c.fit.K,3) : '—'}</td>
+                    <td className="pr-2">{c.fit ? fmt(c.fit.n,3) : '—'}</td>
+                    <td className="pr-2">{c.fit ? fmt(c.fit.r2,4) : '—'}</td>
+                    {result.limitCurves.map(lc => { const l = c.limits.find(x => x.TFmax === lc.TFmax); return (
+                      <td key={lc.TFmax} className="pr-2">{l ? `${fmt(l.dTG,1)} K / ${fmt(l.qG,0)}` : '—'}</td>
+                    ); })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="text-xs text-gray-600 mt-2">
+            θi = {result.Tair} °C; точки — ячейка одной трубы с постоянной температурой воды Tw = θi + ΔθH.
+            {cur?.fit && ` Для текущего шага: q ≈ ${fmt(cur.fit.K,2)}·ΔθH^${fmt(cur.fit.n,3)}.`}
+            {' '}Для сравнения граница EN 1264 q_G = 8.92·(θF,max − θi)^1.1: {result.limitCurves.map(lc => `${lc.TFmax} °C → ${fmt(lc.qEN,0)} W/m²`).join(', ')}.
+            Коэффициент теплоотдачи поверхности в модели постоянный, поэтому показатель n близок к 1 (в EN 1264 ≈ 1.1).
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Развёртка по одному-двум входам (таблица, график, тепловая карта) и чувствительность («торнадо»)
+function SweepPanel({ input }){
+  const sweep = useTaskSolver('sweep', runSweep);
+  const sens = useTaskSolver('sensitivity', sensitivity);
+  const rangeOf = (key)=> { const d = SWEEP_INPUTS[key]; return d.options ? null : { from: +(d.min*d.scale).toFixed(3), to: +(d.max*d.scale).toFixed(3), steps: 6 }; };
+  const [axA, setAxA] = useState({ key: 'spacing', ...rangeOf('spacing') });
+  const [axB, setAxB] = useState({ key: '' });
+  const [metric, setMetric] = useState('Tavg');
+  const mDef = SWEEP_METRICS.find(m => m.key === metric);
+
+  const valuesOf = (ax)=> { const d = SWEEP_INPUTS[ax.key]; return d.options ? sweepValues(ax.key) : sweepValues(ax.key, ax.from / d.scale, ax.to / d.scale, ax.steps); };
+  const label = (key, v)=> { const d = SWEEP_INPUTS[key]; return d.options ? (d.options.find(o => o.id === v)?.name ?? v) : `${fmt(v*d.scale, d.scale === 1 ? 1 : 0)} ${d.unit}`; };
+  const count = valuesOf(axA).length * (axB.key ? valuesOf(axB).length : 1);
+  const tooMany = count > 144;
+  function start(){
+    sweep.run(input, { a: { key: axA.key, values: valuesOf(axA) }, b: axB.key ? { key: axB.key, values: valuesOf(axB) } : null });
+  }
+
+  const res = sweep.result;
+  const lineData = res && !res.b ? res.cells.map(c => ({ x: label(res.a.key, c.va), v: c.metrics[metric] })) : [];
+  const heat = useMemo(()=>{
+    if (!res?.b) return null;
+    const vals = res.cells.map(c => c.metrics[metric]);
+    return { min: Math.min(...vals), max: Math.max(...vals) };
+  }, [res, metric]);
+  const bars = sens.result ? tornado(sens.result, metric) : [];
+
+  return (
+    <div className="rounded-2xl border p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-3">
+          <div className="text-sm font-medium">Развёртка и чувствительность</div>
+          <SolveStatus progress={sweep.progress ?? sens.progress} />
+        </div>
+        <div className="flex items-center gap-2">
+          <Button size="sm" onClick={start} disabled={!!sweep.progress || tooMany}>Развёртка</Button>
+          <Button size="sm" variant="outline" onClick={()=> sens.run(input)} disabled={!!sens.progress}>Чувствительность</Button>
+        </div>
+      </div>
+      <SolveError error={sweep.error ?? sens.error} />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <SweepAxis title="Параметр 1" axis={axA} onChange={setAxA} rangeOf={rangeOf} keys={sweepKeysFor(input.system)} />
+        <SweepAxis title="Параметр 2 (необязательно)" axis={axB} onChange={setAxB} rangeOf={rangeOf} keys={sweepKeysFor(input.system)} optional />
+      </div>
+      <div className="grid grid-cols-5 gap-3 items-center mt-3 md:w-1/2">
+        <Label className="col-span-2">Метрика на графиках</Label>
+        <select className="col-span-3 border rounded-md px-3 py-2 bg-white text-sm" value={metric} onChange={(e)=> setMetric(e.target.value)}>
+          {SWEEP_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}, {m.unit}</option>)}
+        </select>
+      </div>
+      {tooMany && <div className="text-xs text-amber-800 mt-2">Слишком много расчётов ({count}); не больше 144 — уменьшите число точек.</div>}
+      {(res && res.input !== input) || (sens.result && sens.result.input !== input) ? (
+        <div className="rounded-md border border-amber-300 bg-amber-50 text-amber-900 px-3 py-2 mt-3 text-xs">
+          Параметры изменились после расчёта — остальные входы развёртки взяты из прежнего состояния.
+        </div>
+      ) : null}
+
+      {res && !res.b && (
+        <>
+          <div className="h-64 mt-3">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={lineData} margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                <XAxis dataKey="x" tick={{ fontSize: 11 }} />
+                <YAxis domain={["auto","auto"]} label={{ value: `${mDef.label}, ${mDef.unit}`, angle: -90, position: "insideLeft" }} />
+                <Tooltip formatter={(val)=> [`${val} ${mDef.unit}`, mDef.label]} />
+                <Line isAnimationActive={false} type="monotone" dataKey="v" strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="overflow-x-auto mt-3">
+            <table className="w-full text-sm tabular-nums">
+              <thead className="text-xs text-gray-500 text-left">
+                <tr><th className="pr-2">{SWEEP_INPUTS[res.a.key].label}</th>{SWEEP_METRICS.map(m => <th key={m.key} className="pr-2">{m.label}, {m.unit}</th>)}</tr>
+              </thead>
+              <tbody>
+                {res.cells.map(c => (
+                  <tr key={c.i} className={c.converged ? '' : 'text-amber-700'}>
+                    <td className="pr-2 py-1">{label(res.a.key, c.va)}</td>
+                    {SWEEP_METRICS.map(m => <td key={m.key} className="pr-2">{c.metrics[m.key]}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {res?.b && heat && (
+        <div className="overflow-x-auto mt-3">
+          <div className="text-xs text-gray-600 mb-1">{mDef.label}, {mDef.unit}: строки — {SWEEP_INPUTS[res.a.key].label}, столбцы — {SWEEP_INPUTS[res.b.key].label}</div>
+          <table className="text-xs tabular-nums border-collapse">
+            <thead>
+              <tr><th />{res.b.values.map((vb, j)=> <th key={j} className="px-2 py-1 font-normal text-gray-500">{label(res.b.key, vb)}</th>)}</tr>
+            </thead>
+            <tbody>
+              {res.a.values.map((va, i)=> (
+                <tr key={i}>
+                  <th className="px-2 py-1 font-normal text-gray-500 text-left">{label(res.a.key, va)}</th>
+                  {res.b.values.map((_, j)=> {
+                    const c = res.cells.find(x => x.i === i && x.j === j);
+                    const v = c.metrics[metric];
+                    const [r, g, b] = colorMap((v - heat.min) / Math.max(1e-9, heat.max - heat.min));
+                    const dark = 0.299*r + 0.587*g + 0.114*b < 140;
+                    return <td key={j} className={`px-2 py-1 text-center ${dark ? 'text-white' : 'text-black'}`} style={{ background: `rgb(${r},${g},${b})` }}>{v}</td>;
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {sens.result && (
+        <div className="mt-4">
+          <div className="text-xs text-gray-600 mb-1">
+            Чувствительность {mDef.label} (база {sens.result.base[metric]} {mDef.unit}): числовые входы ±шаг от текущего значения, материалы — все пресеты.
+            Наибольшее влияние — <b>{bars[0]?.label}</b>.
+          </div>
+          <div style={{ height: 28 * bars.length + 40 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={bars} layout="vertical" stackOffset="sign" margin={{ top: 4, right: 20, left: 10, bottom: 4 }}>
+                <XAxis type="number" tickFormatter={(v)=> fmt(v,2)} />
+                <YAxis type="category" dataKey="label" width={190} tick={{ fontSize: 11 }} />
+                <Tooltip formatter={(val, name)=> [`${val > 0 ? '+' : ''}${fmt(val,2)} ${mDef.unit}`, name === 'low' ? 'вниз' : 'вверх']} />
+                <ReferenceLine x={0} stroke="#333" />
+                <Bar isAnimationActive={false} dataKey="low" stackId="t" fill="#3b82f6" />
+                <Bar isAnimationActive={false} dataKey="high" stackId="t" fill="#ef4444" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Выбор входа развёртки и диапазона в единицах отображения
+function SweepAxis({ title, axis, onChange, rangeOf, keys, optional }){
+  const d = axis.key ? SWEEP_INPUTS[axis.key] : null;
+  const num = (v, fb)=> { const x = parseFloat(String(v).replace(',', '.')); return Number.isFinite(x) ? x : fb; };
+  const cell = "border rounded-md px-2 py-1 bg-white text-sm w-full";
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-5 gap-3 items-center">
+        <Label className="col-span-2">{title}</Label>
+        <select className="col-span-3 border rounded-md px-3 py-2 bg-white text-sm" value={axis.key} onChange={(e)=> onChange(e.target.value ? { key: e.target.value, ...rangeOf(e.target.value) } : { key: '' })}>
+          {optional && <option value="">—</option>}
+          {keys.map(k => <option key={k} value={k}>{SWEEP_INPUTS[k].label}</option>)}
+        </select>
+      </div>
+      {d && !d.options && (
+        <div className="grid grid-cols-3 gap-2 text-xs">
+          <label>от, {d.unit}<input className={cell} type="number" value={axis.from} onChange={(e)=> onChange({ ...axis, from: num(e.target.value, axis.from) })} /></label>
+          <label>до, {d.unit}<input className={cell} type="number" value={axis.to} onChange={(e)=> onChange({ ...axis, to: num(e.target.value, axis.to) })} /></label>
+          <label>точек<input className={cell} type="number" min={2} max={12} value={axis.steps} onChange={(e)=> onChange({ ...axis, steps: Math.max(2, Math.min(12, Math.round(num(e.target.value, axis.steps)))) })} /></label>
+        </div>
+      )}
+      {d?.options && <div className="text-xs text-gray-600">Все пресеты: {d.options.length} вариантов</div>}
+    </div>
+  );
+}
+
+// Гидравлика петли: скорость, режим течения, потери давления и напор с проверкой типичных пределов
+function HydraulicsInfo({ h }){
+  if (!h?.flags) return null;
+  const regime = { laminar: 'ламинарный', transition: 'переходный', turbulent: 'турбулентный' }[h.regime];
+  return (
+    <div className="text-xs space-y-2">
+      <div className="grid grid-cols-2 gap-x-3 gap-y-1 text-gray-600">
+        <div>Скорость: <b className="tabular-nums">{fmt(h.v,2)} м/с</b></div>
+        <div>Re: <b className="tabular-nums">{Math.round(h.Re)}</b> ({regime})</div>
+        <div>Потери: <b className="tabular-nums">{fmt(h.dpKPa,1)} кПа</b></div>
+        <div>Напор: <b className="tabular-nums">{fmt(h.headM,2)} м</b></div>
+        <div className="col-span-2">Внутр. диаметр {fmt(h.di*1000,1)} мм, длина с подводками {fmt(h.length,1)} м</div>
+        <div className="col-span-2" title="Сопротивления на метр трубы: стенка ln(D/di)/(2πk) и плёнка воды 1/(h·π·di)">
+          Теплоотдача воды: <b className="tabular-nums">{Math.round(h.hFilm)} Вт/(м²·К)</b>; R стенки {fmt(h.Rwall,3)}, плёнки {fmt(h.Rfilm,3)} м·К/Вт{h.pipeFilm ? '' : ' (не учитываются)'}
+        </div>
+      </div>
+      {h.flags.dpWarn && (
+        <div className={`rounded-md border px-3 py-2 ${h.flags.dpLimit ? 'border-red-300 bg-red-50 text-red-900' : 'border-amber-300 bg-amber-50 text-amber-900'}`}>
+          Потери давления {fmt(h.dpKPa,1)} кПа {">"} {h.flags.dpLimit ? DP_LIMIT_KPA : DP_WARN_KPA} кПа — петля слишком длинная для такого расхода; разделите петлю или уменьшите расход.
+        </div>
+      )}
+      {(h.flags.vLow || h.flags.vHigh) && (
+        <div className="rounded-md border border-amber-300 bg-amber-50 text-amber-900 px-3 py-2">
+          Скорость воды {fmt(h.v,2)} м/с вне диапазона {V_MIN}–{V_MAX} м/с{h.flags.vLow ? ' — плохо удаляется воздух' : ' — возможен шум'}.
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SolveStatus({ progress, preview }){
+  if (!progress) return null;
+  const pct = Math.round(100 * (progress.frac ?? progress.it / Math.max(1, progress.iters)));
+  return (
+    <div className="flex items-center gap-2 text-xs text-gray-600" title={preview ? 'Показан грубый предпросмотр, идёт точный расчёт' : undefined}>
+      <div className="w-24 h-1.5 rounded-full bg-gray-200 overflow-hidden">
+        <div className="h-full bg-gray-800 transition-[width]" style={{ width: `${pct}%` }} />
+      </div>
+      <span className="tabular-nums">{preview ? 'Предпросмотр, расчёт' : 'Расчёт'} {pct}%</span>
+    </div>
+  );
+}
+
+// Ошибка расчёта: текст из воркера или из запасного расчёта в главном потоке
+function SolveError({ error }){
+  if (!error) return null;
+  return (
+    <div className="rounded-md border border-red-300 bg-red-50 text-red-900 px-3 py-2 mb-2 text-xs">
+      <b>Расчёт не выполнен:</b> {error}
+    </div>
+  );
+}
+
+function ConvergenceWarning({ debug, preview }){
+  if (!debug || debug.converged || preview) return null;
+  return (
+    <div className="rounded-md border border-amber-300 bg-amber-50 text-amber-900 px-3 py-2 mb-2">
+      Расчёт остановлен по лимиту итераций ({debug.maxIter}) без сходимости: невязка {debug.residual.toExponential(1)} °C {">"} допуска {debug.tol.toExponential(0)} °C.
+      Результаты могут быть неточными — увеличьте лимит итераций или выберите линейный SOR.
+    </div>
+  );
+}
+
 function Metric({ label, value }){
   return (
     <div className="rounded-xl border p-3 text-center">
@@ -1446,24 +2549,3 @@ function DraggableWindow({ visible, title, initial, onClose, children }){
     </div>
   );
 }
-
-function colorMap(t){
-  const stops = [
-    { p: 0.0, c: [  0,  32, 128] },
-    { p: 0.33, c:[  0, 180, 255] },
-    { p: 0.66, c:[255, 230,   0] },
-    { p: 1.0, c:[220,   0,   0] },
-  ];
-  for (let s=0; s<stops.length-1; s++){
-    const a = stops[s], b = stops[s+1];
-    if (t >= a.p && t <= b.p){
-      const f = (t - a.p)/(b.p - a.p + 1e-9);
-      return [
-        Math.round(a.c[0] + f*(b.c[0]-a.c[0])),
-        Math.round(a.c[1] + f*(b.c[1]-a.c[1])),
-        Math.round(a.c[2] + f*(b.c[2]-a.c[2])),
-      ];
-    }
-  }
-  return stops[stops.length-1].c;
-}
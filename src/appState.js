@@ -0,0 +1,259 @@
+// Состояние приложения в ссылке: схема полей, кодирование в хэш URL и разбор с проверкой.
+// Значения вне диапазонов ползунков прижимаются к границам, неизвестные id материалов заменяются
+// значениями по умолчанию — с предупреждением, а не молча.
+import { PRESETS_SCREED, PRESETS_COVER, PRESETS_INSULATION, PRESETS_UNDERLAY, PRESETS_PIPE, PRESETS_DRY_BASE, PRESETS_DRY_BOARD, SYSTEMS, MATERIAL_PRESETS, DEFAULT_PARAMS } from "./sim/presets.js";
+import { DEFAULT_ROOM } from "./sim/room.js";
+import { PALETTES } from "./sim/render.js";
+import { normalizeMaterial } from "./materialLibrary.js";
+
+// Версия формата ссылки (параметр v). Версия 2 — граница трубы через стенку и плёнку воды (pipeFilm);
+// в ссылках версии 1 её нет — для них сохраняется прежняя модель
+export const STATE_VERSION = 2;
+
+// Поля состояния. num — число в единицах СИ с границами ползунка (int — целое);
+// preset — id из справочника; enum — одно из значений; bool — флажок;
+// layers — свой пирог (список слоёв) или null — стандартный; отсутствие поля не считается пропуском
+export const STATE_FIELDS = {
+  Tair: { type: 'num', min: 10, max: 30 },
+  Ts: { type: 'num', min: 25, max: 55 },
+  Tr: { type: 'num', min: 20, max: 50 },
+  spacing: { type: 'num', min: 0.05, max: 0.30 },
+  pipeOD: { type: 'num', min: 0.012, max: 0.025 },
+  screedThk: { type: 'num', min: 0.05, max: 0.12 },
+  hTop: { type: 'num', min: 6, max: 14 },
+  belowT: { type: 'num', min: 5, max: 22 },
+  airVel: { type: 'num', min: 0, max: 1 },
+  screed: { type: 'preset', list: PRESETS_SCREED },
+  cover: { type: 'preset', list: PRESETS_COVER },
+  insul: { type: 'preset', list: PRESETS_INSULATION },
+  under: { type: 'preset', list: PRESETS_UNDERLAY },
+  nPipes: { type: 'num', min: 1, max: 10, int: true },
+  layout: { type: 'enum', values: ['spiral', 'meander'] },
+  loopPosFrac: { type: 'num', min: 0, max: 0.5 },
+  areaM2: { type: 'num', min: 2, max: 30 },
+  autoReturn: { type: 'bool' },
+  flowLpm: { type: 'num', min: 0.5, max: 6 },
+  pipeWall: { type: 'num', min: 0.001, max: 0.003 },
+  pipeType: { type: 'preset', list: PRESETS_PIPE },
+  pipeFilm: { type: 'bool' },
+  system: { type: 'enum', values: SYSTEMS.map(s => s.id) },
+  dryBase: { type: 'preset', list: PRESETS_DRY_BASE },
+  dryBoard: { type: 'preset', list: PRESETS_DRY_BOARD },
+  plateT: { type: 'num', min: 0.0002, max: 0.002 },
+  plateW: { type: 'num', min: 0.04, max: 0.30 },
+  edge: { type: 'bool' },
+  edgeStripT: { type: 'num', min: 0.005, max: 0.03 },
+  edgeStripK: { type: 'num', min: 0.02, max: 0.2 },
+  wallU: { type: 'num', min: 0.1, max: 2 },
+  wallTout: { type: 'num', min: -45, max: 5 },
+  edgeBand: { type: 'num', min: 0.1, max: 1 },
+  edgeSpacing: { type: 'num', min: 0.05, max: 0.30 },
+  tailLength: { type: 'num', min: 0, max: 20 },
+  method: { type: 'enum', values: ['point', 'line'] },
+  tol: { type: 'enum', values: [1e-3, 1e-4, 1e-5, 1e-6] },
+  maxIter: { type: 'num', min: 500, max: 20000, int: true },
+  layers: { type: 'layers', min: 0, max: 0.3 },
+  // Вид
+  fixScale: { type: 'bool', def: false },
+  contrast: { type: 'num', min: 1, max: 3, def: 1.6 },
+  palette: { type: 'enum', values: Object.keys(PALETTES), def: 'classic' },
+  userScale: { type: 'bool', def: false },
+  scaleMin: { type: 'num', min: -10, max: 60, def: 18 },
+  scaleMax: { type: 'num', min: 0, max: 80, def: 40 },
+  insulFade: { type: 'bool', def: true },
+  showIso: { type: 'bool', def: true },
+  isoStep: { type: 'num', min: 0.1, max: 5, def: 0.5 },
+  quantity: { type: 'enum', values: ['T', 'q'], def: 'T' },
+  flux: { type: 'enum', values: ['none', 'arrows', 'lines'], def: 'none' },
+};
+
+// Помещение — с префиксом room. в ссылке
+export const ROOM_FIELDS = {
+  enabled: { type: 'bool' },
+  mode: { type: 'enum', values: ['direct', 'envelope'] },
+  Qdesign: { type: 'num', min: 100, max: 5000 },
+  heatedArea: { type: 'num', min: 2, max: 60 },
+  Tout: { type: 'num', min: -45, max: 5 },
+  height: { type: 'num', min: 2.2, max: 5 },
+  wallArea: { type: 'num', min: 0, max: 60 },
+  Uwall: { type: 'num', min: 0.1, max: 2 },
+  windowArea: { type: 'num', min: 0, max: 20 },
+  Uwindow: { type: 'num', min: 0.5, max: 3 },
+  ceilingArea: { type: 'num', min: 0, max: 60 },
+  Uceiling: { type: 'num', min: 0.1, max: 2 },
+  ach: { type: 'num', min: 0, max: 2 },
+};
+
+// Состояние по умолчанию — как после кнопки «Сбросить»
+export function defaultState(){
+  const s = {};
+  for (const [key, f] of Object.entries(STATE_FIELDS)) s[key] = f.def ?? DEFAULT_PARAMS[key];
+  s.room = { ...DEFAULT_ROOM };
+  return s;
+}
+
+// Значение поля для ссылки: материалы — по id, числа — без хвоста двоичной погрешности
+function encodeValue(f, v){
+  if (f.type === 'preset') return v.id;
+  // Слой: группа, id материала, толщина, p — труба; материал пользователя — со свойствами (x)
+  if (f.type === 'layers') return JSON.stringify(v.map(l => {
+    const o = { g: l.group, m: l.material.id, t: +l.t.toPrecision(6) };
+    if (l.pipe) o.p = 1;
+    if (l.material.custom){ const { name, t, k, rho, c } = l.material; o.x = { name, t, k, rho, c }; }
+    return o;
+  }));
+  if (f.type === 'bool') return v ? '1' : '0';
+  if (typeof v === 'number') return String(+v.toPrecision(6));
+  return String(v);
+}
+
+// Разбор значения поля — строки из ссылки или значения из JSON проекта.
+// Возвращает { value } или { value, warning } — при замене или прижатии; list — справочник для материалов
+// (для слоёв — справочники всех групп)
+function decodeValue(f, raw, def, name, list = f.list){
+  if (f.type === 'layers') return decodeLayers(f, raw, name, list);
+  if (f.type === 'preset'){
+    const id = raw && typeof raw === 'object' ? raw.id : raw;
+    const m = list.find(p => p.id === id);
+    return m ? { value: m } : { value: def, warning: `${name}: неизвестный материал «${id}», взят «${def.name}»` };
+  }
+  if (f.type === 'bool'){
+    if (raw === true || raw === '1' || raw === 'true') return { value: true };
+    if (raw === false || raw === '0' || raw === 'false') return { value: false };
+    return { value: def, warning: `${name}: ожидалось 0 или 1, получено «${raw}»` };
+  }
+  if (f.type === 'enum'){
+    const v = f.values.find(x => String(x) === String(raw) || (typeof x === 'number' && x === parseFloat(raw)));
+    return v !== undefined ? { value: v } : { value: def, warning: `${name}: недопустимое значение «${raw}», допустимо ${f.values.join(', ')}` };
+  }
+  const x = typeof raw === 'number' ? raw : parseFloat(raw);
+  if (!Number.isFinite(x)) return { value: def, warning: `${name}: не число «${raw}»` };
+  const v = Math.min(f.max, Math.max(f.min, f.int ? Math.round(x) : x));
+  if (v === x) return { value: v };
+  const why = x < f.min || x > f.max ? `вне диапазона ${f.min}…${f.max}` : 'не целое';
+  return { value: v, warning: `${name}: ${x} ${why}, взято ${v}` };
+}
+
+// Слои пирога: неизвестные слои пропускаются, толщины прижимаются к диапазону,
+// слой с трубой — ровно один (при отсутствии отмечается первая стяжка)
+function decodeLayers(f, raw, name, lists){
+  let arr = raw;
+  if (typeof raw === 'string'){ try { arr = JSON.parse(raw); } catch { arr = null; } }
+  if (!Array.isArray(arr) || !arr.length) return { value: null, warning: `${name}: не удалось разобрать слои — взят стандартный пирог` };
+  const warnings = [];
+  const layers = [];
+  arr.forEach((item, n)=> {
+    const group = item?.g ?? item?.group;
+    const id = item?.m ?? item?.material;
+    const mid = id && typeof id === 'object' ? id.id : id;
+    const list = lists[group];
+    if (!list){ warnings.push(`${name}[${n}]: неизвестная группа «${group}», слой пропущен`); return; }
+    let m = list.find(p => p.id === mid);
+    if (!m && item.x) m = normalizeMaterial({ ...item.x, group, id: mid }).material;
+    if (!m){ warnings.push(`${name}[${n}]: неизвестный материал «${mid}», слой пропущен`); return; }
+    let t = item.t === undefined || item.t === null || item.t === '' ? (m.t ?? 0) : parseFloat(item.t);
+    if (!Number.isFinite(t)){ warnings.push(`${name}[${n}]: толщина не число «${item.t}», взята ${m.t ?? 0}`); t = m.t ?? 0; }
+    const v = Math.min(f.max, Math.max(f.min, t));
+    if (v !== t) warnings.push(`${name}[${n}]: толщина ${t} вне диапазона ${f.min}…${f.max}, взято ${v}`);
+    layers.push({ group, material: m, t: v, pipe: !!(item.p ?? item.pipe) });
+  });
+  if (!layers.length) return { value: null, warning: [...warnings, `${name}: нет слоёв — взят стандартный пирог`].join('; ') };
+  const pipes = layers.filter(l => l.pipe);
+  if (pipes.length !== 1){
+    const keep = pipes[0] ?? layers.find(l => l.group === 'screed') ?? layers[0];
+    layers.forEach(l => { l.pipe = l === keep; });
+    warnings.push(`${name}: слой с трубой должен быть один — выбран «${keep.material.name}»`);
+  }
+  return warnings.length ? { value: layers, warning: warnings.join('; ') } : { value: layers };
+}
+
+// Состояние как простой объект: материалы — по id, помещение — вложенным объектом (ссылка, файл проекта)
+export function plainState(state){
+  const o = {};
+  for (const [key, f] of Object.entries(STATE_FIELDS)){
+    if (state[key] === undefined) continue;
+    if (f.type === 'preset') o[key] = state[key].id;
+    else if (f.type === 'layers') o[key] = state[key] && state[key].map(l => ({ group: l.group, material: l.material.id, t: l.t, pipe: l.pipe }));
+    else o[key] = state[key];
+  }
+  if (state.room){
+    o.room = {};
+    for (const key of Object.keys(ROOM_FIELDS)) o.room[key] = state.room[key];
+  }
+  return o;
+}
+
+// Строка для хэша: все поля, включая значения по умолчанию, — ссылка не зависит от будущих умолчаний
+export function encodeState(state){
+  const q = new URLSearchParams();
+  q.set('v', String(STATE_VERSION));
+  for (const [key, f] of Object.entries(STATE_FIELDS)){
+    if (state[key] === undefined || state[key] === null) continue;
+    q.set(key, encodeValue(f, state[key]));
+    // Материал из библиотеки пользователя передаётся вместе со свойствами — у получателя его нет
+    if (f.type === 'preset' && state[key].custom){
+      const { name, t, k, rho, c } = state[key];
+      q.set(`${key}.m`, JSON.stringify({ name, t, k, rho, c }));
+    }
+  }
+  if (state.room){
+    for (const [key, f] of Object.entries(ROOM_FIELDS)) q.set(`room.${key}`, encodeValue(f, state.room[key]));
+  }
+  return q.toString();
+}
+
+/**
+ * Проверка состояния из простого объекта. Отсутствующие поля — по умолчанию (их список — в missing),
+ * значения прижимаются к диапазонам, неизвестные ключи игнорируются.
+ * @param {object} obj — поля STATE_FIELDS и room: { ...ROOM_FIELDS }; материалы — id или объекты с id
+ * @param {{ lists?: object }} [opts] — справочники материалов по ключу (screed, cover…) вместо встроенных
+ * @returns {{ state: object, warnings: string[], missing: string[] }}
+ */
+export function validateState(obj, { lists = {} } = {}){
+  const state = defaultState();
+  const warnings = [], missing = [];
+  const take = (fields, src, target, prefix)=> {
+    for (const [key, f] of Object.entries(fields)){
+      const raw = src?.[key];
+      if (raw === undefined || raw === null || raw === ''){ if (f.type !== 'layers') missing.push(prefix + key); continue; }
+      const list = f.type === 'layers' ? { ...MATERIAL_PRESETS, ...lists } : lists[key] ?? f.list;
+      const r = decodeValue(f, raw, target[key], prefix + key, list);
+      target[key] = r.value;
+      if (r.warning) warnings.push(r.warning);
+    }
+  };
+  take(STATE_FIELDS, obj, state, '');
+  take(ROOM_FIELDS, obj?.room, state.room, 'room.');
+  return { state, warnings, missing };
+}
+
+/**
+ * Разбор хэша или строки запроса. Отсутствующие поля — по умолчанию, неизвестные параметры игнорируются.
+ * @param {string} str — «a=1&b=2», с ведущим # или ? или без
+ * @param {{ lists?: object }} [opts] — справочники материалов с библиотекой пользователя
+ * @returns {{ state: object, warnings: string[], found: boolean }} found — в строке было хотя бы одно поле состояния
+ */
+export function decodeState(str, { lists = {} } = {}){
+  const q = new URLSearchParams((str || '').replace(/^[#?]/, ''));
+  const obj = { room: {} };
+  for (const [k, v] of q){
+    if (k.startsWith('room.')) obj.room[k.slice(5)] = v;
+    else if (k !== 'v' && !k.endsWith('.m')) obj[k] = v;
+  }
+  // Материалы пользователя из ссылки: если такого id нет в справочнике, берётся описание из ссылки
+  const merged = { ...lists };
+  for (const [key, f] of Object.entries(STATE_FIELDS)){
+    const raw = q.get(`${key}.m`);
+    const list = merged[key] ?? f.list ?? [];
+    if (f.type !== 'preset' || raw === null || list.some(p => p.id === obj[key])) continue;
+    let m = null;
+    try { m = normalizeMaterial({ ...JSON.parse(raw), group: key, id: obj[key] }).material; } catch {}
+    if (m) merged[key] = [...list, m];
+  }
+  const v = q.get('v');
+  if (v !== null && Number(v) < 2 && !q.has('pipeFilm')) obj.pipeFilm = '0';
+  const { state, warnings, missing } = validateState(obj, { lists: merged });
+  if (v !== null && Number(v) > STATE_VERSION) warnings.unshift(`Ссылка создана более новой версией (v=${v}); часть параметров может не учитываться`);
+  const total = Object.values(STATE_FIELDS).filter(f => f.type !== 'layers').length + Object.keys(ROOM_FIELDS).length;
+  return { state, warnings, found: missing.length < total };
+}
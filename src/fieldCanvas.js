@@ -0,0 +1,381 @@
+// Отрисовка поля температур на канвасе: растр, штриховка слоёв, подписи, контуры труб и изолинии.
+// Используется основным полем, кадрами нестационарного расчёта, отчётом и экспортом изображения.
+
+import { scaleColor } from "./sim/render.js";
+import { heatFlux, sampleNodes, fluxStreamlines } from "./sim/flux.js";
+
+const FONT = 'system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
+// Контур алюминиевых пластин сухой системы; стена и граница краевой зоны
+export const PLATE_COLOR = '#4a4a55';
+export const EDGE_COLOR = '#7c2d12';
+
+// Унифицированный способ создавать канвас (OffscreenCanvas с запасным вариантом)
+function createCanvas(width, height){
+  try {
+    if (typeof OffscreenCanvas !== 'undefined'){
+      return new OffscreenCanvas(width, height);
+    }
+  } catch {}
+  const c = document.createElement('canvas');
+  c.width = width; c.height = height;
+  return c;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} results — результат решателя с растром img (ImageData)
+ * @param {{ showIso?: boolean, isoStep?: number, scale?: number, isoLabels?: boolean, vectors?: boolean, legend?: boolean, flux?: 'none'|'arrows'|'lines', probes?: Array<{ x: number, color: string, label: string }> }} [opts]
+ *   scale — множитель толщин линий, шрифтов и штриховки (экспорт в высоком разрешении);
+ *   isoLabels — подписи температур на изолиниях; vectors: false — только растр со штриховкой (под векторный SVG);
+ *   legend — цветовая шкала поверх поля по results.colorScale (из renderField);
+ *   flux — стрелки плотности теплового потока −k∇T или линии тока от труб (вниз уходящие — другим цветом);
+ *   probes — вертикальные зонды (x, м) с подписью у поверхности
+ */
+export function drawFieldCanvas(canvas, results, { showIso = true, isoStep = 0.5, scale = 1, isoLabels = false, vectors = true, legend = false, flux = 'none', probes = [] } = {}){
+  if (!results || !canvas) return;
+  const ctx = canvas.getContext("2d");
+  const { img, overlays } = results;
+  const { layers, pipes, W, totalH } = overlays;
+  const k = scale;
+
+  // draw
+  // Кросс-браузер отрисовка без ошибки OffscreenCanvas в средах, где его нет
+  const off = createCanvas(img.width, img.height);
+    const octx = off.getContext("2d");
+  try { octx.putImageData(img, 0, 0); } catch {}
+    canvas.width = img.width;
+    canvas.height = img.height;
+  try { ctx.drawImage(off, 0, 0); } catch { ctx.putImageData(img, 0, 0); }
+
+  // Штриховка слоёв по группе материала: покрытие — декоративный узор по id, стяжка (\\),
+  // подложка (светлая сетка), утеплитель (/)
+  const toY = (y)=> (y/totalH) * img.height;
+  for (const l of layers){
+    const y0 = toY(l.top), h = toY(l.bottom) - y0;
+    if (h <= 1) continue;
+    const pat = ctx.createPattern(layerTile(l), 'repeat');
+    if (!pat) continue;
+    if (k !== 1 && typeof DOMMatrix !== 'undefined') pat.setTransform?.(new DOMMatrix().scale(k));
+    ctx.save();
+    if (l.group === 'screed' || l.group === 'insul'){ ctx.globalCompositeOperation = 'multiply'; ctx.globalAlpha = 0.22; }
+    else ctx.globalAlpha = 0.35;
+    ctx.fillStyle = pat; ctx.fillRect(0, y0, img.width, h);
+    ctx.restore();
+  }
+  if (!vectors) return;
+
+  // Границы слоёв: пунктир, верх утеплителя — мелкий пунктир
+  ctx.lineWidth = 2*k;
+  for (const b of layerBoundaries(layers)){
+    ctx.setLineDash(b.insul ? [4*k,4*k] : [6*k,6*k]);
+    ctx.strokeStyle = b.insul ? 'rgba(0,0,0,0.5)' : 'rgba(0,0,0,0.6)';
+    const y = toY(b.y);
+    ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(img.width, y); ctx.stroke();
+  }
+
+  // Подписи слоёв у линий: утеплитель — под своей верхней границей, остальные — над нижней
+  ctx.save();
+  ctx.font = `${12*k}px ${FONT}`;
+  ctx.fillStyle = 'rgba(0,0,0,0.75)';
+  ctx.textAlign = 'left';
+  for (const l of layers){
+    if (!l.label) continue;
+    if (l.group === 'insul'){ ctx.textBaseline = 'top'; ctx.fillText(l.label, 8*k, Math.min(img.height - 10*k, toY(l.top) + 4*k)); }
+    else { ctx.textBaseline = 'bottom'; ctx.fillText(l.label, 8*k, Math.max(10*k, toY(l.bottom) - 4*k)); }
+  }
+  ctx.restore();
+
+  ctx.setLineDash([]);
+  ctx.strokeStyle = "rgba(0,0,0,0.9)";
+  ctx.lineWidth = 2*k;
+  for (const pipe of pipes){
+    const xPipe = (pipe.x / W) * img.width;
+    const yPipe = (pipe.y / totalH) * img.height;
+    const rPix = (pipe.r / W) * img.width; // при согласованном aspect это = (r/totalH)*height
+    ctx.beginPath(); ctx.arc(xPipe, yPipe, rPix, 0, Math.PI * 2); ctx.stroke();
+  }
+  // Пластины сухой системы: полка под плитой и канал вокруг трубы
+  ctx.save();
+  ctx.strokeStyle = PLATE_COLOR; ctx.lineWidth = 3*k; ctx.lineJoin = 'round';
+  for (const pts of plateOutlines(overlays)){
+    ctx.beginPath();
+    pts.forEach(([x, y], n)=> n ? ctx.lineTo(x/W*img.width, toY(y)) : ctx.moveTo(x/W*img.width, toY(y)));
+    ctx.stroke();
+  }
+  ctx.restore();
+  if (overlays.edge) drawEdge(ctx, overlays, img, k);
+
+  if (showIso) drawIsolines(ctx, results, img, { isoStep, isoLabels, k });
+  if (flux !== 'none' && results.field?.k) drawFlux(ctx, results, img, flux, k);
+  if (probes.length) drawProbes(ctx, probes, img, W, k);
+  if (legend && results.colorScale) drawColorBar(ctx, results.colorScale, img.width, img.height, k);
+}
+
+// Краевая зона: стена — толстая линия слева, контур демпферной ленты, пунктир по концу полосы до утеплителя
+function drawEdge(ctx, { edge, W, totalH }, img, k){
+  const X = (x)=> x / W * img.width, Y = (y)=> y / totalH * img.height;
+  ctx.save();
+  ctx.strokeStyle = EDGE_COLOR; ctx.fillStyle = EDGE_COLOR;
+  ctx.lineWidth = 6*k;
+  ctx.beginPath(); ctx.moveTo(0, 0); ctx.lineTo(0, img.height); ctx.stroke();
+  ctx.lineWidth = 1.5*k;
+  ctx.strokeRect(0, 0, Math.max(2*k, X(edge.strip)), Y(edge.stripBottom));
+  ctx.setLineDash([5*k, 4*k]);
+  ctx.beginPath(); ctx.moveTo(X(edge.x1), 0); ctx.lineTo(X(edge.x1), Y(edge.stripBottom)); ctx.stroke();
+  ctx.font = `${11*k}px ${FONT}`; ctx.textAlign = 'right'; ctx.textBaseline = 'top';
+  ctx.fillText('краевая зона', X(edge.x1) - 4*k, 4*k);
+  ctx.restore();
+}
+
+function drawIsolines(ctx, results, img, { isoStep, isoLabels, k }){
+  const levels = isolines(results, isoStep);
+  ctx.save();
+  ctx.strokeStyle = 'rgba(0,0,0,0.35)';
+  ctx.lineWidth = k;
+  for (const { segs } of levels){
+    for (const [u0, v0, u1, v1] of segs){
+      ctx.beginPath(); ctx.moveTo(u0*img.width, v0*img.height); ctx.lineTo(u1*img.width, v1*img.height); ctx.stroke();
+    }
+  }
+  ctx.restore();
+  if (!isoLabels) return;
+  ctx.save();
+  ctx.font = `${11*k}px ${FONT}`;
+  ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+  ctx.lineWidth = 3*k; ctx.strokeStyle = 'rgba(255,255,255,0.85)'; ctx.fillStyle = 'rgba(0,0,0,0.85)';
+  for (const p of isoLabelPoints(levels)){
+    const x = p.u*img.width, y = p.v*img.height;
+    ctx.strokeText(p.text, x, y); ctx.fillText(p.text, x, y);
+  }
+  ctx.restore();
+}
+
+// Тепловой поток для отрисовки: стрелки по регулярной сетке (длина ~ √|q|) или линии тока от труб.
+// Координаты — в px изображения width × height; k — масштаб толщин; down — линия уходит ниже трубы
+export function fluxGlyphs(results, mode, width, height, k = 1){
+  const { W, totalH } = results.grid;
+  const { pipes } = results.overlays;
+  const q = heatFlux(results);
+  const sx = width / W, sy = height / totalH;
+  const lines = [], heads = [];
+  if (mode === 'arrows'){
+    const step = 28*k, maxLen = 0.8*step;
+    for (let y = step/2; y < height; y += step){
+      for (let x = step/2; x < width; x += step){
+        const xp = x / sx, yp = y / sy;
+        if (pipes.some(p => Math.hypot(xp - p.x, yp - p.y) <= p.r + 2/sx)) continue;
+        const qx = sampleNodes(results, q.qx, xp, yp), qy = sampleNodes(results, q.qy, xp, yp);
+        const m = Math.hypot(qx, qy);
+        if (!(m > 0.02 * q.qRef)) continue;
+        const len = maxLen * Math.sqrt(Math.min(1, m / q.qRef));
+        const ux = qx / m, uy = qy / m;
+        lines.push({ pts: [x - 0.5*len*ux, y - 0.5*len*uy, x + 0.5*len*ux, y + 0.5*len*uy], down: false });
+        heads.push({ x: x + 0.5*len*ux, y: y + 0.5*len*uy, ux, uy, size: Math.max(3*k, 0.3*len), down: false });
+      }
+    }
+    return { lines, heads };
+  }
+  for (const { pts, down } of fluxStreamlines(results, q)){
+    if (pts.length < 4) continue;
+    lines.push({ pts: pts.map((v, n)=> n % 2 ? v*sy : v*sx), down });
+    // Направление — наконечник посередине линии
+    const m = 2*Math.floor(pts.length / 4);
+    const dx = (pts[m] - pts[m-2])*sx, dy = (pts[m+1] - pts[m-1])*sy, d = Math.hypot(dx, dy);
+    if (d > 0) heads.push({ x: pts[m]*sx, y: pts[m+1]*sy, ux: dx/d, uy: dy/d, size: 5*k, down });
+  }
+  return { lines, heads };
+}
+
+// Треугольник наконечника: острие и два угла основания
+export function arrowHeadPoints({ x, y, ux, uy, size }){
+  return [x, y, x - size*(ux - 0.5*uy), y - size*(uy + 0.5*ux), x - size*(ux + 0.5*uy), y - size*(uy - 0.5*ux)];
+}
+
+export const FLUX_COLORS = { up: { color: '#000000', alpha: 0.7 }, down: { color: '#be0096', alpha: 0.85 } };
+
+function drawFlux(ctx, results, img, mode, k){
+  const { lines, heads } = fluxGlyphs(results, mode, img.width, img.height, k);
+  ctx.save();
+  ctx.setLineDash([]);
+  ctx.lineWidth = (mode === 'arrows' ? 1.2 : 1.4)*k;
+  const use = (down)=> { const c = down ? FLUX_COLORS.down : FLUX_COLORS.up; ctx.strokeStyle = ctx.fillStyle = c.color; ctx.globalAlpha = c.alpha; };
+  for (const { pts, down } of lines){
+    use(down);
+    ctx.beginPath(); ctx.moveTo(pts[0], pts[1]);
+    for (let n=2; n<pts.length; n+=2) ctx.lineTo(pts[n], pts[n+1]);
+    ctx.stroke();
+  }
+  for (const h of heads){
+    const [x0, y0, x1, y1, x2, y2] = arrowHeadPoints(h);
+    use(h.down);
+    ctx.beginPath(); ctx.moveTo(x0, y0); ctx.lineTo(x1, y1); ctx.lineTo(x2, y2); ctx.closePath(); ctx.fill();
+  }
+  ctx.restore();
+}
+
+// Зонды: вертикальная линия на всю высоту и номер в кружке у поверхности
+function drawProbes(ctx, probes, img, W, k){
+  ctx.save();
+  ctx.font = `600 ${10*k}px ${FONT}`; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+  for (const p of probes){
+    const x = (p.x / W) * img.width;
+    ctx.strokeStyle = p.color; ctx.lineWidth = 1.5*k; ctx.setLineDash([5*k, 3*k]);
+    ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, img.height); ctx.stroke();
+    ctx.setLineDash([]);
+    const cx = Math.min(img.width - 8*k, Math.max(8*k, x)), cy = 9*k;
+    ctx.fillStyle = p.color; ctx.beginPath(); ctx.arc(cx, cy, 7*k, 0, Math.PI*2); ctx.fill();
+    ctx.fillStyle = '#fff'; ctx.fillText(p.label, cx, cy + 0.5*k);
+  }
+  ctx.restore();
+}
+
+// Круглые деления шкалы: шаг 1, 2, 2.5 или 5 × 10ⁿ, около n делений
+function niceTicks([lo, hi], n = 5){
+  const raw = (hi - lo) / n;
+  const p = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * p).find(s => s >= raw);
+  const out = [];
+  for (let v = Math.ceil(lo / step - 1e-9) * step; v <= hi + 1e-9; v += step) out.push(+v.toFixed(6));
+  return out;
+}
+
+// Цветовая шкала поверх поля — внизу справа, на светлой подложке
+function drawColorBar(ctx, { range, contrast, palette, unit = '°C' }, w, h, k){
+  const bw = Math.min(180*k, w * 0.4), bh = 8*k, pad = 6*k;
+  const x0 = w - bw - pad - 16*k, y0 = h - bh - 24*k;
+  ctx.save();
+  ctx.setLineDash([]);
+  ctx.fillStyle = 'rgba(255,255,255,0.85)';
+  ctx.fillRect(x0 - pad, y0 - pad, bw + 2*pad, bh + 16*k + 2*pad);
+  for (let i=0; i<bw; i++){
+    const [r, g, b] = scaleColor(range[0] + (range[1] - range[0]) * (i + 0.5) / bw, range, contrast, palette);
+    ctx.fillStyle = `rgb(${r},${g},${b})`;
+    ctx.fillRect(x0 + i, y0, 1.5, bh);
+  }
+  ctx.strokeStyle = 'rgba(0,0,0,0.6)'; ctx.lineWidth = k;
+  ctx.strokeRect(x0, y0, bw, bh);
+  ctx.font = `${10*k}px ${FONT}`; ctx.fillStyle = '#222';
+  ctx.textAlign = 'center'; ctx.textBaseline = 'top';
+  const ticks = niceTicks(range);
+  ticks.forEach((T, n)=> {
+    const x = x0 + bw * (T - range[0]) / (range[1] - range[0]);
+    ctx.beginPath(); ctx.moveTo(x, y0 + bh); ctx.lineTo(x, y0 + bh + 3*k); ctx.stroke();
+    ctx.fillText(n === ticks.length - 1 ? `${T} ${unit}` : String(T), x, y0 + bh + 4*k);
+  });
+  ctx.restore();
+}
+
+// Контуры пластин (точки [x, y], м): полка по низу плиты, вниз по бокам трубы и полуокружность под ней
+export function plateOutlines(overlays){
+  if (!overlays.plates) return [];
+  return overlays.plates.map((pl, n)=> {
+    const { r } = overlays.pipes[n], { x } = pl;
+    const half = Math.max(0.5*pl.w, r), yc = pl.y + r;
+    const arc = Array.from({ length: 17 }, (_, a)=> { const t = Math.PI * (1 - a/16); return [x + r*Math.cos(t), yc + r*Math.sin(t)]; });
+    return [[x - half, pl.y], [x - r, pl.y], ...arc, [x + r, pl.y], [x + half, pl.y]];
+  });
+}
+
+// Границы между слоями (y, м); insul — верх утеплителя
+export function layerBoundaries(layers){
+  return layers.slice(0, -1).map((l, i)=> ({ y: l.bottom, insul: layers[i + 1].group === 'insul' && l.group !== 'insul' }));
+}
+
+/**
+ * Изолинии температуры в диапазоне температур поверхности — marching squares по ячейкам сетки.
+ * @returns {Array<{ T: number, segs: Array<[number, number, number, number]> }>} отрезки в долях ширины/высоты поля
+ */
+export function isolines(results, isoStep = 0.5){
+  if (!results?.metrics) return [];
+  const { NX, NY } = results.grid;
+  const T = results.field.T;
+  const { Tmin, Tmax } = results.metrics;
+  const step = Math.max(0.5, Math.min(5, isoStep || 1));
+  const out = [];
+  for (let Tiso = Math.ceil(Tmin/step)*step; Tiso < Tmax; Tiso += step){
+    const segs = [];
+    for (let j=0; j<NY-1; j++){
+      const y0 = j/(NY-1), y1 = (j+1)/(NY-1);
+      for (let i=0; i<NX-1; i++){
+        const x0 = i/(NX-1), x1 = (i+1)/(NX-1);
+        const t00 = T[j*NX + i];
+        const t10 = T[j*NX + (i+1)];
+        const t01 = T[(j+1)*NX + i];
+        const t11 = T[(j+1)*NX + (i+1)];
+        const pts = [];
+        const addEdge = (ta, tb, xa, ya, xb, yb) => {
+          if ((Tiso-ta)*(Tiso-tb) <= 0 && Math.abs(tb-ta) > 1e-9){
+            const f = (Tiso - ta)/(tb - ta);
+            pts.push(xa + f*(xb-xa), ya + f*(yb-ya));
+          }
+        };
+        addEdge(t00, t10, x0, y0, x1, y0); // верх
+        addEdge(t10, t11, x1, y0, x1, y1); // право
+        addEdge(t11, t01, x1, y1, x0, y1); // низ
+        addEdge(t01, t00, x0, y1, x0, y0); // лево
+        if (pts.length === 4 || pts.length === 8) segs.push(pts.slice(0, 4));
+        // двусмысленный случай (четыре пересечения) — две диагональные линии
+        if (pts.length === 8) segs.push(pts.slice(4, 8));
+      }
+    }
+    out.push({ T: +Tiso.toFixed(3), segs });
+  }
+  return out;
+}
+
+// Точки подписей изолиний: по одной на уровень, со сдвигом по ширине, чтобы подписи соседних уровней не сливались
+export function isoLabelPoints(levels){
+  return levels.filter(l => l.segs.length).map((l, n)=> {
+    const target = 0.12 + 0.76 * ((n * 0.382) % 1);
+    let best = l.segs[0], dist = Infinity;
+    for (const s of l.segs){
+      const d = Math.abs((s[0] + s[2]) / 2 - target);
+      if (d < dist){ dist = d; best = s; }
+    }
+    return { T: l.T, text: `${+l.T.toFixed(2)}°`, u: (best[0] + best[2]) / 2, v: (best[1] + best[3]) / 2 };
+  });
+}
+
+// Плитка штриховки слоя
+function layerTile(l){
+  if (l.group === 'cover'){
+    // декоративное отображение чистового покрытия
+    const tile = 24; const c = createCanvas(tile, tile); const p = c.getContext('2d');
+    const type = l.id === 'laminate8' ? 'laminate' : l.id;
+    if (type==='tile'){
+      p.fillStyle = '#e8e8e8'; p.fillRect(0,0,tile,tile);
+      p.strokeStyle = 'rgba(0,0,0,0.25)'; p.lineWidth = 1; p.strokeRect(0.5,0.5,tile-1,tile-1);
+    } else if (type==='laminate'){
+      p.fillStyle = '#f0eadc'; p.fillRect(0,0,tile,tile);
+      p.strokeStyle = 'rgba(120,85,40,0.25)'; p.lineWidth = 1; p.beginPath(); p.moveTo(tile*0.33,0); p.lineTo(tile*0.33,tile); p.moveTo(tile*0.66,0); p.lineTo(tile*0.66,tile); p.stroke();
+    } else if (type==='wood20'){
+      p.fillStyle = '#eadfcb'; p.fillRect(0,0,tile,tile);
+      p.strokeStyle = 'rgba(120,90,50,0.25)'; p.lineWidth = 1; p.beginPath(); p.moveTo(0, tile*0.5); p.bezierCurveTo(tile*0.3, tile*0.3, tile*0.7, tile*0.7, tile, tile*0.5); p.stroke();
+    } else if (type==='vinyl5'){
+      p.fillStyle = '#f2f5f7'; p.fillRect(0,0,tile,tile);
+      p.fillStyle = 'rgba(0,0,0,0.06)'; p.fillRect(tile*0.5-1,tile*0.5-1,2,2);
+    }
+    return c;
+  }
+  if (l.group === 'under'){
+    const tile = 8; const c = createCanvas(tile, tile); const p = c.getContext('2d');
+    p.strokeStyle = 'rgba(255,255,255,0.9)'; p.lineWidth = 0.8;
+    p.beginPath();
+    p.moveTo(0,0); p.lineTo(tile,0); p.moveTo(0,tile*0.5); p.lineTo(tile,tile*0.5); p.moveTo(0,tile); p.lineTo(tile,tile);
+    p.moveTo(0,0); p.lineTo(0,tile); p.moveTo(tile*0.5,0); p.lineTo(tile*0.5,tile); p.moveTo(tile,0); p.lineTo(tile,tile);
+    p.stroke();
+    return c;
+  }
+  const tile = 12; const c = createCanvas(tile, tile); const p = c.getContext('2d');
+  p.strokeStyle = '#000000'; p.lineWidth = 1;
+  if (l.group === 'insul'){
+    // диагонали /
+    p.beginPath(); p.moveTo(0,tile); p.lineTo(tile,0); p.lineTo(tile*2,-tile); p.stroke();
+    p.beginPath(); p.moveTo(-tile,tile); p.lineTo(0,0); p.lineTo(tile,-tile); p.stroke();
+  } else {
+    // диагонали \\
+    p.beginPath(); p.moveTo(-tile,0); p.lineTo(0,tile); p.lineTo(tile*2,tile*3); p.stroke();
+    p.beginPath(); p.moveTo(0,0); p.lineTo(tile,tile); p.lineTo(tile*2,tile*2); p.stroke();
+  }
+  return c;
+}
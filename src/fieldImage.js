@@ -0,0 +1,205 @@
+// Изображение поля температур для отчётов и презентаций: PNG или SVG в выбранном разрешении
+// со штриховкой слоёв, трубами, подписанными изолиниями, цветовой шкалой, масштабной линейкой и штампом.
+import { renderField, scaleColor } from "./sim/render.js";
+import { drawFieldCanvas, layerBoundaries, isolines, isoLabelPoints, fluxGlyphs, arrowHeadPoints, FLUX_COLORS, plateOutlines, PLATE_COLOR, EDGE_COLOR } from "./fieldCanvas.js";
+
+// Ширина изображения, px
+export const IMAGE_WIDTHS = [1200, 2400, 3600];
+
+const FONT = 'system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
+// Базовая ширина разметки: при 800 px толщины и шрифты — как на экране
+const BASE_WIDTH = 800;
+
+// Длина масштабной линейки: круглое число мм около четверти ширины сечения
+function scaleBarMM(widthMM){
+  const steps = [5, 10, 20, 25, 50, 100, 200, 250, 500];
+  return steps.reduce((best, s)=> Math.abs(s - widthMM/4) < Math.abs(best - widthMM/4) ? s : best, steps[0]);
+}
+
+// Разметка изображения: штамп сверху, поле, шкала справа, линейка снизу (в px)
+function layout(results, widthPx){
+  const k = widthPx / BASE_WIDTH;
+  const m = 24*k, titleH = 58*k, legendW = 96*k, barH = 40*k;
+  const fw = Math.round(widthPx - 2*m - legendW);
+  const fh = Math.max(240, Math.round(fw * results.grid.totalH / results.grid.W)); // как в renderField
+  return { k, m, titleH, legendW, barH, fw, fh, fx: m, fy: m + titleH, width: widthPx, height: Math.round(m + titleH + fh + barH + m) };
+}
+
+// Строка штампа по умолчанию: температуры, шаг, труба и дата
+function defaultSubtitle(P){
+  return [
+    `Подача/обратка ${+P.Ts.toFixed(1)}/${+P.Tr.toFixed(1)} °C`, `воздух ${+P.Tair.toFixed(1)} °C`,
+    `шаг ${Math.round(P.spacing * 1000)} мм`, `труба ${+(P.pipeOD * 1000).toFixed(1)} мм`, new Date().toLocaleDateString('ru-RU'),
+  ].join(' · ');
+}
+
+const ticks = ([lo, hi], n = 6)=> Array.from({ length: n }, (_, i)=> lo + (hi - lo) * i / (n - 1));
+
+// Поле в разрешении fw × fh с той же шкалой, что на экране
+function fieldRaster(results, L, view){
+  const px = renderField(results, { ...view, widthPx: L.fw });
+  return { ...results, img: new ImageData(px.data, px.width, px.height), colorScale: px.colorScale };
+}
+
+/**
+ * PNG: канвас с изображением (canvas.toBlob — сохранить).
+ * @param {object} results — результат solveFloor
+ * @param {{ widthPx?: number, showIso?: boolean, isoStep?: number, flux?: 'none'|'arrows'|'lines', title?: string, subtitle?: string }} [opts]
+ *   плюс настройки цветовой шкалы и quantity, как у renderField; flux — как у drawFieldCanvas; subtitle — строка штампа; по умолчанию температуры, шаг, труба и дата
+ * @returns {HTMLCanvasElement}
+ */
+export function fieldImagePNG(results, { widthPx = 2400, showIso = true, isoStep = 0.5, flux = 'none', title = '', subtitle = defaultSubtitle(results.params), ...view } = {}){
+  const L = layout(results, widthPx);
+  const { k } = L;
+  const field = document.createElement('canvas');
+  const res = fieldRaster(results, L, view);
+  drawFieldCanvas(field, res, { showIso, isoStep, scale: L.fw / 560, isoLabels: true, flux });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = L.width; canvas.height = L.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff'; ctx.fillRect(0, 0, L.width, L.height);
+  ctx.drawImage(field, L.fx, L.fy, field.width, field.height);
+  ctx.strokeStyle = '#666'; ctx.lineWidth = k; ctx.strokeRect(L.fx, L.fy, field.width, field.height);
+
+  // Штамп
+  ctx.fillStyle = '#111'; ctx.textBaseline = 'alphabetic';
+  ctx.font = `600 ${20*k}px ${FONT}`; ctx.fillText(title || 'Поле температур', L.m, L.m + 20*k);
+  ctx.fillStyle = '#555'; ctx.font = `${12*k}px ${FONT}`;
+  ctx.fillText(subtitle, L.m, L.m + 40*k);
+
+  // Цветовая шкала: сверху Tmax, снизу Tmin
+  const { range, contrast, palette, unit } = res.colorScale;
+  const bx = L.fx + L.fw + 18*k, bw = 18*k, by = L.fy, bh = L.fh;
+  for (let y=0; y<bh; y++){
+    const [r, g, b] = scaleColor(range[1] - (range[1] - range[0]) * (y + 0.5) / bh, range, contrast, palette);
+    ctx.fillStyle = `rgb(${r},${g},${b})`;
+    ctx.fillRect(bx, by + y, bw, 1.5);
+  }
+  ctx.strokeStyle = '#555'; ctx.lineWidth = k; ctx.strokeRect(bx, by, bw, bh);
+  ctx.fillStyle = '#222'; ctx.font = `${11*k}px ${FONT}`; ctx.textBaseline = 'middle';
+  for (const T of ticks(range)){
+    const y = by + bh * (range[1] - T) / (range[1] - range[0]);
+    ctx.beginPath(); ctx.moveTo(bx + bw, y); ctx.lineTo(bx + bw + 4*k, y); ctx.stroke();
+    ctx.fillText(`${T.toFixed(1)} ${unit}`, bx + bw + 6*k, y);
+  }
+
+  // Масштабная линейка
+  const mm = scaleBarMM(results.grid.W * 1000);
+  const len = L.fw * mm / (results.grid.W * 1000);
+  const ly = L.fy + L.fh + 18*k;
+  ctx.strokeStyle = '#111'; ctx.lineWidth = 2*k;
+  ctx.beginPath();
+  ctx.moveTo(L.fx, ly); ctx.lineTo(L.fx + len, ly);
+  ctx.moveTo(L.fx, ly - 5*k); ctx.lineTo(L.fx, ly + 5*k);
+  ctx.moveTo(L.fx + len, ly - 5*k); ctx.lineTo(L.fx + len, ly + 5*k);
+  ctx.stroke();
+  ctx.fillStyle = '#111'; ctx.font = `${12*k}px ${FONT}`; ctx.textBaseline = 'middle';
+  ctx.fillText(`${mm} мм`, L.fx + len + 8*k, ly);
+  return canvas;
+}
+
+const esc = (s)=> String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const n1 = (v)=> +v.toFixed(1);
+
+/**
+ * SVG: растр поля со штриховкой — встроенным PNG, остальное (границы слоёв, трубы, изолинии, подписи,
+ * шкала, линейка, штамп) — векторами.
+ * @param {object} results
+ * @param {object} [opts] — как у fieldImagePNG
+ * @returns {string}
+ */
+export function fieldImageSVG(results, { widthPx = 2400, showIso = true, isoStep = 0.5, flux = 'none', title = '', subtitle = defaultSubtitle(results.params), ...view } = {}){
+  const L = layout(results, widthPx);
+  const { k, fx, fy, fw, fh } = L;
+  const field = document.createElement('canvas');
+  const res = fieldRaster(results, L, view);
+  drawFieldCanvas(field, res, { scale: fw / 560, vectors: false });
+  const { layers, pipes, W, totalH } = results.overlays;
+  const X = (x)=> n1(fx + fw * x / W), Y = (y)=> n1(fy + fh * y / totalH);
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${L.width}" height="${L.height}" viewBox="0 0 ${L.width} ${L.height}" font-family="${FONT}">`);
+  out.push(`<rect width="100%" height="100%" fill="#ffffff"/>`);
+  out.push(`<text x="${n1(L.m)}" y="${n1(L.m + 20*k)}" font-size="${n1(20*k)}" font-weight="600" fill="#111">${esc(title || 'Поле температур')}</text>`);
+  out.push(`<text x="${n1(L.m)}" y="${n1(L.m + 40*k)}" font-size="${n1(12*k)}" fill="#555">${esc(subtitle)}</text>`);
+  out.push(`<image x="${fx}" y="${fy}" width="${fw}" height="${fh}" preserveAspectRatio="none" xlink:href="${field.toDataURL('image/png')}"/>`);
+  out.push(`<rect x="${fx}" y="${fy}" width="${fw}" height="${fh}" fill="none" stroke="#666" stroke-width="${n1(k)}"/>`);
+
+  // Границы и подписи слоёв
+  const lw = n1(2 * fw / 560);
+  for (const b of layerBoundaries(layers)){
+    const d = b.insul ? 4 : 6;
+    out.push(`<line x1="${fx}" x2="${fx + fw}" y1="${Y(b.y)}" y2="${Y(b.y)}" stroke="#000" stroke-opacity="${b.insul ? 0.5 : 0.6}" stroke-width="${lw}" stroke-dasharray="${n1(d*lw/2)} ${n1(d*lw/2)}"/>`);
+  }
+  const fs = n1(12 * fw / 560);
+  for (const l of layers){
+    if (!l.label) continue;
+    const y = l.group === 'insul' ? Y(l.top) + fs * 1.1 : Y(l.bottom) - fs * 0.4;
+    out.push(`<text x="${n1(fx + 8 * fw / 560)}" y="${n1(y)}" font-size="${fs}" fill="#000" fill-opacity="0.75">${esc(l.label)}</text>`);
+  }
+  for (const p of pipes){
+    out.push(`<circle cx="${X(p.x)}" cy="${Y(p.y)}" r="${n1(fw * p.r / W)}" fill="none" stroke="#000" stroke-opacity="0.9" stroke-width="${lw}"/>`);
+  }
+  for (const pts of plateOutlines(results.overlays)){
+    out.push(`<polyline points="${pts.map(([x, y])=> `${X(x)},${Y(y)}`).join(' ')}" fill="none" stroke="${PLATE_COLOR}" stroke-width="${n1(1.5*lw)}" stroke-linejoin="round"/>`);
+  }
+  const edge = results.overlays.edge;
+  if (edge){
+    out.push(`<line x1="${fx}" x2="${fx}" y1="${fy}" y2="${fy + fh}" stroke="${EDGE_COLOR}" stroke-width="${n1(3*lw)}"/>`);
+    out.push(`<rect x="${fx}" y="${fy}" width="${n1(Math.max(lw, X(edge.strip) - fx))}" height="${n1(Y(edge.stripBottom) - fy)}" fill="none" stroke="${EDGE_COLOR}" stroke-width="${n1(0.75*lw)}"/>`);
+    out.push(`<line x1="${X(edge.x1)}" x2="${X(edge.x1)}" y1="${fy}" y2="${Y(edge.stripBottom)}" stroke="${EDGE_COLOR}" stroke-width="${n1(0.75*lw)}" stroke-dasharray="${n1(2.5*lw)} ${n1(2*lw)}"/>`);
+    out.push(`<text x="${n1(X(edge.x1) - 2*lw)}" y="${n1(fy + 2*lw + fs)}" font-size="${fs}" text-anchor="end" fill="${EDGE_COLOR}">краевая зона</text>`);
+  }
+
+  // Изолинии и их подписи
+  if (showIso){
+    const levels = isolines(results, isoStep);
+    for (const { T, segs } of levels){
+      const d = segs.map(([u0, v0, u1, v1])=> `M${n1(fx + u0*fw)} ${n1(fy + v0*fh)}L${n1(fx + u1*fw)} ${n1(fy + v1*fh)}`).join('');
+      if (d) out.push(`<path d="${d}" fill="none" stroke="#000" stroke-opacity="0.35" stroke-width="${n1(lw/2)}"><title>${T} °C</title></path>`);
+    }
+    const ls = n1(11 * fw / 560);
+    for (const p of isoLabelPoints(levels)){
+      out.push(`<text x="${n1(fx + p.u*fw)}" y="${n1(fy + p.v*fh)}" font-size="${ls}" text-anchor="middle" dominant-baseline="middle" fill="#000" fill-opacity="0.85" stroke="#fff" stroke-opacity="0.85" stroke-width="${n1(lw*1.5)}" paint-order="stroke">${esc(p.text)}</text>`);
+    }
+  }
+
+  // Тепловой поток: линии и наконечники
+  if (flux !== 'none'){
+    const { lines, heads } = fluxGlyphs(res, flux, fw, fh, fw / 560);
+    const paint = (down, attr)=> { const c = down ? FLUX_COLORS.down : FLUX_COLORS.up; return `${attr}="${c.color}" ${attr}-opacity="${c.alpha}"`; };
+    const fw1 = n1((flux === 'arrows' ? 1.2 : 1.4) * fw / 560);
+    for (const { pts, down } of lines){
+      const d = pts.reduce((acc, v, n)=> n % 2 ? acc : `${acc}${n ? 'L' : 'M'}${n1(fx + v)} ${n1(fy + pts[n+1])}`, '');
+      out.push(`<path d="${d}" fill="none" ${paint(down, 'stroke')} stroke-width="${fw1}"/>`);
+    }
+    for (const h of heads){
+      const p = arrowHeadPoints(h);
+      out.push(`<polygon points="${[0, 2, 4].map(n => `${n1(fx + p[n])},${n1(fy + p[n+1])}`).join(' ')}" ${paint(h.down, 'fill')}/>`);
+    }
+  }
+
+  // Цветовая шкала — градиент по тем же цветам, что растр
+  const { range, contrast, palette, unit } = res.colorScale;
+  const bx = n1(fx + fw + 18*k), bw = n1(18*k), bh = fh;
+  const stops = Array.from({ length: 21 }, (_, i)=> {
+    const [r, g, b] = scaleColor(range[1] - (range[1] - range[0]) * i / 20, range, contrast, palette);
+    return `<stop offset="${i * 5}%" stop-color="rgb(${r},${g},${b})"/>`;
+  });
+  out.push(`<defs><linearGradient id="scale" x1="0" y1="0" x2="0" y2="1">${stops.join('')}</linearGradient></defs>`);
+  out.push(`<rect x="${bx}" y="${fy}" width="${bw}" height="${bh}" fill="url(#scale)" stroke="#555" stroke-width="${n1(k)}"/>`);
+  for (const T of ticks(range)){
+    const y = n1(fy + bh * (range[1] - T) / (range[1] - range[0]));
+    out.push(`<line x1="${n1(bx + bw)}" x2="${n1(bx + bw + 4*k)}" y1="${y}" y2="${y}" stroke="#555" stroke-width="${n1(k)}"/>`);
+    out.push(`<text x="${n1(bx + bw + 6*k)}" y="${y}" font-size="${n1(11*k)}" dominant-baseline="middle" fill="#222">${T.toFixed(1)} ${unit}</text>`);
+  }
+
+  // Масштабная линейка
+  const mm = scaleBarMM(W * 1000);
+  const len = n1(fw * mm / (W * 1000));
+  const ly = n1(fy + fh + 18*k), t = n1(5*k);
+  out.push(`<path d="M${fx} ${ly}H${n1(fx + len)}M${fx} ${n1(ly - t)}V${n1(ly + t)}M${n1(fx + len)} ${n1(ly - t)}V${n1(ly + t)}" stroke="#111" stroke-width="${n1(2*k)}" fill="none"/>`);
+  out.push(`<text x="${n1(fx + len + 8*k)}" y="${ly}" font-size="${n1(12*k)}" dominant-baseline="middle" fill="#111">${mm} мм</text>`);
+  out.push('</svg>');
+  return out.join('\n');
+}
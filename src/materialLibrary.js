@@ -0,0 +1,118 @@
+// Библиотека материалов пользователя: хранение в localStorage, импорт и экспорт JSON/CSV.
+// Материал пользователя — объект того же вида, что пресет (id, name, t, k, rho, c), с полями group и custom.
+import { PRESETS_SCREED, PRESETS_COVER, PRESETS_INSULATION, PRESETS_UNDERLAY } from "./sim/presets.js";
+import { parseCsv, toCsv } from "./sim/csv.js";
+
+const STORAGE_KEY = 'simpol.materials';
+export const LIBRARY_FORMAT = 'simpol-materials';
+
+// Группы материалов. thickness — толщина задаётся материалом (у стяжки — ползунком)
+export const MATERIAL_GROUPS = {
+  cover: { label: 'Покрытие', presets: PRESETS_COVER, thickness: true },
+  screed: { label: 'Стяжка', presets: PRESETS_SCREED, thickness: false },
+  under: { label: 'Подложка', presets: PRESETS_UNDERLAY, thickness: true },
+  insul: { label: 'Утеплитель', presets: PRESETS_INSULATION, thickness: true },
+};
+
+// Допустимые значения свойств: t — м, k — Вт/(м·K), rho — кг/м³, c — Дж/(кг·K)
+const LIMITS = { t: [0, 0.3], k: [0.005, 5], rho: [1, 8000], c: [100, 5000] };
+
+/**
+ * Проверка материала (из редактора, файла или хранилища).
+ * @param {object} raw — { group, name, t?, k, rho?, c?, id? }
+ * @returns {{ material: object|null, error: string|null }}
+ */
+export function normalizeMaterial(raw){
+  const group = raw?.group;
+  const def = MATERIAL_GROUPS[group];
+  if (!def) return { material: null, error: `неизвестная группа «${group}», допустимо ${Object.keys(MATERIAL_GROUPS).join(', ')}` };
+  const name = String(raw.name ?? '').trim();
+  if (!name) return { material: null, error: 'не задано название' };
+  const num = (key, required)=> {
+    const v = raw[key];
+    if (v === undefined || v === null || v === '') return required ? { error: `${name}: не задано ${key}` } : { value: undefined };
+    const x = typeof v === 'number' ? v : parseFloat(String(v).replace(',', '.'));
+    const [lo, hi] = LIMITS[key];
+    if (!Number.isFinite(x) || x < lo || x > hi) return { error: `${name}: ${key} = ${v} вне диапазона ${lo}…${hi}` };
+    return { value: x };
+  };
+  const props = {};
+  for (const [key, required] of [['t', def.thickness], ['k', true], ['rho', false], ['c', false]]){
+    if (key === 't' && !def.thickness) continue;
+    const r = num(key, required);
+    if (r.error) return { material: null, error: r.error };
+    if (r.value !== undefined) props[key] = r.value;
+  }
+  const id = typeof raw.id === 'string' && raw.id.startsWith('user_') ? raw.id : newMaterialId();
+  const material = { id, name, group, ...props, custom: true };
+  if (group === 'under') material.type = 'layer';
+  return { material, error: null };
+}
+
+export function newMaterialId(){
+  return `user_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Список группы: встроенные пресеты и материалы пользователя
+export function groupMaterials(group, library){
+  return [...MATERIAL_GROUPS[group].presets, ...library.filter(m => m.group === group)];
+}
+
+// Списки всех групп — для выпадающих списков и разбора ссылки/проекта
+export function materialLists(library){
+  return Object.fromEntries(Object.keys(MATERIAL_GROUPS).map(g => [g, groupMaterials(g, library)]));
+}
+
+export function loadLibrary(){
+  try {
+    const data = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return (Array.isArray(data) ? data : []).map(m => normalizeMaterial(m).material).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+export function saveLibrary(library){
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(library)); } catch {}
+}
+
+const CSV_COLS = ['group', 'name', 't', 'k', 'rho', 'c', 'id'];
+
+export function exportLibraryJSON(library){
+  return JSON.stringify({ format: LIBRARY_FORMAT, version: 1, materials: library.map(({ custom, type, ...m }) => m) }, null, 2);
+}
+
+export function exportLibraryCSV(library){
+  return toCsv(library.map(m => Object.fromEntries(CSV_COLS.map(c => [c, m[c] ?? '']))));
+}
+
+/**
+ * Импорт из JSON ({ materials: [...] } или массив) или CSV (столбцы group, name, t, k, rho, c; t — в метрах).
+ * Материал с тем же id заменяет существующий, остальные добавляются.
+ * @returns {{ library: object[], added: number, replaced: number, errors: string[] }}
+ * @throws {Error} файл не читается
+ */
+export function importLibrary(text, library){
+  let rows;
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')){
+    let data;
+    try { data = JSON.parse(trimmed); } catch { throw new Error('Файл не является JSON'); }
+    rows = Array.isArray(data) ? data : data.materials;
+    if (!Array.isArray(rows)) throw new Error('Ожидался массив материалов или { "materials": [...] }');
+  } else {
+    rows = parseCsv(trimmed);
+    if (rows.length && !('group' in rows[0] && 'k' in rows[0])) throw new Error('В CSV нужны столбцы group, name, k (и t для покрытий, подложек и утеплителей)');
+  }
+  const next = [...library];
+  const errors = [];
+  let added = 0, replaced = 0;
+  rows.forEach((row, i)=> {
+    const { material, error } = normalizeMaterial(row);
+    if (!material){ errors.push(`Строка ${i + 1}: ${error}`); return; }
+    const at = next.findIndex(m => m.id === material.id);
+    if (at >= 0){ next[at] = material; replaced++; }
+    else { next.push(material); added++; }
+  });
+  return { library: next, added, replaced, errors };
+}
@@ -0,0 +1,155 @@
+// Файл проекта (.json): входные данные, материалы, сценарии сравнения и заметки.
+// Формат версионирован; старые версии приводятся к текущей цепочкой миграций,
+// о каждой замене и подстановке значений по умолчанию сообщается предупреждением.
+import { STATE_FIELDS, plainState, validateState } from "./appState.js";
+import { MATERIAL_GROUPS, groupMaterials, normalizeMaterial } from "./materialLibrary.js";
+import { DEFAULT_PARAMS } from "./sim/presets.js";
+
+export const PROJECT_FORMAT = 'simpol-project';
+export const PROJECT_VERSION = 7;
+
+const MATERIAL_KEYS = Object.keys(MATERIAL_GROUPS);
+const VIEW_V3 = ['palette', 'userScale', 'scaleMin', 'scaleMax', 'insulFade'];
+const VIEW_V4 = ['quantity', 'flux'];
+const PIPE_V5 = { pipeType: DEFAULT_PARAMS.pipeType.id, pipeFilm: false };
+const EDGE_V7 = Object.fromEntries(['edge', 'edgeStripT', 'edgeStripK', 'wallU', 'wallTout', 'edgeBand', 'edgeSpacing'].map(k => [k, DEFAULT_PARAMS[k]]));
+const DRY_V6 = { system: 'wet', dryBase: DEFAULT_PARAMS.dryBase.id, dryBoard: DEFAULT_PARAMS.dryBoard.id, plateT: DEFAULT_PARAMS.plateT, plateW: DEFAULT_PARAMS.plateW };
+
+// Миграции: MIGRATIONS[n] переводит файл версии n в версию n + 1.
+// Версия 0 — плоский объект параметров без обёртки (как сценарий JSON для CLI)
+const MIGRATIONS = {
+  0: (data)=> {
+    const { name, notes, ...inputs } = data;
+    return { format: PROJECT_FORMAT, version: 1, name: name ?? '', notes: notes ?? '', inputs, materials: {}, scenarios: [] };
+  },
+  // Версия 2 — свой пирог (inputs.layers); в старых файлах — стандартный
+  1: (data)=> ({
+    ...data, version: 2,
+    inputs: { ...data.inputs, layers: data.inputs?.layers ?? null },
+    scenarios: (data.scenarios ?? []).map(sc => ({ ...sc, inputs: { ...sc?.inputs, layers: sc?.inputs?.layers ?? null } })),
+  }),
+  // Версия 3 — цветовая шкала поля (палитра, пределы пользователя, приглушение утеплителя); в старых файлах — прежний вид
+  2: (data)=> {
+    const view = Object.fromEntries(VIEW_V3.map(k => [k, STATE_FIELDS[k].def]));
+    return {
+      ...data, version: 3,
+      inputs: { ...view, ...data.inputs },
+      scenarios: (data.scenarios ?? []).map(sc => ({ ...sc, inputs: { ...view, ...sc?.inputs } })),
+    };
+  },
+  // Версия 4 — режим |q| и тепловой поток поверх поля (общие для проекта, как изолинии)
+  3: (data)=> ({ ...data, version: 4, inputs: { ...Object.fromEntries(VIEW_V4.map(k => [k, STATE_FIELDS[k].def])), ...data.inputs } }),
+  // Версия 5 — труба из каталога и граница через стенку и плёнку воды; в старых файлах — прежняя модель (вода прямо на трубе)
+  4: (data)=> ({
+    ...data, version: 5,
+    inputs: { ...PIPE_V5, ...data.inputs },
+    scenarios: (data.scenarios ?? []).map(sc => ({ ...sc, inputs: { ...PIPE_V5, ...sc?.inputs } })),
+  }),
+  // Версия 6 — сухая система (основание с пазами или рейки, пластины, плита); старые файлы — мокрая стяжка
+  5: (data)=> ({
+    ...data, version: 6,
+    inputs: { ...DRY_V6, ...data.inputs },
+    scenarios: (data.scenarios ?? []).map(sc => ({ ...sc, inputs: { ...DRY_V6, ...sc?.inputs } })),
+  }),
+  // Версия 7 — краевая зона у наружной стены; в старых файлах — выключена (обе границы сечения — оси симметрии)
+  6: (data)=> ({
+    ...data, version: 7,
+    inputs: { ...EDGE_V7, ...data.inputs },
+    scenarios: (data.scenarios ?? []).map(sc => ({ ...sc, inputs: { ...EDGE_V7, ...sc?.inputs } })),
+  }),
+};
+
+/**
+ * Проект для сохранения. Материалы записываются целиком (по группам, без повторов) —
+ * файл читается и тогда, когда справочник изменился.
+ * @param {{ name: string, notes: string, state: object, scenarios: Array<{ name: string, input: object }> }} project
+ */
+export function serializeProject({ name, notes, state, scenarios = [] }){
+  const materials = Object.fromEntries(MATERIAL_KEYS.map(k => [k, []]));
+  const add = (k, m)=> { if (m && !materials[k].some(x => x.id === m.id)) materials[k].push({ ...m }); };
+  const collect = (s)=> {
+    for (const k of MATERIAL_KEYS) add(k, s[k]);
+    for (const l of s.layers ?? []) add(l.group, l.material);
+  };
+  collect(state);
+  scenarios.forEach(sc => collect(sc.input));
+  return {
+    format: PROJECT_FORMAT, version: PROJECT_VERSION,
+    name, notes, savedAt: new Date().toISOString(),
+    inputs: plainState(state),
+    materials,
+    scenarios: scenarios.map(sc => ({ name: sc.name, inputs: plainState(sc.input) })),
+  };
+}
+
+// Справочники для чтения файла: материалы файла имеют приоритет; расхождение со справочником — предупреждение.
+// Материалы пользователя, которых нет в библиотеке, возвращаются в added — приложение добавляет их в библиотеку
+function mergeMaterials(fileMaterials, library, warnings){
+  const lists = {}, added = [];
+  for (const k of MATERIAL_KEYS){
+    const label = MATERIAL_GROUPS[k].label;
+    const known = groupMaterials(k, library);
+    const own = Array.isArray(fileMaterials?.[k]) ? fileMaterials[k].filter(m => m && typeof m.id === 'string') : [];
+    for (const m of own){
+      const lib = known.find(p => p.id === m.id);
+      if (!lib){
+        const custom = m.custom ? normalizeMaterial({ ...m, group: k }).material : null;
+        if (custom) added.push(custom);
+        warnings.push(`${label} «${m.name ?? m.id}» нет в справочнике — свойства взяты из файла${custom ? ', материал добавлен в библиотеку' : ''}`);
+        continue;
+      }
+      const diff = Object.keys(lib).filter(p => typeof lib[p] === 'number' && m[p] !== lib[p]);
+      if (diff.length) warnings.push(`${label} «${lib.name}»: в файле другие свойства (${diff.map(p => `${p} ${m[p]} вместо ${lib[p]}`).join(', ')}) — взяты из файла`);
+    }
+    lists[k] = [...own, ...known.filter(p => !own.some(m => m.id === p.id))];
+  }
+  return { lists, added };
+}
+
+/**
+ * Чтение проекта из текста файла.
+ * @param {string} text
+ * @param {{ library?: object[] }} [opts] — библиотека материалов пользователя
+ * @returns {{ name: string, notes: string, state: object, scenarios: Array<{ name: string, state: object }>, materials: object[], version: number, warnings: string[] }}
+ *   materials — материалы пользователя из файла, которых нет в библиотеке
+ * @throws {Error} не JSON или не файл проекта
+ */
+export function parseProject(text, { library = [] } = {}){
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error('Файл не является JSON'); }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Ожидался объект проекта');
+  const warnings = [];
+  if (data.format !== undefined && data.format !== PROJECT_FORMAT) throw new Error(`Неизвестный формат «${data.format}»`);
+  if (data.format === undefined){
+    if (!Object.keys(STATE_FIELDS).some(k => k in data)) throw new Error('В файле нет параметров расчёта');
+    data = { version: 0, ...data };
+    warnings.push('Файл без версии — прочитан как набор параметров');
+  }
+  const version = Number(data.version);
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Недопустимая версия проекта «${data.version}»`);
+  if (version > PROJECT_VERSION) warnings.push(`Проект сохранён более новой версией (${version}, поддерживается ${PROJECT_VERSION}) — незнакомые поля пропущены`);
+  for (let v = version; v < PROJECT_VERSION; v++) data = MIGRATIONS[v](data);
+
+  const { lists, added } = mergeMaterials(data.materials, library, warnings);
+  const read = (inputs, label, skip = ()=> false)=> {
+    const r = validateState(inputs ?? {}, { lists });
+    const missing = r.missing.filter(k => !skip(k));
+    warnings.push(...r.warnings.map(w => label ? `${label}: ${w}` : w));
+    if (missing.length) warnings.push(`${label ? label + ': ' : ''}нет полей ${missing.join(', ')} — взяты значения по умолчанию`);
+    return r.state;
+  };
+  const state = read(data.inputs, '');
+  // В сценариях нет помещения, настроек изолиний и потока — они общие для проекта
+  const scenarioSkip = (k)=> k.startsWith('room.') || ['showIso', 'isoStep', 'quantity', 'flux'].includes(k);
+  const scenarios = (Array.isArray(data.scenarios) ? data.scenarios : []).map((sc, i)=> {
+    const name = String(sc?.name ?? `Сценарий ${i + 1}`);
+    return { name, state: read(sc?.inputs, `Сценарий «${name}»`, scenarioSkip) };
+  });
+  return { name: String(data.name ?? ''), notes: String(data.notes ?? ''), state, scenarios, materials: added, version, warnings };
+}
+
+// Имя файла из названия проекта
+export function projectFileName(name){
+  const base = (name || 'project').trim().replace(/[\\/:*?"<>|]+/g, '_').slice(0, 80);
+  return `${base || 'project'}.json`;
+}
@@ -0,0 +1,270 @@
+// Отчёт PDF по расчёту: входные данные, пирог с сопротивлениями, поле температур, профиль поверхности,
+// метрики, проверка нормативов и пояснение к подложке. PDF собирает jsPDF, подключённый в index.html (window.jspdf).
+// Встроенные шрифты jsPDF без кириллицы, поэтому страницы рисуются на канвасе (в мм) и вставляются изображениями.
+import { drawFieldCanvas } from "./fieldCanvas.js";
+import { scaleColor } from "./sim/render.js";
+import { MATERIAL_GROUPS } from "./materialLibrary.js";
+
+const A4 = { w: 210, h: 297 };
+const MARGIN = 15;
+const PX = 5; // пикселей на мм
+const FONT = 'system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
+
+// Пояснение к подложке по underInfo решателя (панель «Материалы» и отчёт)
+export function underlayText(info, metrics1D){
+  if (!info) return '';
+  const f = (v, d)=> Number(v).toFixed(d);
+  switch (info.type){
+    case 'foil': return 'Чистая фольга в контакте: нет воздушного зазора → R≈0 → влияния на теплопередачу нет.';
+    case 'bubble': return `Воздушный зазор t = ${f(info.tGap, 3)} м: базовое Rₐᵢʳ ≈ ${f(info.Rair_base, 3)} м²K/Вт. Низкая эмиссия фольги (ε≈${info.eps}) даёт радиационный множитель ≈ ${f(info.rad_factor, 2)} → Rᵍₐₚ ≈ ${f(info.Rgap, 3)} м²K/Вт, эквивалентная k ≈ ${f(info.kUnder, 3)} W/m·K. Поэтому эффект «фольга+пузырьки» минимальный.`;
+    case 'layer': return `Сплошной слой из библиотеки: R = t/k ≈ ${f(metrics1D.Runder, 3)} м²K/Вт (k = ${f(info.kUnder, 3)} W/m·K).`;
+    case 'mat': return `Мат под трубу: контакт трубы со стяжкой ${Math.round((info.phi ?? 0.5) * 100)}% периметра, на остальной части — воздушный зазор ~1 мм.`;
+    default: return 'Подложка отсутствует.';
+  }
+}
+
+function createPage(){
+  const canvas = document.createElement('canvas');
+  canvas.width = A4.w * PX; canvas.height = A4.h * PX;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff'; ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.scale(PX, PX);
+  ctx.textBaseline = 'alphabetic';
+  return { canvas, ctx, y: MARGIN };
+}
+
+const setFont = (ctx, size, weight = 'normal')=> { ctx.font = `${weight} ${size}px ${FONT}`; };
+
+// Вёрстка сверху вниз с переносом на новую страницу
+function reportWriter(){
+  const pages = [];
+  let page = null;
+  const width = A4.w - 2*MARGIN;
+  const newPage = ()=> { page = createPage(); pages.push(page); return page; };
+  const need = (h)=> (!page || page.y + h > A4.h - MARGIN) ? newPage() : page;
+
+  // Строки текста с переносом по ширине
+  const wrap = (ctx, str, maxW)=> {
+    const lines = [];
+    for (const para of String(str).split('\n')){
+      let line = '';
+      for (const word of para.split(' ')){
+        const next = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(next).width > maxW){ lines.push(line); line = word; }
+        else line = next;
+      }
+      lines.push(line);
+    }
+    return lines;
+  };
+
+  return {
+    pages, width,
+    heading(text){
+      const p = need(14);
+      p.y += 3;
+      setFont(p.ctx, 5, 'bold'); p.ctx.fillStyle = '#111';
+      p.ctx.fillText(text, MARGIN, p.y + 5);
+      p.y += 9;
+    },
+    text(str, { size = 3.5, color = '#222', weight = 'normal' } = {}){
+      const lh = size * 1.4;
+      setFont(need(lh).ctx, size, weight);
+      for (const line of wrap(page.ctx, str, width)){
+        const p = need(lh);
+        setFont(p.ctx, size, weight); p.ctx.fillStyle = color;
+        p.ctx.fillText(line, MARGIN, p.y + size);
+        p.y += lh;
+      }
+      page.y += 1;
+    },
+    // cols: [{ label, w, align }], w — доля ширины; заголовок повторяется на новой странице
+    table(cols, rows){
+      const rh = 5.2;
+      const xs = []; let x = MARGIN;
+      for (const c of cols){ xs.push(x); x += c.w * width; }
+      const cell = (p, ci, v, bold)=> {
+        const c = cols[ci];
+        setFont(p.ctx, 3.3, bold ? 'bold' : 'normal');
+        p.ctx.fillStyle = bold ? '#111' : '#222';
+        p.ctx.textAlign = c.align === 'right' ? 'right' : 'left';
+        p.ctx.fillText(String(v ?? ''), c.align === 'right' ? xs[ci] + c.w * width - 1.5 : xs[ci], p.y + 3.6);
+        p.ctx.textAlign = 'left';
+      };
+      const header = (p)=> {
+        cols.forEach((c, ci)=> cell(p, ci, c.label, true));
+        p.ctx.strokeStyle = '#888'; p.ctx.lineWidth = 0.25;
+        p.ctx.beginPath(); p.ctx.moveTo(MARGIN, p.y + rh - 0.5); p.ctx.lineTo(MARGIN + width, p.y + rh - 0.5); p.ctx.stroke();
+        p.y += rh;
+      };
+      header(need(rh * 2));
+      for (const row of rows){
+        const before = page;
+        const p = need(rh);
+        if (p !== before) header(p);
+        row.cells.forEach((v, ci)=> cell(p, ci, v, row.bold));
+        p.y += rh;
+      }
+      page.y += 2;
+    },
+    // Рисунок шириной w мм; draw(ctx, x, y, w, h) рисует в мм
+    block(h, draw){
+      const p = need(h + 2);
+      draw(p.ctx, MARGIN, p.y, width, h);
+      p.y += h + 2;
+    },
+  };
+}
+
+// Цветовая шкала под полем: полоса и подписи температур
+function drawLegend(ctx, x, y, w, { range, contrast, palette }){
+  const n = 120;
+  for (let i=0; i<n; i++){
+    const [r, g, b] = scaleColor(range[0] + (range[1] - range[0]) * (i + 0.5) / n, range, contrast, palette);
+    ctx.fillStyle = `rgb(${r},${g},${b})`;
+    ctx.fillRect(x + w * i / n, y, w / n + 0.05, 4);
+  }
+  ctx.strokeStyle = '#555'; ctx.lineWidth = 0.2; ctx.strokeRect(x, y, w, 4);
+  setFont(ctx, 3); ctx.fillStyle = '#222'; ctx.textAlign = 'center';
+  for (let k=0; k<=5; k++){
+    const T = range[0] + (range[1] - range[0]) * k / 5;
+    ctx.fillText(`${T.toFixed(1)} °C`, x + w * k / 5, y + 8);
+  }
+  ctx.textAlign = 'left';
+}
+
+// График профиля поверхности: T (левая ось) и q↑ (правая ось) по x
+function drawProfile(ctx, x0, y0, w, h, profile){
+  const pad = { l: 12, r: 14, t: 3, b: 9 };
+  const X = x0 + pad.l, Y = y0 + pad.t, W = w - pad.l - pad.r, H = h - pad.t - pad.b;
+  const xs = profile.map(p => parseFloat(p.x));
+  const range = (vals)=> { let lo = Math.min(...vals), hi = Math.max(...vals); if (hi - lo < 1e-6){ lo -= 0.5; hi += 0.5; } const m = (hi - lo) * 0.1; return [lo - m, hi + m]; };
+  const [tLo, tHi] = range(profile.map(p => p.T));
+  const [qLo, qHi] = range(profile.map(p => p.q));
+  const xMax = Math.max(...xs) || 1;
+  const px = (v)=> X + W * v / xMax;
+  const line = (key, lo, hi, color)=> {
+    ctx.strokeStyle = color; ctx.lineWidth = 0.45; ctx.beginPath();
+    profile.forEach((p, i)=> { const yy = Y + H * (1 - (p[key] - lo) / (hi - lo)); i ? ctx.lineTo(px(xs[i]), yy) : ctx.moveTo(px(xs[i]), yy); });
+    ctx.stroke();
+  };
+  ctx.strokeStyle = '#999'; ctx.lineWidth = 0.2; ctx.strokeRect(X, Y, W, H);
+  setFont(ctx, 2.8); ctx.fillStyle = '#333';
+  for (let k=0; k<=4; k++){
+    const yy = Y + H * (1 - k / 4);
+    ctx.textAlign = 'right'; ctx.fillText((tLo + (tHi - tLo) * k / 4).toFixed(1), X - 1, yy + 1);
+    ctx.textAlign = 'left'; ctx.fillText((qLo + (qHi - qLo) * k / 4).toFixed(0), X + W + 1, yy + 1);
+  }
+  ctx.textAlign = 'center';
+  for (let k=0; k<=5; k++) ctx.fillText(`${Math.round(xMax * k / 5 * 1000)} мм`, X + W * k / 5, Y + H + 4);
+  ctx.fillStyle = '#c0392b'; ctx.fillText('T, °C', X, Y + H + 8);
+  ctx.fillStyle = '#2563eb'; ctx.fillText('q↑, Вт/м²', X + W, Y + H + 8);
+  ctx.textAlign = 'left';
+  line('T', tLo, tHi, '#c0392b');
+  line('q', qLo, qHi, '#2563eb');
+}
+
+const fmtN = (v, d = 2)=> Number.isFinite(v) ? (+v.toFixed(d)).toString() : '—';
+
+/**
+ * PDF-отчёт по текущему расчёту.
+ * @param {object} results — результат solveFloor с растром img и его цветовой шкалой colorScale (как у основного поля)
+ * @param {{ name?: string, notes?: string, showIso?: boolean, isoStep?: number }} [opts]
+ * @returns {object} документ jsPDF (doc.save(fileName) — скачать)
+ * @throws {Error} jsPDF не загружен
+ */
+export function buildReport(results, { name = '', notes = '', showIso = true, isoStep = 0.5 } = {}){
+  const jsPDF = window.jspdf?.jsPDF;
+  if (!jsPDF) throw new Error('Библиотека jsPDF не загружена — проверьте подключение к интернету и обновите страницу');
+  const { params: P, metrics: m, metrics1D: m1, hydraulics: hy, norms, underInfo, debug, edge } = results;
+  const w = reportWriter();
+  const labelCol = (label)=> ({ label, w: 0.62 });
+
+  w.text('Тёплый пол — отчёт по расчёту', { size: 6, weight: 'bold', color: '#111' });
+  w.text([name && `Проект: ${name}`, `Дата: ${new Date().toLocaleString('ru-RU')}`].filter(Boolean).join('   ·   '), { size: 3.4, color: '#555' });
+  if (notes) w.text(notes, { size: 3.3, color: '#333' });
+
+  w.heading('Исходные данные');
+  const inputs = [
+    ['Температура воздуха', `${fmtN(P.Tair, 1)} °C`],
+    ['Подача / обратка', `${fmtN(P.Ts, 1)} / ${fmtN(P.Tr, 1)} °C`],
+    ['Шаг укладки', `${Math.round(P.spacing * 1000)} мм`],
+    ['Труба, наружный диаметр / стенка', `${P.pipeType.name}, ${fmtN(P.pipeOD * 1000, 1)} / ${fmtN(P.pipeWall * 1000, 1)} мм`],
+    ['Граница трубы', P.pipeFilm ? `стенка k = ${fmtN(P.pipeType.k, 2)} W/m·K и плёнка воды h = ${Math.round(hy.hFilm)} W/m²K` : 'температура воды на трубе'],
+    ...(P.system === 'dry' ? [['Сухая система: основание / плита', `${P.dryBase.name} / ${P.dryBoard.name}`],
+      ['Пластины: толщина × ширина', `${fmtN(P.plateT * 1000, 2)} × ${Math.round(P.plateW * 1000)} мм (алюминий)`]] : []),
+    ...(edge ? [['Краевая зона: ширина полосы / шаг', `${Math.round(P.edgeBand * 1000)} / ${Math.round(P.edgeSpacing * 1000)} мм`],
+      ['Демпферная лента у стены', `${fmtN(P.edgeStripT * 1000, 0)} мм, k = ${fmtN(P.edgeStripK, 3)} W/m·K`],
+      ['Наружная стена: U / наружная температура', `${fmtN(P.wallU, 2)} W/m²K / ${fmtN(P.wallTout, 0)} °C`]] : []),
+    ['Схема укладки, труб в срезе', `${P.layout === 'spiral' ? 'спираль' : 'змейка'}, ${P.nPipes}`],
+    ['Площадь петли, подводки', `${fmtN(P.areaM2, 1)} м², ${fmtN(P.tailLength, 1)} м`],
+    ['Расход', `${fmtN(P.flowLpm, 2)} л/мин${P.autoReturn ? ' (обратка — расчётная)' : ''}`],
+    ['Коэффициент теплоотдачи сверху, скорость воздуха', `${fmtN(P.hTop, 1)} W/m²K, ${fmtN(P.airVel, 2)} м/с`],
+    ['Температура ниже утеплителя', `${fmtN(P.belowT, 1)} °C`],
+  ];
+  w.table([labelCol('Параметр'), { label: 'Значение', w: 0.38 }], inputs.map(cells => ({ cells })));
+
+  w.heading('Конструкция пола');
+  const rows = m1.layers.map((l, i)=> ({ cells: [i + 1, `${l.name}${l.pipe ? ' (труба)' : ''}`, MATERIAL_GROUPS[l.group]?.label ?? l.group, fmtN(l.t * 1000, 1), fmtN(l.k, 3), fmtN(l.R, 3)] }));
+  const Rlayers = m1.layers.reduce((s, l)=> s + l.R, 0);
+  rows.push({ cells: ['', 'Теплоотдача с поверхности 1/h', '', '', '', fmtN(m1.Rconv, 3)] });
+  rows.push({ bold: true, cells: ['', 'Итого', '', fmtN(m1.layers.reduce((s, l)=> s + l.t, 0) * 1000, 1), '', fmtN(Rlayers + m1.Rconv, 3)] });
+  w.table([
+    { label: '№', w: 0.06 }, { label: 'Слой', w: 0.4 }, { label: 'Группа', w: 0.16 },
+    { label: 't, мм', w: 0.12, align: 'right' }, { label: 'k, Вт/(м·K)', w: 0.13, align: 'right' }, { label: 'R, м²K/Вт', w: 0.13, align: 'right' },
+  ], rows);
+  w.text(`1D-оценка вверх: ${P.pipeFilm ? `R трубы ${fmtN(m1.Rpipe, 3)}, ` : ''}R покрытия ${fmtN(m1.Rcover, 3)}, R слоя с трубой ${fmtN(m1.Rscreed, 3)}, R подложки ${fmtN(m1.Runder, 3)} м²K/Вт → q ≈ ${fmtN(m1.q1D, 1)} Вт/м², Tпов ≈ ${fmtN(m1.Tsurf1D, 2)} °C.`, { size: 3.2, color: '#444' });
+  if (P.system !== 'dry') w.text(`Подложка: ${underlayText(underInfo, m1)}`, { size: 3.2, color: '#444' });
+
+  // Поле температур — тем же рисованием, что на экране (штриховка, трубы, изолинии)
+  const field = document.createElement('canvas');
+  drawFieldCanvas(field, results, { showIso, isoStep });
+  const fieldH = Math.min(110, w.width * field.height / field.width);
+  const fieldW = fieldH * field.width / field.height;
+  w.heading('Поле температур');
+  w.block(fieldH, (ctx, x, y)=> {
+    ctx.drawImage(field, x, y, fieldW, fieldH);
+    ctx.strokeStyle = '#999'; ctx.lineWidth = 0.2; ctx.strokeRect(x, y, fieldW, fieldH);
+  });
+  w.block(10, (ctx, x, y)=> drawLegend(ctx, x, y, Math.min(w.width, 140), results.colorScale));
+  w.text(`Сечение шириной ${fmtN(results.grid.W * 1000, 0)} мм и высотой ${fmtN(results.grid.totalH * 1000, 0)} мм${showIso ? `, изолинии через ${isoStep} °C` : ''}.${results.colorScale.insulFade ? ' Зона утеплителя показана с пониженным контрастом.' : ''}`, { size: 3, color: '#555' });
+
+  w.heading('Профиль поверхности');
+  w.block(60, (ctx, x, y, width, h)=> drawProfile(ctx, x, y, width, h, results.profile));
+
+  w.heading('Результаты');
+  const metrics = [
+    ['Температура поверхности средняя', `${fmtN(m.Tavg)} °C`],
+    ['Температура поверхности мин / макс', `${fmtN(m.Tmin)} / ${fmtN(m.Tmax)} °C`],
+    ['Неравномерность ΔTпов', `${fmtN(m.dTsurf)} °C`],
+    ['Тепловой поток вверх / вниз', `${fmtN(m.qUpMean, 1)} / ${fmtN(m.qDownMean, 1)} Вт/м²`],
+    ['Доля вверх', `${fmtN(m.upShare, 1)} %`],
+    ['Поверхность выше 29 °C', `${fmtN(m.over29, 1)} %`],
+    ['Разница температур на 10 см (стопа)', `${fmtN(m.dFoot10)} °C`],
+    ...(edge ? [['Краевая зона: Tпов ср / макс', `${fmtN(edge.TedgeAvg)} / ${fmtN(edge.TedgeMax)} °C`],
+      ['Поток в наружную стену', `${fmtN(edge.qWall, 2)} Вт на метр стены`]] : []),
+    ['Мощность петли вверх', `${fmtN(hy.Qloop, 0)} Вт`],
+    ['Длина петли', `${fmtN(debug.L, 1)} м`],
+    ['Скорость воды, потери давления', `${fmtN(hy.v, 2)} м/с, ${fmtN(hy.dpKPa, 1)} кПа`],
+    ['Сходимость', `${debug.iterations} итераций, невязка ${debug.residual.toExponential(1)} °C${debug.converged ? '' : ' — НЕ СОШЁЛСЯ'}`],
+  ];
+  w.table([labelCol('Показатель'), { label: 'Значение', w: 0.38 }], metrics.map(cells => ({ cells })));
+
+  w.heading('Проверка нормативов');
+  w.text(`СП 60.13330 (средняя температура поверхности для жилых помещений): ${fmtN(m.Tavg)} °C ${norms.exceedAvg ? `> ${norms.spAvgLimit} °C — ПРЕВЫШЕНА` : `≤ ${norms.spAvgLimit} °C — выполнено`}.`,
+    { color: norms.exceedAvg ? '#92400e' : '#166534' });
+  w.text(`DIN EN 1264 (максимальная температура поверхности${edge ? ' в зоне пребывания' : ''}): ${fmtN(edge ? edge.TmaxOcc : m.Tmax)} °C ${norms.exceedMax ? `> ${norms.dinMaxLimit} °C — ПРЕВЫШЕНА` : `≤ ${norms.dinMaxLimit} °C — выполнено`}.`,
+    { color: norms.exceedMax ? '#991b1b' : '#166534' });
+  if (edge) w.text(`DIN EN 1264 (краевая зона): ${fmtN(edge.TedgeMax)} °C ${norms.exceedEdge ? `> ${norms.edgeMaxLimit} °C — ПРЕВЫШЕНА` : `≤ ${norms.edgeMaxLimit} °C — выполнено`}.`,
+    { color: norms.exceedEdge ? '#991b1b' : '#166534' });
+  w.text('Расчёт учебный: 2D-сечение с постоянной температурой воды по ветвям, пороги нормативов упрощены.', { size: 3, color: '#666' });
+
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  w.pages.forEach((p, i)=> {
+    setFont(p.ctx, 2.8); p.ctx.fillStyle = '#888'; p.ctx.textAlign = 'right';
+    p.ctx.fillText(`стр. ${i + 1} из ${w.pages.length}`, A4.w - MARGIN, A4.h - 7);
+    if (i) doc.addPage();
+    doc.addImage(p.canvas.toDataURL('image/png'), 'PNG', 0, 0, A4.w, A4.h);
+  });
+  return doc;
+}
@@ -0,0 +1,105 @@
+// Выгрузка результатов расчёта в CSV и JSON: профиль поверхности, 2D-поле, метрики и входные данные.
+// Единицы — СИ (м, °C, Вт/м²), как в решателе; материалы во входных данных — по id.
+import { toCsv } from "./sim/csv.js";
+
+// Наборы данных: csv — таблица строк, json — объект
+export const RESULT_EXPORTS = {
+  all: { label: 'Всё', file: 'result' },
+  profile: { label: 'Профиль поверхности', file: 'profile' },
+  field: { label: 'Поле T', file: 'field' },
+  metrics: { label: 'Метрики', file: 'metrics' },
+  inputs: { label: 'Входные данные', file: 'inputs' },
+};
+
+// Типизированные массивы решателя (поле, история невязки) — обычными массивами
+const plain = (v)=> JSON.parse(JSON.stringify(v, (_, x)=> ArrayBuffer.isView(x) ? Array.from(x) : x));
+
+function profileRows(res){
+  return res.profile.map(p => ({ x: parseFloat(p.x), T: p.T, qUp: p.q }));
+}
+
+// Узлы поля: координаты, температура и слой (номер сверху и id материала) по той же границе y ≤ низ слоя, что в решателе
+function fieldRows(res){
+  const { NX, NY, dx, dy } = res.grid;
+  const { layers } = res.overlays;
+  const T = res.field.T;
+  const rows = [];
+  for (let j=0; j<NY; j++){
+    const y = j*dy;
+    let n = layers.findIndex(l => y <= l.bottom + 1e-12);
+    if (n < 0) n = layers.length - 1;
+    for (let i=0; i<NX; i++){
+      rows.push({ i, j, x: +(i*dx).toFixed(5), y: +y.toFixed(5), T: +T[j*NX + i].toFixed(3), layer: n, material: `${layers[n].group}:${layers[n].id}` });
+    }
+  }
+  return rows;
+}
+
+function fieldJSON(res){
+  const { NX, NY, dx, dy } = res.grid;
+  const T = res.field.T;
+  return {
+    NX, NY, dx, dy,
+    layers: res.overlays.layers.map(({ group, id, label, top, bottom, pipe }) => ({ group, id, label, top, bottom, pipe })),
+    pipes: res.overlays.pipes,
+    // T[j][i]: j — сверху вниз, i — слева направо
+    T: Array.from({ length: NY }, (_, j)=> Array.from(T.subarray(j*NX, (j+1)*NX), v => +v.toFixed(3))),
+  };
+}
+
+function metricsJSON(res){
+  const { metrics, metrics1D, hydraulics, norms, edge, underInfo, debug } = res;
+  return plain({ metrics, metrics1D, hydraulics, norms, edge, underInfo, debug });
+}
+
+// Метрики построчно: раздел, ключ, значение; вложенные значения — JSON в ячейке
+function metricsRows(res){
+  const rows = [];
+  for (const [section, obj] of Object.entries(metricsJSON(res))){
+    for (const [key, v] of Object.entries(obj ?? {})){
+      rows.push({ section, key, value: v !== null && typeof v === 'object' ? JSON.stringify(v) : v });
+    }
+  }
+  return rows;
+}
+
+function inputsJSON(res){
+  const o = {};
+  for (const [key, v] of Object.entries(res.params)){
+    if (key === 'layers') o.layers = v && v.map(l => ({ group: l.group, material: l.material.id, t: l.t, pipe: l.pipe }));
+    else o[key] = v && typeof v === 'object' ? v.id : v;
+  }
+  return o;
+}
+
+function inputsRows(res){
+  return Object.entries(inputsJSON(res)).map(([key, v])=> ({ key, value: v !== null && typeof v === 'object' ? JSON.stringify(v) : v }));
+}
+
+/**
+ * Набор данных для выгрузки.
+ * @param {object} res — результат solveFloor
+ * @param {keyof RESULT_EXPORTS} key
+ * @param {'csv'|'json'} format — «Всё» выгружается только в JSON
+ * @returns {{ text: string, fileName: string, type: string }}
+ */
+export function exportResult(res, key, format){
+  const json = {
+    profile: ()=> profileRows(res),
+    field: ()=> fieldJSON(res),
+    metrics: ()=> metricsJSON(res),
+    inputs: ()=> inputsJSON(res),
+  };
+  const csv = { profile: profileRows, field: fieldRows, metrics: metricsRows, inputs: inputsRows };
+  const fileName = `${RESULT_EXPORTS[key].file}.${format}`;
+  if (format === 'csv'){
+    if (!csv[key]) throw new Error(`Набор «${RESULT_EXPORTS[key].label}» выгружается только в JSON`);
+    return { text: toCsv(csv[key](res)), fileName, type: 'text/csv' };
+  }
+  const data = key === 'all'
+    ? { inputs: json.inputs(), profile: json.profile(), ...json.metrics(), field: json.field() }
+    : json[key]();
+  // Поле — без отступов: иначе каждое число на своей строке
+  const text = key === 'field' || key === 'all' ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+  return { text, fileName, type: 'application/json' };
+}
@@ -0,0 +1,80 @@
+// Характеристика по EN 1264: плотность потока q в зависимости от разности ΔθH «вода — воздух»
+// для выбранного пирога, семейство кривых по шагу укладки и граничные кривые по температуре поверхности.
+import { resolveParams } from "./presets.js";
+import { solveFloor } from "./solver.js";
+import { SPACING_OPTIONS } from "./room.js";
+
+// Предельные температуры поверхности EN 1264: жилая зона, ванные, краевые зоны, °C
+export const SURFACE_LIMITS = [29, 33, 35];
+export const DTHETA_POINTS = [5, 10, 15, 20, 25, 30, 35, 40];
+
+// Граничная кривая EN 1264 для сравнения: q_G = 8.92·(θF,max − θi)^1.1, Вт/м²
+export function limitFluxEN(TFmax, Tair){
+  return 8.92 * Math.pow(Math.max(0, TFmax - Tair), 1.1);
+}
+
+// Степенная аппроксимация q = K_H·ΔθH^n методом наименьших квадратов в логарифмах
+export function fitPowerLaw(points){
+  const pts = points.filter(p => p.dT > 0 && p.q > 0);
+  const n = pts.length;
+  if (n < 2) return null;
+  let sx = 0, sy = 0, sxx = 0, sxy = 0, syy = 0;
+  for (const p of pts){
+    const x = Math.log(p.dT), y = Math.log(p.q);
+    sx += x; sy += y; sxx += x*x; sxy += x*y; syy += y*y;
+  }
+  const exp = (n*sxy - sx*sy) / Math.max(1e-12, n*sxx - sx*sx);
+  const lnK = (sy - exp*sx) / n;
+  const ssTot = syy - sy*sy/n;
+  const ssRes = pts.reduce((s, p)=> s + (Math.log(p.q) - lnK - exp*Math.log(p.dT)) ** 2, 0);
+  return { K: Math.exp(lnK), n: exp, r2: ssTot > 0 ? 1 - ssRes/ssTot : 1 };
+}
+
+// Точка, где Tmax поверхности достигает TFmax. Без плёнки воды задача линейна по температуре воды;
+// с pipeFilm теплоотдача воды зависит от её температуры, и Tmax, q линейны по ΔθH лишь приближённо.
+// Поэтому интерполяция — по соседним точкам развёртки, за её пределами — экстраполяция по крайнему отрезку
+function limitPoint(points, TFmax){
+  if (points.length < 2) return null;
+  let i = points.findIndex((p, k)=> k > 0 && p.Tmax >= TFmax);
+  if (i < 0) i = points.length - 1;
+  const a = points[i - 1], b = points[i];
+  if (!(b.Tmax > a.Tmax)) return null;
+  const w = (TFmax - a.Tmax) / (b.Tmax - a.Tmax);
+  const dTG = a.dT + w * (b.dT - a.dT);
+  return dTG > 0 ? { TFmax, dTG, qG: a.q + w * (b.q - a.q) } : null;
+}
+
+/**
+ * Семейство характеристик: для каждого шага и каждой ΔθH — расчёт ячейки одной трубы
+ * с постоянной температурой воды Tw = θi + ΔθH (решатель solveFloor, nPipes = 1, без краевой зоны).
+ * @param {object} params — текущий пирог и труба; θi = Tair
+ * @param {{ dThetas?: number[], spacings?: number[], onProgress?: (frac: number) => void }} [opts]
+ * @returns {{ Tair, dThetas, curves: Array<{ spacing, current, points, fit, limits }>, limitCurves: Array<{ TFmax, qEN, points }> }}
+ */
+export function characteristicCurves(params, opts = {}){
+  const P = resolveParams(params);
+  const dThetas = opts.dThetas ?? DTHETA_POINTS;
+  const list = opts.spacings ?? SPACING_OPTIONS;
+  const spacings = (list.some(S => Math.abs(S - P.spacing) < 1e-6) ? list : [...list, P.spacing]).slice().sort((a, b)=> a - b);
+  const total = spacings.length * dThetas.length;
+  let done = 0;
+  const curves = spacings.map(S => {
+    let T0 = null; // начальное поле — из предыдущей точки развёртки
+    const points = dThetas.map(dT => {
+      const Tw = P.Tair + dT;
+      const r = solveFloor({ ...P, spacing: S, nPipes: 1, Ts: Tw, Tr: Tw, edge: false }, { method: 'line', T0 });
+      T0 = r.field.T;
+      done++;
+      if (opts.onProgress) opts.onProgress(done / total);
+      return { dT, q: r.metrics.qUpMean, qDown: r.metrics.qDownMean, Tavg: r.metrics.Tavg, Tmax: r.metrics.Tmax };
+    });
+    const limits = SURFACE_LIMITS.map(T => limitPoint(points, T)).filter(Boolean);
+    return { spacing: S, current: Math.abs(S - P.spacing) < 1e-6, points, fit: fitPowerLaw(points), limits };
+  });
+  // Граничные кривые: точки достижения предельной температуры на кривых разных шагов
+  const limitCurves = SURFACE_LIMITS.map(TFmax => ({
+    TFmax, qEN: limitFluxEN(TFmax, P.Tair),
+    points: curves.map(c => ({ spacing: c.spacing, ...c.limits.find(l => l.TFmax === TFmax) })).filter(p => p.qG !== undefined),
+  }));
+  return { Tair: P.Tair, dThetas, curves, limitCurves };
+}
@@ -0,0 +1,50 @@
+// Таблицы CSV: чтение (разделитель «,» или «;», кавычки, строки-комментарии «#») и запись.
+// Используется CLI (сценарии) и приложением (библиотека материалов).
+
+// Число (допускается десятичная запятая), true/false или строка; пустая ячейка — undefined
+function parseValue(s){
+  const v = s.trim();
+  if (v === "") return undefined;
+  if (v === "true") return true;
+  if (v === "false") return false;
+  const n = Number(v.replace(",", "."));
+  return Number.isFinite(n) ? n : v;
+}
+
+function splitCsvLine(line, sep){
+  const out = []; let cur = ""; let quoted = false;
+  for (let i=0; i<line.length; i++){
+    const ch = line[i];
+    if (quoted){
+      if (ch === '"' && line[i+1] === '"'){ cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep){ out.push(cur); cur = ""; }
+    else cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+// Строки таблицы — объекты по заголовку первой строки
+export function parseCsv(text){
+  const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith("#"));
+  if (!lines.length) return [];
+  const sep = lines[0].includes(";") ? ";" : ",";
+  const head = splitCsvLine(lines[0], sep).map(h => h.trim());
+  return lines.slice(1).map(line => {
+    const cells = splitCsvLine(line, sep);
+    const row = {};
+    head.forEach((h, i) => { const v = parseValue(cells[i] ?? ""); if (v !== undefined) row[h] = v; });
+    return row;
+  });
+}
+
+// Таблица из массива объектов: столбцы — ключи первой строки, разделитель «,»
+export function toCsv(rows){
+  if (!rows.length) return "";
+  const cols = Object.keys(rows[0]);
+  const esc = (v)=> { const s = String(v ?? ""); return /[",;\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; };
+  return [cols.join(","), ...rows.map(r => cols.map(c => esc(r[c])).join(","))].join("\n") + "\n";
+}
@@ -0,0 +1,106 @@
+// Плотность теплового потока q = −k∇T по полю решателя и линии тока от труб.
+// Ось y направлена вниз: qy > 0 — поток вниз, к утеплителю; единицы — Вт/м².
+
+/**
+ * Поток в узлах сетки — среднее потоков через две соседние грани с гармоническим k по каждой оси
+ * (на границе материалов поток через грань непрерывен: слои, пластины и зазоры сухой системы).
+ * Узлы внутри труб — нулевой поток (температура там задана).
+ * @param {object} res — результат solveFloor (field.T, field.k, grid, overlays.pipes)
+ * @returns {{ qx: Float64Array, qy: Float64Array, mag: Float64Array, qRef: number }} qRef — 98-й перцентиль |q| вне труб
+ */
+export function heatFlux(res){
+  const { NX, NY, dx, dy } = res.grid;
+  const { T, k } = res.field;
+  const { pipes } = res.overlays;
+  const wall = !!res.overlays.edge;
+  const idx = (i,j)=> j*NX + i;
+  const inPipe = new Uint8Array(NX*NY);
+  for (let j=0; j<NY; j++){
+    for (let i=0; i<NX; i++){
+      if (pipes.some(p => Math.hypot(i*dx - p.x, j*dy - p.y) <= p.r)) inPipe[idx(i,j)] = 1;
+    }
+  }
+  // Поток через грань от узла p к соседу q (вниз или вправо), d — шаг
+  const face = (p, q, d)=> -(2*k[p]*k[q]/(k[p] + k[q])) * (T[q] - T[p]) / d;
+  const qx = new Float64Array(NX*NY), qy = new Float64Array(NX*NY), mag = new Float64Array(NX*NY);
+  const free = [];
+  for (let j=0; j<NY; j++){
+    for (let i=0; i<NX; i++){
+      const p = idx(i,j);
+      if (inPipe[p]) continue;
+      // Левая и правая границы — оси симметрии: горизонтальный поток нулевой; слева в краевой зоне — стена
+      qx[p] = i === 0 ? (wall ? face(p, p+1, dx) : 0) : i === NX-1 ? 0 : 0.5*(face(p-1, p, dx) + face(p, p+1, dx));
+      qy[p] = j === 0 ? face(p, p+NX, dy) : j === NY-1 ? face(p-NX, p, dy) : 0.5*(face(p-NX, p, dy) + face(p, p+NX, dy));
+      mag[p] = Math.hypot(qx[p], qy[p]);
+      free.push(mag[p]);
+    }
+  }
+  free.sort((a, b)=> a - b);
+  const qRef = free.length ? free[Math.min(free.length - 1, Math.floor(0.98 * free.length))] : 0;
+  return { qx, qy, mag, qRef };
+}
+
+// Значение массива a в точке (x, y), м — билинейно по узлам
+export function sampleNodes(res, a, x, y){
+  const { NX, NY, dx, dy } = res.grid;
+  const xf = Math.max(0, Math.min(NX - 1, x / dx)), yf = Math.max(0, Math.min(NY - 1, y / dy));
+  const i0 = Math.min(NX - 2, Math.floor(xf)), j0 = Math.min(NY - 2, Math.floor(yf));
+  const fx = xf - i0, fy = yf - j0;
+  const p = j0*NX + i0;
+  return (1-fx)*(1-fy)*a[p] + fx*(1-fy)*a[p+1] + (1-fx)*fy*a[p+NX] + fx*fy*a[p+NX+1];
+}
+
+/**
+ * Линии тока тепла от труб. Старты на окружности чуть больше трубы распределены по потоку,
+ * выходящему из трубы: доля линий, уходящих вниз, близка к доле тепла, уходящего вниз.
+ * Линия идёт по направлению q до поверхности, низа сечения, другой трубы или затухания потока.
+ * @param {object} res
+ * @param {{ qx, qy, mag, qRef }} flux — heatFlux(res)
+ * @param {{ perPipe?: number }} [opts] — число линий на трубу
+ * @returns {Array<{ pts: number[], down: boolean }>} pts — [x0, y0, x1, y1, …] в метрах; down — линия ушла ниже трубы
+ */
+export function fluxStreamlines(res, flux, { perPipe = 16 } = {}){
+  const { W, totalH, dx, dy } = res.grid;
+  const { pipes } = res.overlays;
+  const h = 0.5 * Math.min(dx, dy);
+  const maxSteps = Math.ceil(4 * (W + totalH) / h);
+  const q = (x, y)=> [sampleNodes(res, flux.qx, x, y), sampleNodes(res, flux.qy, x, y)];
+  const lines = [];
+  for (const pc of pipes){
+    const r0 = pc.r + 1.5 * Math.max(dx, dy);
+    // Нормальный поток по окружности и его накопленная сумма — для старта линий по квантилям
+    const n = 180;
+    const cum = [0];
+    for (let a=0; a<n; a++){
+      const t = 2*Math.PI*(a + 0.5)/n;
+      const [qx, qy] = q(pc.x + r0*Math.cos(t), pc.y + r0*Math.sin(t));
+      cum.push(cum[a] + Math.max(0, qx*Math.cos(t) + qy*Math.sin(t)));
+    }
+    const total = cum[n];
+    if (!(total > 0)) continue;
+    for (let s=0; s<perPipe; s++){
+      const target = total * (s + 0.5) / perPipe;
+      let a = 0;
+      while (a < n - 1 && cum[a+1] < target) a++;
+      const t = 2*Math.PI*(a + (target - cum[a]) / Math.max(1e-12, cum[a+1] - cum[a])) / n;
+      let x = pc.x + r0*Math.cos(t), y = pc.y + r0*Math.sin(t);
+      if (x < 0 || x > W) continue;
+      const pts = [x, y];
+      for (let step=0; step<maxSteps; step++){
+        // Шаг второго порядка (средняя точка) по единичному направлению потока
+        const [ax, ay] = q(x, y); const la = Math.hypot(ax, ay);
+        if (la < 1e-3 * flux.qRef) break;
+        const mx = x + 0.5*h*ax/la, my = y + 0.5*h*ay/la;
+        const [bx, by] = q(mx, my); const lb = Math.hypot(bx, by);
+        if (lb < 1e-12) break;
+        x = Math.max(0, Math.min(W, x + h*bx/lb)); y += h*by/lb;
+        if (y <= 0 || y >= totalH){ y = Math.max(0, Math.min(totalH, y)); break; }
+        if (step % 4 === 0) pts.push(x, y);
+        if (pipes.some(p => p !== pc && Math.hypot(x - p.x, y - p.y) <= p.r)) break;
+      }
+      pts.push(x, y);
+      lines.push({ pts, down: y > pc.y });
+    }
+  }
+  return lines;
+}
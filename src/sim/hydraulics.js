@@ -0,0 +1,101 @@
+// Гидравлика петли: скорость, число Рейнольдса и потери давления по Дарси–Вейсбаху.
+// Местные сопротивления (отводы, фитинги коллектора) не учитываются — только трение по длине.
+
+// Типичные пределы для петель тёплого пола: потери давления, кПа, и скорость воды, м/с
+export const DP_WARN_KPA = 20;
+export const DP_LIMIT_KPA = 25;
+export const V_MIN = 0.15;
+export const V_MAX = 0.8;
+// Эквивалентная шероховатость полимерной трубы (PE-X, PE-RT), м
+const ROUGHNESS = 7e-6;
+const G = 9.81;
+// Вода для теплового баланса: плотность, кг/м³, и удельная теплоёмкость, Дж/(кг·К)
+export const RHO_WATER = 998;
+export const CP_WATER = 4180;
+
+// Массовый расход теплоносителя, кг/с, по объёмному расходу, л/мин
+export function massFlow(flowLpm){
+  return Math.max(1e-6, (flowLpm / 1000) / 60 * RHO_WATER);
+}
+
+// Объёмный расход, л/мин, по водяному эквиваленту ṁ·cₚ, Вт/К
+export function flowFromCapacity(mC){
+  return mC / CP_WATER / RHO_WATER * 1000 * 60;
+}
+
+// Плотность воды, кг/м³, по аппроксимации для 0–100 °C
+export function waterDensity(T){
+  return 1000.1 - 0.0047 * T * T;
+}
+
+// Динамическая вязкость воды, Па·с (уравнение Фогеля)
+export function waterViscosity(T){
+  return 2.414e-5 * Math.pow(10, 247.8 / (T + 273.15 - 140));
+}
+
+// Теплопроводность воды, Вт/(м·К), по аппроксимации для 0–100 °C
+export function waterConductivity(T){
+  return 0.569 + 1.88e-3 * T - 7.9e-6 * T * T;
+}
+
+// Коэффициент трения Дарси: ламинарный 64/Re, турбулентный — Свами–Джейн,
+// в переходной области 2300–4000 — линейная интерполяция между ними
+function darcyFriction(Re, di){
+  const lam = (r)=> 64 / Math.max(1e-9, r);
+  const turb = (r)=> 0.25 / Math.pow(Math.log10(ROUGHNESS / (3.7 * di) + 5.74 / Math.pow(r, 0.9)), 2);
+  if (Re <= 2300) return lam(Re);
+  if (Re >= 4000) return turb(Re);
+  const w = (Re - 2300) / 1700;
+  return lam(2300) * (1 - w) + turb(4000) * w;
+}
+
+/**
+ * Потери давления в петле при заданном расходе.
+ * @param {{ flowLpm: number, pipeOD: number, pipeWall: number, length: number, Twater: number }} p
+ *   расход, л/мин; наружный диаметр и толщина стенки, м; длина трубы с подводками, м; средняя температура воды, °C
+ * @returns {{ di, length, v, Re, regime: 'laminar'|'transition'|'turbulent', f, dpKPa, headM, flags: { dpWarn, dpLimit, vLow, vHigh } }}
+ */
+export function loopPressureDrop({ flowLpm, pipeOD, pipeWall, length, Twater }){
+  const di = Math.max(0.004, pipeOD - 2 * pipeWall);
+  const rho = waterDensity(Twater);
+  const mu = waterViscosity(Twater);
+  const Qv = Math.max(0, flowLpm) / 1000 / 60; // м³/с
+  const v = Qv / (Math.PI * di * di / 4);
+  const Re = rho * v * di / mu;
+  const f = Re > 0 ? darcyFriction(Re, di) : 0;
+  const dp = f * (length / di) * rho * v * v / 2; // Па
+  const regime = Re <= 2300 ? 'laminar' : (Re < 4000 ? 'transition' : 'turbulent');
+  const dpKPa = dp / 1000;
+  return {
+    di, length, v, Re, regime, f, dpKPa, headM: dp / (rho * G),
+    flags: { dpWarn: dpKPa > DP_WARN_KPA, dpLimit: dpKPa > DP_LIMIT_KPA, vLow: v < V_MIN, vHigh: v > V_MAX },
+  };
+}
+
+/**
+ * Теплоотдача от воды к внутренней стенке трубы. Число Нуссельта: ламинарный поток — 3.66
+ * (развитое течение, постоянная температура стенки), турбулентный — Гнелинский с трением гладкой трубы
+ * по Петухову, в переходной области 2300–4000 — линейная интерполяция между ними.
+ * Формула Диттуса–Бёлтера при Re < 10⁴ завышает теплоотдачу, поэтому не используется.
+ * @param {{ flowLpm: number, di: number, Twater: number }} p — расход, л/мин; внутренний диаметр, м; температура воды, °C
+ * @returns {{ h: number, Nu: number, Re: number, Pr: number, regime: 'laminar'|'transition'|'turbulent' }} h — Вт/(м²·К)
+ */
+export function filmCoefficient({ flowLpm, di, Twater }){
+  const rho = waterDensity(Twater);
+  const mu = waterViscosity(Twater);
+  const kw = waterConductivity(Twater);
+  const v = Math.max(0, flowLpm) / 1000 / 60 / (Math.PI * di * di / 4);
+  const Re = rho * v * di / mu;
+  const Pr = mu * CP_WATER / kw;
+  const gnielinski = (r)=> {
+    const f = Math.pow(0.79 * Math.log(r) - 1.64, -2);
+    return (f / 8) * (r - 1000) * Pr / (1 + 12.7 * Math.sqrt(f / 8) * (Math.pow(Pr, 2/3) - 1));
+  };
+  const NU_LAM = 3.66;
+  let Nu;
+  if (Re <= 2300) Nu = NU_LAM;
+  else if (Re >= 4000) Nu = gnielinski(Re);
+  else Nu = NU_LAM + (gnielinski(4000) - NU_LAM) * (Re - 2300) / 1700;
+  const regime = Re <= 2300 ? 'laminar' : (Re < 4000 ? 'transition' : 'turbulent');
+  return { h: Nu * kw / di, Nu, Re, Pr, regime };
+}
@@ -0,0 +1,94 @@
+// Коллектор с несколькими петлями: расход каждой петли под расчётный перепад ΔT,
+// общая подача, потери давления и настройки балансировочных клапанов.
+import { resolveParams, withStackInput } from "./presets.js";
+import { loopCharacteristic } from "./solver.js";
+import { loopPressureDrop, flowFromCapacity } from "./hydraulics.js";
+
+// Петли по умолчанию для новой панели коллектора
+export const DEFAULT_LOOPS = [
+  { name: 'Гостиная', areaM2: 14, spacing: 0.15, cover: 'laminate8', tailLength: 4, qNeed: null },
+  { name: 'Кухня', areaM2: 8, spacing: 0.10, cover: 'tile', tailLength: 8, qNeed: null },
+  { name: 'Спальня', areaM2: 10, spacing: 0.20, cover: 'laminate8', tailLength: 12, qNeed: null },
+];
+
+// Петля при подаче Ts и перепаде dT: температура воды затухает по экспоненте к T0 (см. loopCharacteristic),
+// отсюда водяной эквивалент ṁ·cₚ и мощность. null — подача не выше T0 + dT, перепад недостижим
+export function loopAtSupply(ch, Ts, dT){
+  const hi = Ts - ch.T0, lo = Ts - dT - ch.T0;
+  if (!(lo > 1e-6) || !(ch.a > 0)) return null;
+  const mC = ch.a * ch.L / Math.log(hi / lo); // Вт/К
+  const Q = mC * dT;
+  // ∫(Tw − T0↑) ds = dT·ṁcₚ/a + (T0 − T0↑)·L
+  const Qup = ch.b * (dT * mC / ch.a + (ch.T0 - ch.T0up) * ch.L);
+  return { mC, Q, Qup, Tr: Ts - dT };
+}
+
+// Минимальная подача, при которой петля отдаёт вверх need Вт при перепаде dT (бисекция)
+function supplyForDemand(ch, dT, need){
+  let lo = ch.T0 + dT + 1e-3, hi = 80;
+  const up = (Ts)=> loopAtSupply(ch, Ts, dT)?.Qup ?? 0;
+  if (up(hi) < need) return null;
+  for (let k=0; k<60; k++){
+    const mid = 0.5 * (lo + hi);
+    if (up(mid) >= need) hi = mid; else lo = mid;
+  }
+  return hi;
+}
+
+/**
+ * Расчёт коллектора.
+ * @param {object} base — общие параметры пирога и трубы (как у solveFloor); Ts — подача коллектора
+ * @param {{ loops: Array<{ name, areaM2, spacing, cover, tailLength, qNeed?: number|null }>, dT?: number, autoTs?: boolean, onProgress?: (frac: number) => void }} opts
+ *   qNeed — требуемый поток вверх, Вт/м²; autoTs — подобрать подачу по самой требовательной петле
+ *   Теплоотдача воды к стенке трубы в характеристиках петель берётся при общем расходе base.flowLpm
+ * @returns {{ Ts, dT, loops, index, totalFlowLpm, Q, Qup, pumpDpKPa, pumpHeadM, autoTs, TsLimited }}
+ */
+export function designManifold(base, { loops, dT = 5, autoTs = false, onProgress } = {}){
+  const P = resolveParams(base);
+  const dTd = Math.max(1, dT);
+  const chars = loops.map((l, i)=> {
+    const ch = loopCharacteristic(withStackInput({ ...P, areaM2: l.areaM2, spacing: l.spacing, useFixedArea: true }, 'cover', l.cover));
+    if (onProgress) onProgress((i + 1) / loops.length);
+    return ch;
+  });
+
+  // Общая подача: заданная или минимальная, при которой каждая петля с требованием его покрывает
+  let Ts = P.Ts, TsLimited = false;
+  if (autoTs){
+    const need = loops.map((l, i)=> l.qNeed > 0 ? supplyForDemand(chars[i], dTd, l.qNeed * l.areaM2) : null);
+    if (loops.some((l, i)=> l.qNeed > 0 && need[i] === null)) TsLimited = true;
+    const req = need.filter(t => t !== null);
+    if (req.length) Ts = Math.max(...req);
+    if (Ts > 55){ Ts = 55; TsLimited = true; }
+  }
+
+  const rows = loops.map((l, i)=> {
+    const ch = chars[i];
+    const at = loopAtSupply(ch, Ts, dTd);
+    const flowLpm = at ? flowFromCapacity(at.mC) : 0;
+    const length = ch.L + Math.max(0, l.tailLength ?? 0);
+    const pr = loopPressureDrop({ flowLpm, pipeOD: P.pipeOD, pipeWall: P.pipeWall, length, Twater: Ts - 0.5 * dTd });
+    const q = at ? at.Qup / l.areaM2 : 0;
+    return {
+      name: l.name, areaM2: l.areaM2, spacing: l.spacing, cover: resolveParams({ cover: l.cover }).cover.id, L: ch.L, length,
+      reachable: !!at, Q: at?.Q ?? 0, Qup: at?.Qup ?? 0, q, qNeed: l.qNeed ?? null,
+      demandMet: !(l.qNeed > 0) || q >= l.qNeed - 0.5,
+      flowLpm, v: pr.v, Re: pr.Re, dpKPa: pr.dpKPa, headM: pr.headM, flags: pr.flags, converged: ch.converged,
+    };
+  });
+
+  // Балансировка: «диктующая» петля с наибольшими потерями — клапан открыт, остальные добирают разницу.
+  // Kv = G / √Δp, G — м³/ч, Δp — бар
+  const index = rows.reduce((m, r, i)=> r.dpKPa > rows[m].dpKPa ? i : m, 0);
+  const dpMax = rows.length ? rows[index].dpKPa : 0;
+  for (const r of rows){
+    r.valveDpKPa = dpMax - r.dpKPa;
+    r.kv = r.valveDpKPa > 0.01 && r.flowLpm > 0 ? (r.flowLpm * 0.06) / Math.sqrt(r.valveDpKPa / 100) : null;
+  }
+  const sum = (key)=> rows.reduce((s, r)=> s + r[key], 0);
+  return {
+    Ts, dT: dTd, autoTs, TsLimited, loops: rows, index,
+    totalFlowLpm: sum('flowLpm'), Q: sum('Q'), Qup: sum('Qup'),
+    pumpDpKPa: dpMax, pumpHeadM: rows.length ? rows[index].headM : 0,
+  };
+}
@@ -0,0 +1,176 @@
+// Справочники материалов и параметры по умолчанию для симулятора.
+// Модуль не зависит от браузера и используется как приложением, так и CLI.
+
+// rho — плотность, кг/м³; c — удельная теплоёмкость, Дж/(кг·K) (для нестационарного режима)
+export const PRESETS_SCREED = [
+  { id: "wet", name: "Мокрая цементная", k: 0.80, rho: 2000, c: 1000 },
+  { id: "semi", name: "Полусухая", k: 0.46, rho: 1800, c: 1000 },
+  { id: "anhydrite", name: "Ангидритовая", k: 1.60, rho: 2100, c: 1000 },
+  { id: "high", name: "Бетон", k: 1.50, rho: 2400, c: 880 },
+];
+
+export const PRESETS_COVER = [
+  // Эффективные параметры с учётом типичных подслоёв
+  { id: "tile", name: "Плитка 10 мм + клей 4 мм", t: 0.014, k: 1.10, rho: 2000, c: 850 },
+  { id: "laminate8", name: "Ламинат 8 мм + подложка 2 мм", t: 0.010, k: 0.11, rho: 700, c: 1600 },
+  { id: "carpet10", name: "Ковролин 10 мм", t: 0.010, k: 0.07, rho: 200, c: 1300 },
+  { id: "wood20", name: "Дерево 20 мм", t: 0.020, k: 0.15, rho: 600, c: 1600 },
+  { id: "vinyl5", name: "Винил 5 мм", t: 0.005, k: 0.25, rho: 1300, c: 1400 },
+  { id: "none", name: "Без покрытия (голая стяжка)", t: 0.0, k: 99.0 },
+];
+
+export const PRESETS_INSULATION = [
+  { id: "eps30", name: "EPS 30 мм", t: 0.03, k: 0.035, rho: 25, c: 1450 },
+  { id: "eps50", name: "EPS 50 мм", t: 0.05, k: 0.035, rho: 25, c: 1450 },
+  { id: "eps100", name: "EPS 100 мм", t: 0.10, k: 0.035, rho: 25, c: 1450 },
+  { id: "eps150", name: "EPS 150 мм", t: 0.15, k: 0.035, rho: 25, c: 1450 },
+  { id: "eps200", name: "EPS 200 мм", t: 0.20, k: 0.035, rho: 25, c: 1450 },
+  { id: "xps50", name: "XPS 50 мм", t: 0.05, k: 0.030, rho: 35, c: 1450 },
+  { id: "none", name: "Без утеплителя", t: 0.0, k: 1.0 },
+];
+
+// Подложка между стяжкой и утеплителем (эффективная прослойка); type 'layer' — сплошной слой t, k (материалы пользователя)
+export const PRESETS_UNDERLAY = [
+  { id: "none", name: "Нет подложки", type: "none", t: 0 },
+  { id: "foil", name: "Фольга в контакте", type: "foil", t: 0 },
+  { id: "bubble5", name: "Фольга с пузырьками 5 мм", type: "bubble", t: 0.005, eps: 0.05 },
+  // Учебные варианты матов для крепления трубы (уменьшение контакта со стяжкой)
+  { id: "mat50", name: "Мат под трубу (контакт 50%)", type: "mat", phi: 0.50 },
+  { id: "mat33", name: "Мат под трубу (контакт 33%)", type: "mat", phi: 0.33 },
+];
+
+// Трубы: наружный диаметр od и стенка wall, м; k — теплопроводность стенки, W/m·K
+// (для многослойной PE-Xc/Al/PE — эффективная по толщине: алюминий почти не добавляет сопротивления)
+export const PRESETS_PIPE = [
+  { id: "pex16", name: "PE-X 16×2.0", od: 0.016, wall: 0.002, k: 0.35 },
+  { id: "pex17", name: "PE-X 17×2.0", od: 0.017, wall: 0.002, k: 0.35 },
+  { id: "pex20", name: "PE-X 20×2.0", od: 0.020, wall: 0.002, k: 0.35 },
+  { id: "pert16", name: "PE-RT 16×2.0", od: 0.016, wall: 0.002, k: 0.40 },
+  { id: "pert20", name: "PE-RT 20×2.0", od: 0.020, wall: 0.002, k: 0.40 },
+  { id: "pexal16", name: "PE-Xc/Al/PE 16×2.0", od: 0.016, wall: 0.002, k: 0.43 },
+  { id: "pexal20", name: "PE-Xc/Al/PE 20×2.0", od: 0.020, wall: 0.002, k: 0.43 },
+  { id: "cu15", name: "Медь 15×1.0", od: 0.015, wall: 0.001, k: 380 },
+  { id: "cu18", name: "Медь 18×1.0", od: 0.018, wall: 0.001, k: 380 },
+];
+
+// Тип системы: мокрая — труба в стяжке (или свой пирог), сухая — основание с трубой, пластины и плита
+export const SYSTEMS = [
+  { id: 'wet', name: 'Мокрая: труба в стяжке' },
+  { id: 'dry', name: 'Сухая: пазы или рейки, пластины, плита' },
+];
+
+// Сухая система: основание с пазами под трубу (слой с трубой, труба — у его верха в канале алюминиевой пластины)
+// и плита поверх пластин вместо стяжки. group — штриховка слоя; gap — воздушный зазор между рейками под пластиной, м
+export const PRESETS_DRY_BASE = [
+  { id: "eps25", name: "Панель EPS с пазами 25 мм", t: 0.025, k: 0.035, rho: 30, c: 1450, group: "insul", gap: 0 },
+  { id: "eps30", name: "Панель EPS с пазами 30 мм", t: 0.030, k: 0.035, rho: 30, c: 1450, group: "insul", gap: 0 },
+  { id: "batten22", name: "Деревянные рейки 22 мм", t: 0.022, k: 0.13, rho: 500, c: 1600, group: "screed", gap: 0.025 },
+  { id: "batten28", name: "Деревянные рейки 28 мм", t: 0.028, k: 0.13, rho: 500, c: 1600, group: "screed", gap: 0.025 },
+];
+
+export const PRESETS_DRY_BOARD = [
+  { id: "gvl20", name: "ГВЛ 2×10 мм", t: 0.020, k: 0.32, rho: 1150, c: 1100 },
+  { id: "gvl25", name: "ГВЛ 2×12.5 мм", t: 0.025, k: 0.32, rho: 1150, c: 1100 },
+  { id: "csp16", name: "ЦСП 16 мм", t: 0.016, k: 0.26, rho: 1300, c: 1150 },
+  { id: "osb18", name: "OSB 18 мм", t: 0.018, k: 0.13, rho: 600, c: 1700 },
+];
+
+// Значения по умолчанию — те же, что у ползунков приложения (кнопка «Сбросить»)
+export const DEFAULT_PARAMS = {
+  Tair: 22, Ts: 45, Tr: 40,
+  spacing: 0.15, pipeOD: 0.016, screedThk: 0.050,
+  hTop: 10, belowT: 18, airVel: 0,
+  screed: PRESETS_SCREED[1], cover: PRESETS_COVER[0], insul: PRESETS_INSULATION[2], under: PRESETS_UNDERLAY[0],
+  nPipes: 3, layout: 'spiral', loopLength: 80, loopPosFrac: 0.5,
+  useFixedArea: true, areaM2: 9,
+  autoReturn: false, flowLpm: 1.5,
+  // Гидравлика: толщина стенки трубы, м, и суммарная длина подводок от коллектора (туда и обратно), м
+  pipeWall: 0.002, tailLength: 4,
+  // Труба из каталога (теплопроводность стенки); pipeFilm — граница трубы через сопротивление стенки
+  // и теплоотдачу воды, false — температура воды прямо на трубе (прежняя модель)
+  pipeType: PRESETS_PIPE[0], pipeFilm: true,
+  // Система: 'wet' — труба в стяжке; 'dry' — покрытие → плита dryBoard → основание dryBase с пластинами → утеплитель.
+  // Пластины: толщина plateT и ширина plateW (не больше шага), м
+  system: 'wet', dryBase: PRESETS_DRY_BASE[0], dryBoard: PRESETS_DRY_BOARD[0], plateT: 0.0005, plateW: 0.12,
+  // Краевая зона: слева — наружная стена (U, Вт/(м²·K), и наружная температура, °C) с демпферной лентой
+  // толщиной edgeStripT, м, и теплопроводностью edgeStripK; у стены полоса edgeBand, м, с шагом edgeSpacing
+  edge: false, edgeStripT: 0.010, edgeStripK: 0.04, wallU: 0.35, wallTout: -25, edgeBand: 0.5, edgeSpacing: 0.10,
+  // Решатель: 'point' — точечный SOR, 'line' — линейный SOR по столбцам; невязка tol в °C
+  method: 'point', tol: 1e-5, maxIter: 6000,
+  // Свой пирог: слои сверху вниз [{ group, material, t, pipe }]; null — покрытие → стяжка → подложка → утеплитель
+  layers: null,
+};
+
+// Справочники по группам материалов (и группам слоёв пирога)
+export const MATERIAL_PRESETS = { cover: PRESETS_COVER, screed: PRESETS_SCREED, under: PRESETS_UNDERLAY, insul: PRESETS_INSULATION };
+
+// Справочники вне пирога: труба и слои сухой системы
+const OTHER_PRESETS = { pipeType: PRESETS_PIPE, dryBase: PRESETS_DRY_BASE, dryBoard: PRESETS_DRY_BOARD };
+
+// Материал может быть задан объектом или id пресета (CLI, JSON/CSV-сценарии)
+export function findPreset(list, value){
+  if (value && typeof value === 'object') return value;
+  return list.find(p => p.id === value) || null;
+}
+
+// Дополняет параметры значениями по умолчанию и раскрывает id материалов в объекты.
+// Неизвестный id — ошибка: при пакетных расчётах молча подставлять пресет нельзя.
+export function resolveParams(input = {}){
+  const p = { ...DEFAULT_PARAMS };
+  const given = (key)=> input[key] !== undefined && input[key] !== null && input[key] !== '';
+  for (const key of Object.keys(DEFAULT_PARAMS)){
+    if (given(key)) p[key] = input[key];
+  }
+  for (const [key, list] of Object.entries(MATERIAL_PRESETS)){
+    const m = findPreset(list, p[key]);
+    if (!m) throw new Error(`Неизвестный материал ${key}="${p[key]}". Допустимо: ${list.map(x=>x.id).join(', ')}`);
+    p[key] = m;
+  }
+  for (const [key, list] of Object.entries(OTHER_PRESETS)){
+    const m = findPreset(list, p[key]);
+    if (!m) throw new Error(`Неизвестный пресет ${key}="${p[key]}". Допустимо: ${list.map(x=>x.id).join(', ')}`);
+    p[key] = m;
+  }
+  // Размеры трубы — из каталога, если не заданы явно
+  if (!given('pipeOD')) p.pipeOD = p.pipeType.od;
+  if (!given('pipeWall')) p.pipeWall = p.pipeType.wall;
+  if (p.layers) p.layers = resolveLayers(p.layers);
+  return p;
+}
+
+// Слои пирога: материалы — объекты, толщина — из слоя или материала, ровно один слой с трубой
+function resolveLayers(layers){
+  if (!Array.isArray(layers) || !layers.length) throw new Error('layers: ожидается непустой массив слоёв');
+  const out = layers.map((l, n)=> {
+    const list = MATERIAL_PRESETS[l.group];
+    if (!list) throw new Error(`layers[${n}]: неизвестная группа "${l.group}". Допустимо: ${Object.keys(MATERIAL_PRESETS).join(', ')}`);
+    const m = findPreset(list, l.material);
+    if (!m) throw new Error(`layers[${n}]: неизвестный материал ${l.group}="${l.material}"`);
+    const t = Number(l.t ?? m.t ?? 0);
+    if (!Number.isFinite(t) || t < 0) throw new Error(`layers[${n}]: недопустимая толщина ${l.t}`);
+    return { group: l.group, material: m, t, pipe: !!l.pipe };
+  });
+  const nPipe = out.filter(l => l.pipe).length;
+  if (nPipe !== 1) throw new Error(`layers: слой с трубой должен быть ровно один (отмечено ${nPipe})`);
+  return out;
+}
+
+// Подстановка входа с учётом своего пирога: материал группы заменяется в первом её слое,
+// толщина стяжки — в слое с трубой (развёртки, петли коллектора); труба из каталога — вместе с размерами
+export function withStackInput(params, key, value){
+  const p = { ...params, [key]: value };
+  // Труба из каталога задаёт и размеры
+  if (key === 'pipeType'){
+    const pipe = findPreset(PRESETS_PIPE, value);
+    if (pipe) Object.assign(p, { pipeOD: pipe.od, pipeWall: pipe.wall });
+  }
+  if (!Array.isArray(params.layers)) return p;
+  if (key === 'screedThk') p.layers = params.layers.map(l => l.pipe ? { ...l, t: value } : l);
+  const list = MATERIAL_PRESETS[key];
+  const at = list ? params.layers.findIndex(l => l.group === key) : -1;
+  if (at >= 0){
+    const m = findPreset(list, value) ?? value;
+    p.layers = params.layers.map((l, n)=> n === at ? { ...l, material: m, t: key === 'screed' ? l.t : (m.t ?? l.t) } : l);
+  }
+  return p;
+}
@@ -0,0 +1,24 @@
+// Вертикальный зонд: профиль температуры по глубине в точке x и температуры на границах слоёв
+// (клей и паркет ограничивают температуру под покрытием, стяжка — над подложкой).
+import { sampleNodes } from "./flux.js";
+
+/**
+ * @param {object} res — результат solveFloor
+ * @param {number} x — положение зонда по ширине сечения, м (прижимается к [0, W])
+ * @returns {{ x: number, points: Array<{ y: number, T: number }>, surface: number, bottom: number,
+ *   interfaces: Array<{ y: number, upper: number, lower: number, T: number }> }}
+ *   points — по строкам сетки, y — глубина от поверхности, м; interfaces — граница между слоями overlays.layers[upper] и [lower]
+ */
+export function probeProfile(res, x){
+  const { NY, dy, W, totalH } = res.grid;
+  const xc = Math.max(0, Math.min(W, x));
+  const at = (y)=> sampleNodes(res, res.field.T, xc, y);
+  const { layers } = res.overlays;
+  return {
+    x: xc,
+    points: Array.from({ length: NY }, (_, j)=> ({ y: j*dy, T: at(j*dy) })),
+    surface: at(0),
+    bottom: at(totalH),
+    interfaces: layers.slice(0, -1).map((l, i)=> ({ y: l.bottom, upper: i, lower: i + 1, T: at(l.bottom) })),
+  };
+}
@@ -0,0 +1,137 @@
+// Растеризация поля температур (или модуля теплового потока) в RGBA-буфер. Без DOM: буфер превращается в ImageData на стороне UI.
+import { heatFlux, sampleNodes } from "./flux.js";
+
+// Цветовые шкалы: опорные цвета через равные доли. viridis и cividis — перцептивно равномерные
+// (cividis различима при нарушениях цветового зрения), diverging — синий/белый/красный с центром в Tair
+const hex = (list)=> list.map(h => [0, 2, 4].map(i => parseInt(h.slice(1 + i, 3 + i), 16)));
+export const PALETTES = {
+  classic: { label: 'Классическая', stops: [[0, 32, 128], [0, 180, 255], [255, 230, 0], [220, 0, 0]], at: [0, 0.33, 0.66, 1] },
+  viridis: { label: 'Viridis', stops: hex(['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']) },
+  cividis: { label: 'Cividis', stops: hex(['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8678', '#a59c74', '#c3b369', '#e1cc55', '#fee838']) },
+  diverging: { label: 'От Tair (холоднее/теплее)', stops: hex(['#2166ac', '#67a9cf', '#d1e5f0', '#f7f7f7', '#fddbc7', '#ef8a62', '#b2182b']), diverging: true },
+};
+
+export function colorMap(t, palette = 'classic'){
+  const { stops, at } = PALETTES[palette] ?? PALETTES.classic;
+  const pos = (s)=> at ? at[s] : s / (stops.length - 1);
+  for (let s=0; s<stops.length-1; s++){
+    const a = pos(s), b = pos(s+1);
+    if (t >= a && t <= b){
+      const f = (t - a)/(b - a + 1e-9);
+      return [
+        Math.round(stops[s][0] + f*(stops[s+1][0]-stops[s][0])),
+        Math.round(stops[s][1] + f*(stops[s+1][1]-stops[s][1])),
+        Math.round(stops[s][2] + f*(stops[s+1][2]-stops[s][2])),
+      ];
+    }
+  }
+  return stops[stops.length-1];
+}
+
+/**
+ * Цветовая шкала результата [Tmin, Tmax], °C: пределы пользователя (userScale), фиксированная (fixScale)
+ * или собственная по температурам воздуха, снизу и теплоносителя. Для расходящейся шкалы
+ * пределы симметрично расширяются вокруг Tair, чтобы белый цвет соответствовал температуре воздуха.
+ * @param {object} params
+ * @param {{ fixScale?: boolean, userScale?: boolean, scaleMin?: number, scaleMax?: number, palette?: string }} [view]
+ */
+export function fieldScale(params, { fixScale = false, userScale = false, scaleMin, scaleMax, palette } = {}){
+  const { Tair, belowT } = params;
+  const twm = 0.5 * (params.Ts + params.Tr);
+  let range = fixScale ? [Tair - 2, Tair + 20] : [Math.min(Tair, belowT) - 2, Math.max(twm, Tair + 15)];
+  if (userScale && scaleMax > scaleMin) range = [scaleMin, scaleMax];
+  if (PALETTES[palette]?.diverging){
+    const h = Math.max(range[1] - Tair, Tair - range[0], 0.5);
+    range = [Tair - h, Tair + h];
+  }
+  return range;
+}
+
+// Цвет температуры T на шкале range = [Tmin, Tmax]; контраст растягивает шкалу вокруг её середины
+export function scaleColor(T, [Tmin, Tmax], contrast = 1, palette = 'classic'){
+  const u = Math.min(1, Math.max(0, (T - Tmin) / (Tmax - Tmin + 1e-9)));
+  const c = Math.max(1, Math.min(3, contrast || 1));
+  return colorMap(Math.min(1, Math.max(0, 0.5 + (u - 0.5) * c)), palette);
+}
+
+/**
+ * @param {object} res — результат solveFloor
+ * @param {{ widthPx?: number, contrast?: number, palette?: string, insulFade?: boolean, range?: [number, number], quantity?: 'T'|'q' }} opts
+ *   плюс пределы шкалы, как у fieldScale; range — общая шкала [Tmin, Tmax] (сравнение сценариев) вместо собственной шкалы результата;
+ *   insulFade — приглушать контраст в зоне утеплителя (цвет там тогда не равен температуре); quantity: 'q' — модуль потока |q|
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number, colorScale: { range: [number, number], contrast: number, palette: string, insulFade: boolean, unit: string } }}
+ */
+export function renderField(res, { widthPx = 560, contrast = 1, palette = 'classic', insulFade = true, range = null, quantity = 'T', ...limits } = {}){
+  if (quantity === 'q') return renderFlux(res, { widthPx, contrast, palette, range });
+  const { field, grid, overlays, debug, params } = res;
+  const { T } = field;
+  const { NX, NY, W, totalH } = grid;
+  const { pipes, yInsulTop } = overlays;
+  const TpipeArr = debug.pipeTemps;
+  const { Tair } = params;
+  const idx = (i,j)=> j*NX + i;
+
+  // Подбираем размер изображения так, чтобы соотношение сторон совпадало с физическим (W:totalH)
+  const heightPx = Math.max(240, Math.round(widthPx * (totalH / Math.max(1e-9, W))));
+  const data = new Uint8ClampedArray(widthPx * heightPx * 4);
+
+  const scale = range ?? fieldScale(res.params, { ...limits, palette });
+
+  for (let yPix=0; yPix<heightPx; yPix++){
+    const y = (yPix/(heightPx-1))*(NY-1);
+    const j0 = Math.floor(y), j1 = Math.min(NY-1, j0+1), fy = y - j0;
+    const yPhys = (yPix/(heightPx-1)) * totalH;
+    for (let xPix=0; xPix<widthPx; xPix++){
+      const x = (xPix/(widthPx-1))*(NX-1);
+      const i0 = Math.floor(x), i1 = Math.min(NX-1, i0+1), fx = x - i0;
+      const xPhys = (xPix/(widthPx-1)) * W;
+      // Если пиксель попадает внутрь трубы — использовать температуру трубы
+      let insidePipe = -1;
+      for (let k=0; k<pipes.length; k++){
+        const pc = pipes[k];
+        if (Math.hypot(xPhys - pc.x, yPhys - pc.y) <= pc.r){ insidePipe = k; break; }
+      }
+      let Tv;
+      if (insidePipe >= 0){
+        Tv = TpipeArr[Math.max(0, Math.min(TpipeArr.length-1, insidePipe))];
+      } else {
+        const T00 = T[idx(i0,j0)], T10 = T[idx(i1,j0)], T01 = T[idx(i0,j1)], T11 = T[idx(i1,j1)];
+        Tv = (1-fx)*(1-fy)*T00 + fx*(1-fy)*T10 + (1-fx)*fy*T01 + fx*fy*T11;
+      }
+      // Визуально приглушаем нижнюю зону (утеплитель), чтобы не завышать впечатление от потока вниз
+      if (insulFade && yPhys >= yInsulTop) {
+        const compress = 0.6; // 0…1, чем меньше — тем слабее контраст
+        Tv = Tair - (Tair - Tv) * compress;
+      }
+      const c = scaleColor(Tv, scale, contrast, palette);
+      const p = 4*(yPix*widthPx + xPix);
+      data[p+0] = c[0]; data[p+1] = c[1]; data[p+2] = c[2]; data[p+3] = 255;
+    }
+  }
+
+  return { data, width: widthPx, height: heightPx, colorScale: { range: scale, contrast, palette, insulFade, unit: '°C' } };
+}
+
+// Модуль плотности теплового потока |q|, Вт/м²: шкала от 0 до 98-го перцентиля (у стенки трубы поток выше — там цвет насыщается).
+// Трубы — серые; расходящаяся палитра здесь не имеет смысла и заменяется классической
+function renderFlux(res, { widthPx, contrast, palette, range }){
+  const { grid, overlays } = res;
+  const { W, totalH } = grid;
+  const { pipes } = overlays;
+  const flux = heatFlux(res);
+  const pal = PALETTES[palette]?.diverging ? 'classic' : palette;
+  const scale = range ?? [0, Math.max(1, flux.qRef)];
+  const heightPx = Math.max(240, Math.round(widthPx * (totalH / Math.max(1e-9, W))));
+  const data = new Uint8ClampedArray(widthPx * heightPx * 4);
+  for (let yPix=0; yPix<heightPx; yPix++){
+    const yPhys = (yPix/(heightPx-1)) * totalH;
+    for (let xPix=0; xPix<widthPx; xPix++){
+      const xPhys = (xPix/(widthPx-1)) * W;
+      const inPipe = pipes.some(pc => Math.hypot(xPhys - pc.x, yPhys - pc.y) <= pc.r);
+      const c = inPipe ? [190, 190, 190] : scaleColor(sampleNodes(res, flux.mag, xPhys, yPhys), scale, contrast, pal);
+      const p = 4*(yPix*widthPx + xPix);
+      data[p+0] = c[0]; data[p+1] = c[1]; data[p+2] = c[2]; data[p+3] = 255;
+    }
+  }
+  return { data, width: widthPx, height: heightPx, colorScale: { range: scale, contrast, palette: pal, insulFade: false, unit: 'W/m²' } };
+}
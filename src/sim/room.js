@@ -0,0 +1,74 @@
+// Теплопотери помещения и проверка: покрывает ли тёплый пол нагрузку.
+import { resolveParams } from "./presets.js";
+import { loopCharacteristic } from "./solver.js";
+
+// Удельная теплоёмкость воздуха для инфильтрации, Вт·ч/(м³·K)
+const AIR_HEAT = 0.34;
+// Шаги укладки, из которых подбирается достаточный
+export const SPACING_OPTIONS = [0.10, 0.15, 0.20, 0.25, 0.30];
+
+// Помещение по умолчанию: нагрузка задана напрямую; данные ограждений — для режима 'envelope'
+export const DEFAULT_ROOM = {
+  enabled: false, mode: 'direct', Qdesign: 700, heatedArea: 9,
+  Tout: -26, height: 2.7,
+  wallArea: 12, Uwall: 0.35, windowArea: 3, Uwindow: 1.4, ceilingArea: 0, Uceiling: 0.25,
+  ach: 0.5,
+};
+
+/**
+ * Расчётная нагрузка помещения, Вт: задана напрямую или по ограждениям
+ * Q = Σ U·A·(Tin − Tout) + 0.34·n·V·(Tin − Tout), V = площадь · высота.
+ * @param {object} room — см. DEFAULT_ROOM
+ * @param {number} Tin — температура воздуха в помещении, °C
+ * @returns {{ Q: number, parts: { walls, windows, ceiling, infiltration } | null }}
+ */
+export function roomHeatLoad(room, Tin){
+  if (room.mode !== 'envelope') return { Q: Math.max(0, room.Qdesign), parts: null };
+  const dT = Math.max(0, Tin - room.Tout);
+  const parts = {
+    walls: room.wallArea * room.Uwall * dT,
+    windows: room.windowArea * room.Uwindow * dT,
+    ceiling: room.ceilingArea * room.Uceiling * dT,
+    infiltration: AIR_HEAT * room.ach * room.heatedArea * room.height * dT,
+  };
+  return { Q: parts.walls + parts.windows + parts.ceiling + parts.infiltration, parts };
+}
+
+// Покрытие нагрузки: отдача пола вверх на отапливаемой площади против теплопотерь
+export function floorCoverage(room, Tin, qUpMean){
+  const { Q, parts } = roomHeatLoad(room, Tin);
+  const output = qUpMean * room.heatedArea;
+  return { load: Q, parts, output, balance: output - Q, ratio: Q > 0 ? output / Q : Infinity, qNeed: Q / Math.max(1e-6, room.heatedArea) };
+}
+
+/**
+ * Что изменить, чтобы закрыть разницу: подача (при том же перепаде Ts − Tr) и шаг укладки
+ * (при тех же температурах воды). Поток вверх линеен по температуре воды, наклон и смещения
+ * по шагам — из характеристики ячейки одной трубы; значения привязаны к текущему расчёту qUpMean.
+ * @param {object} params — параметры текущего расчёта
+ * @param {{ qNeed: number, qUpMean: number, Tavg: number, onProgress?: (frac: number) => void }} opts
+ * @returns {{ qNeed, TsNeed, TavgNeed, spacings: Array<{ spacing, qUp }>, spacingNeed: number|null }}
+ */
+export function coverageAdvice(params, { qNeed, qUpMean, Tavg, onProgress } = {}){
+  const P = resolveParams(params);
+  const twm = 0.5 * (P.Ts + P.Tr);
+  const list = [...new Set([P.spacing, ...SPACING_OPTIONS])];
+  const cellUp = new Map();
+  list.forEach((S, i)=> {
+    const ch = loopCharacteristic({ ...P, spacing: S });
+    cellUp.set(S, { q: ch.b / ch.S * (twm - ch.T0up), slope: ch.b / ch.S });
+    if (onProgress) onProgress((i + 1) / list.length);
+  });
+  const cur = cellUp.get(P.spacing);
+  const shift = qUpMean - cur.q; // поправка ячейки к полному срезу
+  const spacings = SPACING_OPTIONS.map(S => ({ spacing: S, qUp: cellUp.get(S).q + shift }));
+  const ok = spacings.filter(s => s.qUp >= qNeed);
+  return {
+    qNeed,
+    TsNeed: P.Ts + (qNeed - qUpMean) / Math.max(1e-6, cur.slope),
+    // Температура поверхности растёт пропорционально потоку вверх
+    TavgNeed: P.Tair + (Tavg - P.Tair) * qNeed / Math.max(1e-6, qUpMean),
+    spacings,
+    spacingNeed: ok.length ? Math.max(...ok.map(s => s.spacing)) : null,
+  };
+}
@@ -0,0 +1,750 @@
+import { resolveParams } from "./presets.js";
+import { loopPressureDrop, filmCoefficient, massFlow, CP_WATER } from "./hydraulics.js";
+
+/**
+ * Решатель 2D стационарной задачи теплопроводности в сечении тёплого пола.
+ * Чистая функция без зависимостей от браузера: используется приложением и CLI.
+ */
+
+// Узлов сетки по x на один шаг укладки (3 трубы → 144)
+export const NX_PER_PIPE = 48;
+// ρc воздушной прослойки подложки «фольга+пузырьки» (ПЭ-плёнка с воздухом), Дж/(м³·K)
+const UNDERLAY_RHO_C = 6.0e4;
+// Пластины сухой системы (алюминиевый сплав) и воздух в зазоре между рейками: k, W/m·K; ρc, Дж/(м³·K)
+const K_PLATE = 200, RHO_C_PLATE = 2700 * 900;
+const K_AIR = 0.026, RHO_C_AIR = 1.2e3;
+// Демпферная лента (вспененный ПЭ), Дж/(м³·K); сопротивление теплообмена у внутренней поверхности стены, м²K/Вт
+const RHO_C_STRIP = 30 * 1450;
+const R_SI = 0.13;
+
+// Положение ветвей в срезе по длине петли s (м) для реальной геометрии укладки.
+// Помещение — квадрат со стороной a = sqrt(L·S), поперёк него N = max(n, round(a/S)) проходов трубы.
+// Окно из n соседних труб центрируется на z_c = (x/L)·a: 0 — у стены с коллектором, 0.5·a — центр помещения.
+export function pipeLoopPositions(n, layout, L, x, S){
+  const a = Math.sqrt(Math.max(1e-6, L * S));
+  const N = Math.max(n, Math.round(a / S));
+  const zc = Math.max(0, Math.min(0.5, x / Math.max(1e-6, L))) * N; // центр окна в шагах
+  const k0 = Math.max(0, Math.min(N - n, Math.round(zc - n / 2)));
+  const ks = Array.from({ length: n }, (_, m)=> k0 + m);
+  if (layout === 'meander') {
+    // Змейка: проходы по очереди, срез посередине прохода → s линейно растёт поперёк помещения
+    return ks.map(k => (k + 0.5) / N * L);
+  }
+  // Спираль (встречная): от стены к центру чередуются подающий (внутрь) и обратный (наружу) витки.
+  // Длина до пересечения — сумма периметров внешних витков; подающая половина — от начала петли, обратная — от конца.
+  const ring = (k)=> { const d = Math.min(k, N - 1 - k); return { m: Math.floor(d / 2), inbound: d % 2 === 0, right: k > (N - 1) / 2 }; };
+  const side = (m, inbound)=> Math.max(S, a - 2 * (2 * m + (inbound ? 0.5 : 1.5)) * S);
+  let mIn = 0, mOut = -1;
+  for (let k=0; k<N; k++){ const r = ring(k); if (r.inbound) mIn = Math.max(mIn, r.m); else mOut = Math.max(mOut, r.m); }
+  const pathTo = (m, inbound)=> { let sum = 0; for (let q=0; q<m; q++) sum += 4 * side(q, inbound); return sum; };
+  const total = (inbound, mMax)=> pathTo(mMax + 1, inbound);
+  const scaleIn = 0.5 * L / Math.max(1e-6, total(true, mIn));
+  const scaleOut = mOut >= 0 ? 0.5 * L / Math.max(1e-6, total(false, mOut)) : 0;
+  return ks.map(k => {
+    const r = ring(k);
+    // срез посередине стороны витка: левая сторона — через ½ стороны от входа в виток, правая — через 2½
+    const len = pathTo(r.m, r.inbound) + (r.right ? 2.5 : 0.5) * side(r.m, r.inbound);
+    return r.inbound ? len * scaleIn : L - len * scaleOut;
+  });
+}
+
+// Температуры ветвей петли в срезе по 1D экспоненциальной модели
+export function computePipeTemperatures(n, Ts, Tr, layout, Tair, L, x, S){
+  if (n <= 1) return [0.5*(Ts+Tr)];
+  // оценка коэффициента затухания по 1D-модели: Tr = Tair + (Ts-Tair) e^{-alpha L}
+  const num = Math.max(1e-6, Ts - Tair);
+  const den = Math.max(1e-6, Tr - Tair);
+  const alpha = Math.max(1e-6, Math.log(num/den) / Math.max(1e-6, L));
+  const clamp = (v)=> Math.max(0, Math.min(L, v));
+  return pipeLoopPositions(n, layout, L, x, S).map(s => Tair + (Ts - Tair) * Math.exp(-alpha * clamp(s)));
+}
+
+// Шаг укладки в допустимых пределах, м (как у ползунка: от 50 мм)
+function clampSpacing(spacing){
+  return Math.max(0.05, Math.min(0.40, spacing));
+}
+
+// Краевая зона: лента у стены толщиной tS, за ней nBand труб с шагом Se (полоса x0…x1), дальше nMain труб с шагом S.
+// U стены включает Rsi у её внутренней поверхности; у пола, примыкающего к стене, его нет — проводимость Uw без Rsi
+function edgeGeometry(P, S, nMain){
+  const tS = Math.max(0, P.edgeStripT), Se = clampSpacing(P.edgeSpacing);
+  const nBand = Math.max(1, Math.round(P.edgeBand / Se));
+  const x1 = tS + nBand * Se;
+  const pipes = [
+    ...Array.from({ length: nBand }, (_, k)=> ({ x: tS + (k + 0.5) * Se, pitch: Se })),
+    ...Array.from({ length: nMain }, (_, m)=> ({ x: x1 + (m + 0.5) * S, pitch: S })),
+  ];
+  const Uw = 1 / Math.max(0.05, 1 / Math.max(0.05, P.wallU) - R_SI);
+  return { tS, kS: Math.max(0.01, P.edgeStripK), Uw, Tout: P.wallTout, Se, nBand, x0: tS, x1, pipes, W: x1 + nMain * S };
+}
+
+// Эффективная длина петли, м: из площади и шага или заданная напрямую
+function loopLengthOf(P){
+  const S = clampSpacing(P.spacing);
+  return Math.max(5, P.useFixedArea ? (Math.max(1e-3, P.areaM2) / Math.max(0.02, S)) : P.loopLength);
+}
+
+// Линейная интерполяция профиля y(x) по возрастающим узлам xs
+function interpProfile(xs, ys, x){
+  if (x <= xs[0]) return ys[0];
+  for (let k=1; k<xs.length; k++){
+    if (x <= xs[k]) return ys[k-1] + (ys[k] - ys[k-1]) * (x - xs[k-1]) / Math.max(1e-12, xs[k] - xs[k-1]);
+  }
+  return ys[ys.length-1];
+}
+
+// Ячеек сетки на толщину слоя по группе материала (слой с трубой — 30) и подписи групп
+const LAYER_CELLS = { cover: 6, screed: 10, under: 4, insul: 10 };
+const GROUP_LABELS = { cover: 'Покрытие', screed: 'Стяжка', under: 'Подложка', insul: 'Утеплитель' };
+const rhoCOf = (m)=> (m && m.rho && m.c) ? m.rho * m.c : null;
+
+// Слои сечения сверху вниз с эффективными k и ρc: свой пирог (P.layers) или покрытие → стяжка → подложка → утеплитель;
+// сухая система (P.system = 'dry') — покрытие → плита → основание с трубой → утеплитель, свой пирог и стяжка не используются.
+// Подложки без толщины (фольга, мат) не дают слоя; мат снижает контакт трубы с основанием (matPhi)
+function buildStack(P){
+  const dry = P.system === 'dry';
+  const custom = !dry && Array.isArray(P.layers);
+  const src = dry ? [
+    { group: 'cover', material: P.cover, t: P.cover.t },
+    { group: 'screed', material: P.dryBoard, t: P.dryBoard.t, label: 'Сухая стяжка' },
+    // Основание не тоньше трубы: труба лежит в пазу у его верха
+    { group: P.dryBase.group, material: P.dryBase, t: Math.max(P.dryBase.t, Math.min(0.020, P.pipeOD)), pipe: true, label: P.dryBase.name },
+    { group: 'insul', material: P.insul, t: P.insul.t },
+  ] : custom ? P.layers : [
+    { group: 'cover', material: P.cover, t: P.cover.t },
+    { group: 'screed', material: P.screed, t: P.screedThk, pipe: true },
+    { group: 'under', material: P.under, t: P.under.t ?? 0 },
+    { group: 'insul', material: P.insul, t: P.insul.t },
+  ];
+  const cPipe = rhoCOf(src.find(l => l.pipe).material) ?? 2.0e6;
+  let matPhi = null, underInfo = null, y = 0;
+  const layers = src.map(l => {
+    const m = l.material;
+    let t = l.pipe ? Math.max(l.t, 0.02) : l.t, k = m.k, rhoC = rhoCOf(m);
+    if (l.group === 'under'){
+      let info;
+      if (m.type === 'bubble' && t > 0){
+        // Подложка «фольга+пузырьки»: эквивалентная теплопроводность воздушного зазора (ISO 6946)
+        const tGap = t;
+        // Базовое R для невентилируемого горизонтального зазора при тепле вниз (ISO 6946 Annex B)
+        const Rair_base = 0.11 * (tGap/0.01); // ~0.11 м²K/Вт на 10 мм
+        // Усиление за счёт низкой эмиссии фольги (ε≈0.05): 1.5–1.7 (берём 1.6 как учебное среднее)
+        const rad_factor = 1.6;
+        const Rgap = Rair_base * rad_factor;
+        k = Math.max(0.002, tGap / Rgap);
+        rhoC = UNDERLAY_RHO_C;
+        info = { type: 'bubble', tGap, eps: m.eps ?? 0.05, Rair_base, rad_factor, Rgap, kUnder: k };
+      } else if (m.type === 'layer' && t > 0){
+        // Сплошной слой (пробка, вспененный полиэтилен и т.п. из библиотеки материалов)
+        k = Math.max(0.002, m.k);
+        rhoC = rhoC ?? UNDERLAY_RHO_C;
+        info = { type: 'layer', tGap: 0, eps: null, Rair_base: 0, rad_factor: 1, Rgap: 0, kUnder: k };
+      } else {
+        // Фольга в контакте — нет воздушного зазора, R≈0; мат — доля контакта трубы
+        t = 0;
+        if (m.type === 'mat') matPhi = Math.max(0, Math.min(1, m.phi ?? 0.5));
+        info = { type: m.type ?? 'none', tGap: 0, eps: m.type === 'foil' ? 0.05 : (m.eps ?? null), Rair_base: 0, rad_factor: 1, Rgap: 0, kUnder: 1 };
+        if (m.type === 'mat') info.phi = matPhi;
+      }
+      underInfo = underInfo ?? info;
+    } else if (l.group === 'cover') rhoC = rhoC ?? cPipe;
+    else if (l.group === 'insul') rhoC = rhoC ?? 3.0e4;
+    else rhoC = rhoC ?? 2.0e6;
+    const top = y;
+    y += t;
+    // Подпись подложки в стандартном пироге скрыта по просьбе пользователя
+    const label = l.label ?? (custom ? m.name : (l.group === 'under' ? '' : GROUP_LABELS[l.group]));
+    return { group: l.group, id: m.id, name: m.name, label, t, k, rhoC, pipe: !!l.pipe, cells: l.pipe ? 30 : LAYER_CELLS[l.group], top, bottom: y };
+  });
+  underInfo = underInfo ?? { type: 'none', tGap: 0, eps: null, Rair_base: 0, rad_factor: 1, Rgap: 0, kUnder: 1 };
+  return { layers, pipeLayer: layers.find(l => l.pipe), matPhi, underInfo };
+}
+
+/**
+ * Модель сечения: слои, сетка, маска труб, температуры ветвей и начальное поле.
+ * Общая для стационарного (solveFloor) и нестационарного (simulateTransient) расчёта.
+ * @param {object} params — параметры как у состояния приложения; материалы объектом или id пресета
+ * @param {{ nx?: number, nxPerPipe?: number, nyMax?: number, waterProfile?: { s: number[], Tw: number[] } }} [opts]
+ *   переопределение сетки; waterProfile — температура воды по длине петли вместо экспоненты
+ */
+export function buildModel(params, opts = {}){
+  const P = resolveParams(params);
+  const { Tair, Ts, Tr, spacing, pipeOD, hTop, belowT, airVel, nPipes, layout, loopPosFrac } = P;
+  const S = clampSpacing(spacing);
+  const nMain = Math.max(1, Math.round(nPipes));
+  const edge = P.edge ? edgeGeometry(P, S, nMain) : null;
+  const nPipesGrid = edge ? edge.pipes.length : nMain;
+  const NX = Math.max(8, Math.round(opts.nx ?? (opts.nxPerPipe ?? NX_PER_PIPE) * nPipesGrid));
+  const nyMax = Math.max(8, Math.round(opts.nyMax ?? 300));
+  const coarse = NX < NX_PER_PIPE * nPipesGrid;
+  const D = Math.max(0.012, Math.min(0.020, pipeOD));
+  const twm = 0.5 * (Ts + Tr);
+
+  // Слои сверху вниз с границами top/bottom; слой с трубой — pipeLayer
+  const { layers, pipeLayer, matPhi, underInfo } = buildStack(P);
+  const active = layers.filter(l => l.t > 0);
+  const totalH = layers.reduce((s, l)=> s + l.t, 0);
+
+  // Геометрия: труба лежит на нижней границе своего слоя (на подложке или утеплителе),
+  // в сухой системе — в пазу основания, верх трубы вровень с его верхом (под плитой)
+  const dry = P.system === 'dry';
+  const yUnderTop = pipeLayer.bottom; // низ слоя с трубой
+  const firstInsul = layers.find(l => l.group === 'insul' && l.t > 0 && l.top >= pipeLayer.bottom);
+  const yInsulTop = firstInsul ? firstInsul.top : totalH; // верх утеплителя
+  const pipeCenterY = dry ? pipeLayer.top + 0.5 * D : pipeLayer.bottom - 0.5 * D;
+  const pipeTopY = pipeCenterY - 0.5 * D;
+  const W = edge ? edge.W : nPipesGrid * S;
+  const pipeCenters = edge
+    ? edge.pipes.map(p => ({ ...p, y: pipeCenterY }))
+    : Array.from({ length: nPipesGrid }, (_, k) => ({ x: (k + 0.5) * S, y: pipeCenterY, pitch: S }));
+
+  // Адаптивная дискретизация по толщине с гарантированным числом ячеек на слой
+  const baseNY = 80;
+  const dyBase = totalH / Math.max(2, (baseNY - 1));
+  const dyLimits = [dyBase, ...active.map(l => l.t / l.cells)];
+  const dyTarget = Math.max(1e-5, Math.min(...dyLimits));
+  const NY = Math.max(3, Math.min(nyMax, Math.round(totalH / dyTarget) + 1));
+
+  const dx = W / (NX - 1);
+  const dy = totalH / (NY - 1);
+
+  // Теплопроводность и объёмная теплоёмкость ρc по строкам (ρc нужна только нестационарному режиму), Дж/(м³·K)
+  const kRow = new Float64Array(NY), cRow = new Float64Array(NY);
+  for (let j=0; j<NY; j++){
+    const y = j*dy;
+    const l = active.find(a => y <= a.bottom) ?? active[active.length-1];
+    kRow[j] = l.k; cRow[j] = l.rhoC;
+  }
+
+  const T = new Float64Array(NX*NY);
+  const idx = (i,j)=> j*NX + i;
+  for (let j=0; j<NY; j++){
+    const frac = 1 - j/(NY-1);
+    const Tv = belowT * (1-frac) + Tair * frac;
+    T.fill(Tv, j*NX, (j+1)*NX);
+  }
+
+  const pipeMask = new Uint8Array(NX*NY);
+  const pipeLabel = new Int8Array(NX*NY); pipeLabel.fill(-1);
+  const r = 0.5*D;
+  for (let j=1; j<NY-1; j++){
+    const y = j*dy;
+    for (let i=1; i<NX-1; i++){
+      const x = i*dx;
+      for (let k=0; k<pipeCenters.length; k++){
+        const pc = pipeCenters[k];
+        if (Math.hypot(x - pc.x, y - pc.y) <= r){ pipeMask[idx(i,j)] = 1; pipeLabel[idx(i,j)] = k; break; }
+      }
+    }
+  }
+  // Поузловые k и ρc: по слоям, в сухой системе — с пластинами и зазорами между рейками.
+  // Пластина тоньше шага сетки занимает узлы с эквивалентной k = k_Al·t/Δ (сохраняется проводимость вдоль
+  // пластины): полка — строка под плитой шириной plateW, канал — узлы вокруг трубы, включая диагональных
+  // соседей (иначе ступенчатый канал не связан). ρc — с долей алюминия t/Δ в объёме узла
+  const kNode = new Float64Array(NX*NY), cNode = new Float64Array(NX*NY);
+  for (let j=0; j<NY; j++){ kNode.fill(kRow[j], j*NX, (j+1)*NX); cNode.fill(cRow[j], j*NX, (j+1)*NX); }
+  let plates = null;
+  if (dry){
+    const tP = Math.max(1e-4, P.plateT), wP = Math.max(0, Math.min(S, P.plateW));
+    const gap = P.dryBase.gap ?? 0;
+    const jTop = Math.min(NY-2, Math.floor(pipeLayer.top / dy + 1e-9) + 1);
+    const jBot = Math.min(NY-2, Math.floor(pipeLayer.bottom / dy + 1e-9));
+    const plate = (p, d)=> {
+      const f = Math.min(1, tP / d);
+      kNode[p] = Math.max(kNode[p], K_PLATE * f); cNode[p] += (RHO_C_PLATE - cNode[p]) * f;
+    };
+    for (let j=jTop; j<=jBot; j++){
+      for (let i=1; i<NX-1; i++){
+        const p = idx(i,j);
+        if (pipeMask[p]) continue;
+        const pc = pipeCenters.reduce((a, b)=> Math.abs(b.x - i*dx) < Math.abs(a.x - i*dx) ? b : a);
+        let ring = false;
+        for (let b=-1; b<=1 && !ring; b++) for (let a=-1; a<=1; a++) if (pipeMask[p + b*NX + a]){ ring = true; break; }
+        if (ring) plate(p, dx);
+        else if (j === jTop && Math.abs(i*dx - pc.x) <= 0.5*Math.min(wP, pc.pitch)) plate(p, dy);
+        else if (Math.abs(i*dx - pc.x) <= 0.5*gap){ kNode[p] = K_AIR; cNode[p] = RHO_C_AIR; }
+      }
+    }
+    // Бока — оси симметрии: узлы границы повторяют соседей (у стены краевой зоны — лента, ниже)
+    for (let j=0; j<NY; j++){
+      kNode[idx(0,j)] = kNode[idx(1,j)]; kNode[idx(NX-1,j)] = kNode[idx(NX-2,j)];
+      cNode[idx(0,j)] = cNode[idx(1,j)]; cNode[idx(NX-1,j)] = cNode[idx(NX-2,j)];
+    }
+    plates = pipeCenters.map(pc => ({ x: pc.x, y: pipeLayer.top, w: Math.min(wP, pc.pitch), t: tP, gap }));
+  }
+  // Демпферная лента у стены — от поверхности до утеплителя (узел у стены — всегда лента)
+  if (edge){
+    for (let j=0; j<NY && j*dy <= yInsulTop; j++){
+      for (let i=0; i===0 || i*dx < edge.tS; i++){ kNode[idx(i,j)] = edge.kS; cNode[idx(i,j)] = RHO_C_STRIP; }
+    }
+  }
+  // Проводимости граней: kx[p] — между узлами p и p+1, ky[p] — между p и p+NX (гармоническое среднее)
+  const kx = new Float64Array(NX*NY), ky = new Float64Array(NX*NY);
+  for (let p=0; p<NX*NY; p++){
+    const a = kNode[p];
+    if ((p+1) % NX) kx[p] = 2*a*kNode[p+1]/(a + kNode[p+1]);
+    if (p + NX < NX*NY) ky[p] = 2*a*kNode[p+NX]/(a + kNode[p+NX]);
+  }
+
+  // Граница трубы: тепло от воды к слою проходит плёнку воды и стенку, R′ = 1/(h·π·di) + ln(D/di)/(2π·k),
+  // м·K/Вт. В сетке граница ступенчатая — связи узлов слоя с узлами трубы; A — суммарная длина их граней
+  // по каждой трубе. Сопротивление грани Rc = R′·A (wallRc) сохраняет проводимость трубы 1/R′
+  // независимо от того, как окружность легла на сетку. pipeFilm = false — узлы трубы прямо у слоя (wallRc = null)
+  const di = Math.max(0.004, D - 2 * Math.max(0, P.pipeWall));
+  const filmH = filmCoefficient({ flowLpm: P.flowLpm, di, Twater: twm });
+  const Rwall = Math.log(D / di) / (2 * Math.PI * P.pipeType.k);
+  const Rfilm = 1 / (filmH.h * Math.PI * di);
+  let wallRc = null;
+  if (P.pipeFilm){
+    const A = new Float64Array(pipeCenters.length);
+    for (let j=1; j<NY-1; j++){
+      for (let i=1; i<NX-1; i++){
+        const p = idx(i,j);
+        if (pipeMask[p]) continue;
+        if (pipeMask[p-1]) A[pipeLabel[p-1]] += dy;
+        if (pipeMask[p+1]) A[pipeLabel[p+1]] += dy;
+        if (pipeMask[p-NX]) A[pipeLabel[p-NX]] += dx;
+        if (pipeMask[p+NX]) A[pipeLabel[p+NX]] += dx;
+      }
+    }
+    wallRc = Float64Array.from(A, a => (Rwall + Rfilm) * a);
+  }
+  const film = { on: !!P.pipeFilm, h: filmH.h, Nu: filmH.Nu, Rwall, Rfilm };
+
+  // Эффективный коэффициент теплоотдачи сверху с учётом скорости воздуха (прирост конвекции)
+  const hEff = hTop + 6.0 * Math.pow(Math.max(0, airVel), 0.6);
+
+  const L_eff = loopLengthOf(P);
+  // Краевая зона — срез у стены: ветви петли — первые проходы от стены (по основному шагу укладки)
+  const xPos = edge ? 0 : Math.max(0, Math.min(0.5, loopPosFrac)) * Math.max(1e-6, L_eff);
+  const pipeLoopPos = pipeCenters.length > 1 ? pipeLoopPositions(pipeCenters.length, layout, L_eff, xPos, S) : [xPos];
+  // Профиль воды из связанной модели петли (marchLoop) заменяет 1D-экспоненту
+  const TpipeArr = opts.waterProfile
+    ? pipeLoopPos.map(s => interpProfile(opts.waterProfile.s, opts.waterProfile.Tw, s))
+    : computePipeTemperatures(pipeCenters.length, Ts, Tr, layout, Tair, L_eff, xPos, S);
+  // debug scalars
+  const alphaDbg = Math.max(1e-6, Math.log(Math.max(1e-6, (Ts - Tair)) / Math.max(1e-6, (Tr - Tair))) / Math.max(1e-6, L_eff));
+  const TsLoc = Tair + (Ts - Tair) * Math.exp(-alphaDbg * xPos);
+  const TrLoc = Tair + (Ts - Tair) * Math.exp(-alphaDbg * Math.max(0, L_eff - xPos));
+
+  return {
+    P, NX, NY, dx, dy, coarse, S, D, r, W, twm, totalH, layers, pipeLayer, matPhi, underInfo, edge,
+    yUnderTop, yInsulTop, pipeTopY, pipeCenters, kRow, cRow, kNode, cNode, kx, ky, plates, T, pipeMask, pipeLabel, wallRc, film,
+    hEff, L_eff, xPos, TpipeArr, pipeLoopPos, alphaDbg, TsLoc, TrLoc,
+  };
+}
+
+// Проводимость связи узла слоя с соседним узлом трубы на единицу площади ячейки, Вт/(м³·K):
+// полшага d/2 по материалу слоя k до границы трубы и сопротивление грани Rc (wallRc из buildModel)
+export function pipeLink(k, d, Rc){
+  return 1 / (d * (0.5*d/k + Rc));
+}
+
+// Температура узла левой границы в строке j: ось симметрии (как у соседа) или, в краевой зоне, стена —
+// баланс проводимости к соседу через полшага и Uw к наружному воздуху. Низ сечения — как у соседа
+export function wallBoundary(M, T){
+  const { NX, NY, dx, kx, edge } = M;
+  if (!edge) return (j)=> T[j*NX + 1];
+  const { Uw, Tout } = edge;
+  return (j)=> {
+    const p = j*NX;
+    if (j === NY-1) return T[p+1];
+    const g = kx[p]/dx;
+    return (g*T[p+1] + Uw*Tout) / (g + Uw);
+  };
+}
+
+// Температура поверхности, средние потоки вверх/вниз и, в краевой зоне, поток в стену (Вт на метр стены) для поля T модели M
+export function surfaceFluxes(M, T){
+  const { NX, NY, dy, kNode, hEff, edge } = M;
+  const { Tair } = M.P;
+  const idx = (i,j)=> j*NX + i;
+  const surfaceT = new Float64Array(NX);
+  for (let i=0; i<NX; i++) surfaceT[i] = T[idx(i,0)];
+
+  const qUpArr = new Float64Array(NX);
+  let qUpSum = 0;
+  for (let i=0; i<NX; i++){ const q = hEff*(surfaceT[i] - Tair); qUpArr[i]=q; qUpSum+=q; }
+  const qUpMean = qUpSum / NX;
+
+  let qDownSum = 0;
+  for (let i=0; i<NX; i++){
+    const kB = kNode[idx(i,NY-1)];
+    const Tb = T[idx(i,NY-1)];
+    const Tprev = T[idx(i,NY-2)];
+    const q = -kB * (Tb - Tprev) / dy;
+    qDownSum += q;
+  }
+  const qDownMean = qDownSum / NX; // положительно вниз
+  const qDownAbs = Math.max(0, qDownMean);
+  // Поток в стену — трапецией по высоте сечения
+  let qWall = 0;
+  if (edge){
+    for (let j=0; j<NY; j++) qWall += edge.Uw * (T[idx(0,j)] - edge.Tout) * (j === 0 || j === NY-1 ? 0.5*dy : dy);
+  }
+  return { surfaceT, qUpArr, qUpMean, qDownMean, qDownAbs, qWall };
+}
+
+/**
+ * Расчёт сечения пола.
+ * @param {object} params — параметры как у состояния приложения; материалы объектом или id пресета
+ * @param {{ nx?: number, nyMax?: number, method?: 'point'|'line', tol?: number, maxIter?: number, T0?: Float64Array, onProgress?: (it: number, maxIter: number, residual: number) => void }} [opts]
+ *   переопределение сетки и управления сходимостью (грубый предпросмотр), начальное поле T0 той же сетки,
+ *   колбэк прогресса каждые 50 итераций
+ * @returns {{ params, profile, metrics, metrics1D, grid, overlays, debug, field, edge, underInfo, hydraulics, norms, flags }}
+ */
+export function solveFloor(params, opts = {}){
+  const M = buildModel(params, opts);
+  const { P, NX, NY, dx, dy, coarse, S, W, twm, totalH, layers, pipeLayer, matPhi, underInfo, edge, yUnderTop, yInsulTop, pipeTopY, pipeCenters, r,
+    kNode, kx, ky, plates, T, pipeMask, pipeLabel, wallRc, film, hEff, L_eff, xPos, TpipeArr, pipeLoopPos, alphaDbg, TsLoc, TrLoc } = M;
+  const { Tair, belowT, useFixedArea, areaM2, flowLpm, pipeWall, tailLength } = P;
+  const idx = (i,j)=> j*NX + i;
+
+  // Управление сходимостью: остановка по невязке tol (°C) или по лимиту итераций maxIter
+  // Сечение краевой зоны в 2–3 раза шире обычного: точечный SOR сходится слишком медленно, всегда линейный
+  const method = (opts.method ?? P.method) === 'line' || edge ? 'line' : 'point';
+  const maxIter = Math.max(1, Math.round(opts.maxIter ?? P.maxIter));
+  const tol = Math.max(1e-9, opts.tol ?? P.tol);
+  const omega = method === 'line' ? 1.9 : 1.85;
+  const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+  if (opts.T0 && opts.T0.length === T.length) T.set(opts.T0);
+  // Проводимость связи узла с соседом q (kf — k грани, d — шаг); к трубе при pipeFilm — через стенку и плёнку воды
+  const link = (k, q, kf, d)=> wallRc && pipeMask[q] ? pipeLink(k, d, wallRc[pipeLabel[q]]) : kf/(d*d);
+  const leftT = wallBoundary(M, T);
+
+  // Точечный SOR (Гаусс–Зейдель с верхней релаксацией). Возвращает невязку — max |ΔT| поправки Гаусса–Зейделя, °C
+  function sweepPoint(){
+    let res = 0;
+    for (let j=0; j<NY; j++){
+      if (j===0){
+        for (let i=0; i<NX; i++){
+          if (pipeMask[idx(i,j)]) {
+            const label = pipeLabel[idx(i,j)];
+            const Tpipe = (label >= 0) ? TpipeArr[Math.max(0, Math.min(TpipeArr.length-1, label))] : twm;
+            // Если выбран "мат": имитируем снижение контакта через робин на части периметра (упрощение)
+            if (matPhi !== null){
+              const kGap = 0.026, tGap = 0.001; // ~1 мм зазор
+              const hGap = kGap / tGap; // около 26 W/m2K
+              // смешиваем: T0 = w*Dirichlet + (1-w)*Robin(к воздуху Tair)
+              const w = matPhi; // доля контакта
+              const T1 = T[idx(i,j+1)]; const k = kNode[idx(i,j)];
+              const Trob = ((k/dy)*T1 + hGap*Tair) / ((k/dy) + hGap);
+              T[idx(i,j)] = w*Tpipe + (1-w)*Trob; continue;
+            } else {
+              T[idx(i,j)] = Tpipe; continue;
+            }
+          }
+          // Robin BC: -k * dT/dy = h * (T0 - Tair)
+          // Численно устойчивая форма (весовое среднее):
+          // T0 = ( (k/dy)*T1 + h*Tair ) / ( (k/dy) + h )
+          const k = kNode[idx(i,j)];
+          const T1 = T[idx(i,j+1)];
+          const T0 = ((k/dy)*T1 + hEff*Tair) / ((k/dy) + hEff);
+          res = Math.max(res, Math.abs(T0 - T[idx(i,j)]));
+          T[idx(i,j)] = T0;
+        }
+        // симметрия по бокам для угловых узлов (слева в краевой зоне — стена)
+        T[idx(0,0)] = leftT(0);
+        T[idx(NX-1,0)] = T[idx(NX-2,0)];
+        continue;
+      }
+      if (j===NY-1){
+        for (let i=0; i<NX; i++){
+          if (pipeMask[idx(i,j)]) { T[idx(i,j)] = twm; continue; }
+          T[idx(i,j)] = belowT;
+        }
+        continue;
+      }
+
+      for (let i=0; i<NX; i++){
+        if (i===0){ T[idx(0,j)] = leftT(j); continue; }
+        if (i===NX-1){ T[idx(NX-1,j)] = T[idx(NX-2,j)]; continue; }
+        if (pipeMask[idx(i,j)]){
+          const label = pipeLabel[idx(i,j)];
+          const Tpipe = (label >= 0) ? TpipeArr[Math.max(0, Math.min(TpipeArr.length-1, label))] : twm;
+          if (matPhi !== null){
+            const kGap=0.026, tGap=0.001; const hGap = kGap/tGap; const w = matPhi;
+            const T1 = T[idx(i,j+1)]; const k = kNode[idx(i,j)];
+            const Trob = ((k/dy)*T1 + hGap*Tair) / ((k/dy) + hGap);
+            T[idx(i,j)] = w*Tpipe + (1-w)*Trob; continue;
+          } else {
+            T[idx(i,j)] = Tpipe; continue;
+          }
+        }
+
+        const p = idx(i,j), k = kNode[p];
+        const gL = link(k, p-1, kx[p-1], dx), gR = link(k, p+1, kx[p], dx);
+        const gU = link(k, p-NX, ky[p-NX], dy), gD = link(k, p+NX, ky[p], dy);
+
+        const Tnew = (gL*T[p-1] + gR*T[p+1] + gU*T[p-NX] + gD*T[p+NX]) / (gL + gR + gU + gD);
+        const old = T[p];
+        res = Math.max(res, Math.abs(Tnew - old));
+        T[p] = old + omega*(Tnew - old);
+      }
+    }
+    return res;
+  }
+
+  // Линейный SOR по вертикальным столбцам: каждый столбец решается точно (прогонка),
+  // что снимает жёсткость по y (dy ≪ dx в тонких слоях) и заметно ускоряет сходимость
+  const la = new Float64Array(NY), lb = new Float64Array(NY), lc = new Float64Array(NY), ld = new Float64Array(NY);
+  const lx = new Float64Array(NY), lfix = new Uint8Array(NY);
+  function sweepLine(){
+    let res = 0;
+    for (let i=1; i<NX-1; i++){
+      for (let j=0; j<NY; j++){
+        la[j] = 0; lc[j] = 0; lfix[j] = 0;
+        if (j===NY-1){ lb[j] = 1; ld[j] = pipeMask[idx(i,j)] ? twm : belowT; lfix[j] = 1; continue; }
+        const k = kNode[idx(i,j)];
+        if (pipeMask[idx(i,j)]){
+          const label = pipeLabel[idx(i,j)];
+          const Tpipe = (label >= 0) ? TpipeArr[Math.max(0, Math.min(TpipeArr.length-1, label))] : twm;
+          lb[j] = 1; lfix[j] = 1;
+          if (matPhi !== null){
+            // T = w*Tpipe + (1-w)*((k/dy)*T[j+1] + hGap*Tair)/((k/dy)+hGap)
+            const w = matPhi; const hGap = 0.026/0.001;
+            const den = (k/dy) + hGap;
+            lc[j] = -(1-w)*(k/dy)/den; ld[j] = w*Tpipe + (1-w)*hGap*Tair/den;
+          } else {
+            ld[j] = Tpipe;
+          }
+          continue;
+        }
+        if (j===0){
+          // Робин сверху: (k/dy + h) T0 − (k/dy) T1 = h·Tair
+          lb[j] = (k/dy) + hEff; lc[j] = -(k/dy); ld[j] = hEff*Tair;
+          continue;
+        }
+        const p = idx(i,j);
+        const gL = link(k, p-1, kx[p-1], dx), gR = link(k, p+1, kx[p], dx);
+        const gU = link(k, p-NX, ky[p-NX], dy), gD = link(k, p+NX, ky[p], dy);
+        la[j] = -gU; lc[j] = -gD;
+        lb[j] = gL + gR + gU + gD;
+        ld[j] = gL*T[p-1] + gR*T[p+1];
+      }
+      // Прогонка (алгоритм Томаса)
+      for (let j=1; j<NY; j++){
+        const m = la[j] / lb[j-1];
+        lb[j] -= m*lc[j-1]; ld[j] -= m*ld[j-1];
+      }
+      lx[NY-1] = ld[NY-1] / lb[NY-1];
+      for (let j=NY-2; j>=0; j--) lx[j] = (ld[j] - lc[j]*lx[j+1]) / lb[j];
+      for (let j=0; j<NY; j++){
+        const old = T[idx(i,j)];
+        if (lfix[j]) { T[idx(i,j)] = lx[j]; continue; }
+        res = Math.max(res, Math.abs(lx[j] - old));
+        T[idx(i,j)] = old + omega*(lx[j] - old);
+      }
+    }
+    // симметрия по бокам (слева в краевой зоне — стена)
+    for (let j=0; j<NY; j++){ T[idx(0,j)] = leftT(j); T[idx(NX-1,j)] = T[idx(NX-2,j)]; }
+    return res;
+  }
+
+  const residualHistory = [];
+  let iterations = 0, residual = Infinity, converged = false;
+  while (iterations < maxIter){
+    if (onProgress && iterations % 50 === 0) onProgress(iterations, maxIter, residual);
+    residual = method === 'line' ? sweepLine() : sweepPoint();
+    iterations++;
+    residualHistory.push(residual);
+    if (residual < tol){ converged = true; break; }
+  }
+  if (onProgress) onProgress(iterations, maxIter, residual);
+
+  const { surfaceT, qUpArr, qUpMean, qDownMean, qDownAbs, qWall } = surfaceFluxes(M, T);
+  const qTotalPerArea = qUpMean + qDownAbs;
+  const upShare = qUpMean / (qTotalPerArea + 1e-9);
+
+  const profile = Array.from({ length: NX }, (_, i)=> ({ x: (i*dx).toFixed(3), T: +surfaceT[i].toFixed(2), q: +qUpArr[i].toFixed(1) }));
+
+  // Комфорт и нормативы: доля поверхности выше порогов и локальный перепад ("босая стопа")
+  let over29 = 0, over31 = 0;
+  for (let i=0; i<NX; i++){ if (surfaceT[i] > 29) over29++; if (surfaceT[i] > 31) over31++; }
+  const over29Pct = (over29 / NX) * 100;
+  const over31Pct = (over31 / NX) * 100;
+  const steps5 = Math.max(1, Math.round(0.05 / Math.max(1e-9, dx)));
+  const steps10 = Math.max(1, Math.round(0.10 / Math.max(1e-9, dx)));
+  let dFoot5 = 0, dFoot10 = 0;
+  for (let i=0; i<NX; i++){
+    const j5 = Math.min(NX-1, i + steps5);
+    const j10 = Math.min(NX-1, i + steps10);
+    dFoot5 = Math.max(dFoot5, Math.abs(surfaceT[j5] - surfaceT[i]));
+    dFoot10 = Math.max(dFoot10, Math.abs(surfaceT[j10] - surfaceT[i]));
+  }
+
+  const overlays = {
+    layers: layers.filter(l => l.t > 0).map(({ group, id, label, top, bottom, pipe }) => ({ group, id, label, top, bottom, pipe })),
+    pipes: pipeCenters.map(p=>({ ...p, r })), S, W, totalH, pipeTopY, yUnderTop, yInsulTop,
+    plates, // сухая система: пластины { x, y — низ плиты, w, t, gap — зазор между рейками }, иначе null
+    edge: edge && { strip: edge.tS, stripBottom: yInsulTop, x0: edge.x0, x1: edge.x1 }, // краевая зона: лента у стены x < strip, полоса x0…x1
+  };
+
+  let sumT = 0; for (let i=0; i<NX; i++) sumT += surfaceT[i];
+  const Tavg = sumT / NX;
+  const TmaxSurf = Math.max(...surfaceT);
+  const TminSurf = Math.min(...surfaceT);
+  const dTsurf = TmaxSurf - TminSurf;
+
+  // Краевая зона: поверхность полосы x0…x1 (EN 1264 допускает до 35 °C) и зона пребывания за ней (до 29 °C)
+  let edgeRes = null;
+  if (edge){
+    const band = [], occ = [];
+    for (let i=0; i<NX; i++){
+      const x = i*dx;
+      if (x >= edge.x0 && x <= edge.x1) band.push(surfaceT[i]); else if (x > edge.x1) occ.push(surfaceT[i]);
+    }
+    edgeRes = {
+      qWall: +qWall.toFixed(2), Uw: edge.Uw, Tout: edge.Tout,
+      TedgeMax: +Math.max(...band).toFixed(2), TedgeAvg: +(band.reduce((s, v)=> s + v, 0) / band.length).toFixed(2),
+      TmaxOcc: +Math.max(...occ).toFixed(2),
+    };
+  }
+
+  // 1D-оценка сопротивлений и потока: R покрытия — все слои над слоем с трубой, R подложки — подложки под ним
+  const Rof = (l)=> l.t > 0 ? l.t/Math.max(l.k,1e-3) : 0;
+  const sumR = (list)=> list.reduce((s, l)=> s + Rof(l), 0);
+  const Rcover = sumR(layers.filter(l => l.bottom <= pipeLayer.top && l !== pipeLayer));
+  // В сухой системе верх трубы прижат пластиной к плите: слоя над трубой нет
+  const Rscreed = P.system === 'dry' ? 0 : Rof(pipeLayer);
+  const Runder = sumR(layers.filter(l => l.group === 'under' && l.top >= pipeLayer.bottom && l !== pipeLayer));
+  const Rconv = 1/Math.max(hEff,1e-3);
+  // Стенка и плёнка воды на площадь плана: R′ на метр трубы × шаг укладки
+  const Rpipe = film.on ? (film.Rwall + film.Rfilm) * S : 0;
+  const Rsum = Rpipe + Rcover + Rscreed + Runder + Rconv;
+  const TpipeEff = (TpipeArr[0] + TpipeArr[TpipeArr.length-1]) * 0.5; // грубая оценка
+  const q1D = (TpipeEff - Tair)/Math.max(Rsum,1e-6);
+  const Tsurf1D = Tair + q1D*Rconv;
+
+  // Гидравлика: массовый расход и оценка мощности петли по этому срезу
+  const mdot = massFlow(flowLpm); // кг/с
+  // Площадь плана петли: фиксированная (areaM2) или оценка S*L_eff
+  const areaPlan = useFixedArea ? Math.max(1e-6, areaM2) : Math.max(1e-6, S * L_eff);
+  const Qloop = qUpMean * areaPlan; // Вт, тепло ВВЕРХ в помещение
+  // Теплота, отдаваемая водой на метр трубы (вверх и вниз), Вт/м — шаг связанной модели петли
+  // В краевой зоне — среднее по трубам сечения с потоком в стену
+  const qLin = edge ? ((qUpMean + qDownMean) * W + qWall) / pipeCenters.length : (qUpMean + qDownMean) * S;
+  // Потери давления в петле с подводками при средней температуре воды
+  const pressure = loopPressureDrop({ flowLpm, pipeOD: M.D, pipeWall, length: L_eff + Math.max(0, tailLength), Twater: twm });
+
+  // Нормативные пороги (учебные): СП 60.13330 (средняя для жилых ≤ 26 °C), DIN EN 1264 (максимальная для жилых ≤ 29 °C)
+  // В краевой зоне максимум 29 °C проверяется в зоне пребывания, полоса у стены — до 35 °C
+  const norms = { spAvgLimit: 29, dinMaxLimit: 29, edgeMaxLimit: 35, exceedAvg: Tavg > 29, exceedMax: (edgeRes ? edgeRes.TmaxOcc : TmaxSurf) > 29,
+    exceedEdge: !!edgeRes && edgeRes.TedgeMax > 35 };
+
+  return {
+    params: P, profile,
+    metrics: {
+      Tavg: +Tavg.toFixed(2), Tmax: +TmaxSurf.toFixed(2), Tmin: +TminSurf.toFixed(2), dTsurf: +dTsurf.toFixed(2),
+      qUpMean: +qUpMean.toFixed(1), qDownMean: +qDownAbs.toFixed(1), upShare: +(upShare*100).toFixed(1),
+      qTotal: +qTotalPerArea.toFixed(1),
+      over29: +over29Pct.toFixed(1), over31: +over31Pct.toFixed(1),
+      dFoot5: +dFoot5.toFixed(2), dFoot10: +dFoot10.toFixed(2)
+    },
+    metrics1D: {
+      Rpipe: +Rpipe.toFixed(3), Rcover: +Rcover.toFixed(3), Rscreed: +Rscreed.toFixed(3), Runder: +Runder.toFixed(3), Rconv: +Rconv.toFixed(3),
+      q1D: +q1D.toFixed(1), Tsurf1D: +Tsurf1D.toFixed(2),
+      layers: layers.filter(l => l.t > 0).map(l => ({ group: l.group, name: l.name, t: l.t, k: +l.k.toFixed(4), R: +Rof(l).toFixed(3), pipe: l.pipe })),
+    },
+    grid: { S, W, totalH, dx, dy, NX, NY },
+    overlays,
+    debug: { alpha: alphaDbg, xPos, L: L_eff, TsLoc: TsLoc, TrLoc: TrLoc, pipeTemps: Array.from(TpipeArr), pipeLoopPos,
+      method, omega, tol, maxIter, iterations, residual, converged, residualHistory },
+    field: { T, k: kNode }, // k — теплопроводность в узлах сетки (поток −k∇T)
+    edge: edgeRes, // краевая зона: qWall — поток в стену, Вт/м; температуры полосы и максимум зоны пребывания, °C; иначе null
+    underInfo,
+    hydraulics: { mdot, Qloop, qLin, ...pressure, hFilm: film.h, Nu: film.Nu, Rwall: film.Rwall, Rfilm: film.Rfilm, pipeFilm: film.on },
+    norms,
+    flags: { coarse }
+  };
+}
+
+/**
+ * Связанная модель петли: шаг по длине L_eff с расчётом 2D-сечения в каждой станции.
+ * Станция — ячейка одной трубы (соседние ветви той же температуры, без краевой зоны) с текущей температурой воды Tw;
+ * отданная водой теплота q' = (q↑ + q↓)·S, Вт/м, снижает Tw на q'·ds/(ṁ·cₚ).
+ * Шаг — метод трапеций: прогноз Tw по q' в начале шага, расчёт сечения в прогнозе, коррекция средним q'.
+ * Задача линейна по Tw, поэтому потоки в скорректированной точке интерполируются без лишнего расчёта.
+ * @param {object} params — параметры как у solveFloor; Tr не используется
+ * @param {{ stations?: number, nxPerPipe?: number, nyMax?: number, method?: 'point'|'line', tol?: number, onProgress?: (frac: number) => void }} [opts]
+ * @returns {{ s: number[], Tw: number[], qUp: number[], qDown: number[], qLin: number[], Tr: number, Q: number, Qup: number, Qdown: number, mdot: number, L: number, converged: boolean }}
+ */
+export function marchLoop(params, opts = {}){
+  const P = resolveParams(params);
+  const n = Math.max(4, Math.round(opts.stations ?? 24));
+  const L = loopLengthOf(P);
+  const S = clampSpacing(P.spacing);
+  const ds = L / n;
+  const mdot = massFlow(P.flowLpm);
+  const mC = mdot * CP_WATER; // Вт/К
+  const cell = { nxPerPipe: opts.nxPerPipe ?? 32, nyMax: opts.nyMax, method: opts.method ?? 'line', tol: opts.tol ?? P.tol, maxIter: P.maxIter };
+  const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+  let converged = true;
+  const station = (Tw, T0)=> {
+    const r = solveFloor({ ...P, nPipes: 1, Ts: Tw, Tr: Tw, edge: false }, { ...cell, T0 });
+    converged = converged && r.debug.converged;
+    return { qLin: r.hydraulics.qLin, qUp: r.metrics.qUpMean, qDown: r.metrics.qDownMean, T: r.field.T };
+  };
+
+  let cur = station(P.Ts, null);
+  const out = { s: [0], Tw: [P.Ts], qUp: [cur.qUp], qDown: [cur.qDown], qLin: [cur.qLin] };
+  if (onProgress) onProgress(1 / (n + 1));
+  for (let i=1; i<=n; i++){
+    const Tw0 = out.Tw[i-1];
+    const Tp = Tw0 - cur.qLin * ds / mC;
+    const pred = station(Tp, cur.T);
+    const Tn = Tw0 - 0.5 * (cur.qLin + pred.qLin) * ds / mC;
+    const w = Math.abs(Tp - Tw0) > 1e-9 ? (Tn - Tw0) / (Tp - Tw0) : 1;
+    const lerp = (a, b)=> a + (b - a) * w;
+    const next = { qLin: lerp(cur.qLin, pred.qLin), qUp: lerp(cur.qUp, pred.qUp), qDown: lerp(cur.qDown, pred.qDown), T: pred.T };
+    out.s.push(i * ds); out.Tw.push(Tn);
+    out.qUp.push(+next.qUp.toFixed(1)); out.qDown.push(+next.qDown.toFixed(1)); out.qLin.push(next.qLin);
+    cur = next;
+    if (onProgress) onProgress((i + 1) / (n + 1));
+  }
+
+  // Мощность петли: полная — по остыванию воды, вверх/вниз — интегралы потоков по площади плана
+  const integrate = (q)=> { let sum = 0; for (let i=1; i<=n; i++) sum += 0.5 * (q[i-1] + q[i]) * S * ds; return sum; };
+  const Tr = out.Tw[n];
+  return { ...out, Tr, Q: mC * (P.Ts - Tr), Qup: integrate(out.qUp), Qdown: integrate(out.qDown), mdot, L, converged };
+}
+
+/**
+ * Характеристика петли: задача линейна по температуре воды, поэтому теплоотдача на метр трубы
+ * q'(Tw) = a·(Tw − T0) и её часть вверх q'↑(Tw) = b·(Tw − T0↑) определяются двумя расчётами
+ * той же ячейки одной трубы, что и в marchLoop. Используется при подборе расходов коллектора.
+ * @param {object} params
+ * @param {{ nxPerPipe?: number, nyMax?: number, method?: 'point'|'line', tol?: number }} [opts]
+ * @returns {{ a: number, T0: number, b: number, T0up: number, L: number, S: number, converged: boolean }}
+ */
+export function loopCharacteristic(params, opts = {}){
+  const P = resolveParams(params);
+  const L = loopLengthOf(P);
+  const S = clampSpacing(P.spacing);
+  const cell = { nxPerPipe: opts.nxPerPipe ?? 32, nyMax: opts.nyMax, method: opts.method ?? 'line', tol: opts.tol ?? P.tol, maxIter: P.maxIter };
+  const at = (Tw)=> {
+    const p = { ...P, nPipes: 1, Ts: Tw, Tr: Tw, edge: false };
+    const r = solveFloor(p, cell);
+    const f = surfaceFluxes(buildModel(p, cell), r.field.T);
+    return { lin: (f.qUpMean + f.qDownMean) * S, up: f.qUpMean * S, converged: r.debug.converged };
+  };
+  const T1 = P.Tair + 25, T2 = P.Tair + 10;
+  const h1 = at(T1), h2 = at(T2);
+  const a = (h1.lin - h2.lin) / (T1 - T2);
+  const b = (h1.up - h2.up) / (T1 - T2);
+  return { a, T0: T1 - h1.lin / a, b, T0up: T1 - h1.up / b, L, S, converged: h1.converged && h2.converged };
+}
+
+/**
+ * Режим «авто-обратка»: обратка и профиль воды — из связанной модели петли (marchLoop),
+ * затем полный расчёт среза в точке loopPosFrac с этим профилем.
+ * @param {object} params
+ * @param {object} [opts] — как у solveFloor; onLoopProgress(frac) — прогресс шага по петле
+ */
+export function solveFloorCoupled(params, opts = {}){
+  const { onLoopProgress, ...rest } = opts;
+  const loop = marchLoop(params, { method: opts.method, onProgress: onLoopProgress });
+  const res = solveFloor({ ...params, Tr: +loop.Tr.toFixed(2) }, { ...rest, waterProfile: loop });
+  res.hydraulics = { ...res.hydraulics, Qloop: loop.Qup, loop };
+  return res;
+}
@@ -0,0 +1,92 @@
+// Web Worker: расчёт и растеризация поля вне главного потока.
+// Сначала отдаётся грубый предпросмотр, затем прогресс итераций и полный результат;
+// task: 'render' — перерисовка последнего поля с другим видом (палитра, шкала, T или |q|) без пересчёта;
+// task: 'transient' — нестационарный расчёт (прогрев/остывание), 'manifold' — коллектор с несколькими петлями,
+// 'room' — подбор подачи и шага под нагрузку помещения, 'characteristic' — характеристики EN 1264,
+// 'sweep' и 'sensitivity' — развёртка по параметрам и чувствительность, 'solve' — стационарный расчёт без предпросмотра;
+// autoReturn — связанная модель петли.
+// Отмена устаревших запусков — на стороне UI (worker.terminate()), т.к. цикл SOR синхронный.
+import { solveFloor, solveFloorCoupled } from "./solver.js";
+import { renderField } from "./render.js";
+import { simulateTransient } from "./transient.js";
+import { designManifold } from "./manifold.js";
+import { coverageAdvice } from "./room.js";
+import { characteristicCurves } from "./characteristic.js";
+import { runSweep, sensitivity } from "./sweep.js";
+
+// Грубая сетка для мгновенного предпросмотра
+const PREVIEW = { nxPerPipe: 16, nyMax: 60, maxIter: 300, tol: 1e-3, widthPx: 280 };
+
+// Последнее отданное поле (предпросмотр или полный результат) — для перерисовки по task 'render'
+let last = null;
+
+// В UI уходит копия поля: исходное остаётся в воркере для перерисовки
+function pack(res, view, widthPx){
+  last = { res, widthPx };
+  const px = renderField(res, { ...view, widthPx });
+  const T = res.field.T.slice();
+  return { result: { ...res, field: { ...res.field, T }, px }, transfer: [px.data.buffer, T.buffer] };
+}
+
+function renderLast(id, view){
+  if (!last) return;
+  const px = renderField(last.res, { ...view, widthPx: last.widthPx });
+  self.postMessage({ id, type: 'render', px }, [px.data.buffer]);
+}
+
+// Нестационарный расчёт: кадры поля отдаются без растеризации, UI рисует выбранный кадр
+function runTransient(id, params, transient){
+  const res = simulateTransient(params, {
+    ...transient,
+    onProgress: (frac)=> self.postMessage({ id, type: 'progress', it: Math.round(frac*100), iters: 100, frac }),
+  });
+  self.postMessage({ id, type: 'done', result: res }, res.frames.map(f => f.T.buffer));
+}
+
+// Стационарный расчёт без растеризации и предпросмотра (сценарии из файла проекта)
+function solveTask(params, { onProgress }){
+  if (params.autoReturn) return solveFloorCoupled(params, { onLoopProgress: onProgress });
+  return solveFloor(params, { onProgress: (it, maxIter)=> onProgress(it / maxIter) });
+}
+
+// Расчёты без поля: функция (params, options) с колбэком onProgress(frac)
+const TASKS = { manifold: designManifold, room: coverageAdvice, characteristic: characteristicCurves, sweep: runSweep, sensitivity, solve: solveTask };
+
+function runTask(id, fn, params, options){
+  const res = fn(params, {
+    ...options,
+    onProgress: (frac)=> self.postMessage({ id, type: 'progress', it: Math.round(frac*100), iters: 100, frac }),
+  });
+  self.postMessage({ id, type: 'done', result: res });
+}
+
+self.onmessage = (e)=> {
+  const { id, task, params, view, options } = e.data;
+  try {
+    if (task === 'render') return renderLast(id, view);
+    if (task === 'transient') return runTransient(id, params, options);
+    if (TASKS[task]) return runTask(id, TASKS[task], params, options);
+
+    const coarse = solveFloor(params, PREVIEW);
+    const p = pack(coarse, view, PREVIEW.widthPx);
+    self.postMessage({ id, type: 'preview', result: p.result }, p.transfer);
+
+    // Доля выполнения — по итерациям или по снижению невязки к допуску, что ближе к завершению.
+    // В режиме авто-обратки первая половина шкалы — шаг по петле, вторая — полный срез
+    const base = params.autoReturn ? 0.5 : 0;
+    let r0 = null;
+    const onProgress = (it, maxIter, residual)=> {
+      if (r0 === null && Number.isFinite(residual)) r0 = residual;
+      const tol = params.tol ?? 1e-5;
+      const byRes = (r0 && residual > 0 && r0 > tol) ? Math.log(r0/residual) / Math.log(r0/tol) : 0;
+      const frac = base + (1 - base) * Math.max(0, Math.min(1, Math.max(it/maxIter, byRes)));
+      self.postMessage({ id, type: 'progress', it, iters: maxIter, residual, frac });
+    };
+    const onLoopProgress = (f)=> self.postMessage({ id, type: 'progress', it: Math.round(f*100), iters: 100, frac: 0.5*f });
+    const res = params.autoReturn ? solveFloorCoupled(params, { onProgress, onLoopProgress }) : solveFloor(params, { onProgress });
+    const f = pack(res, view, 560);
+    self.postMessage({ id, type: 'done', result: f.result }, f.transfer);
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: String(err?.message || err) });
+  }
+};
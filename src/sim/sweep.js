@@ -0,0 +1,124 @@
+// Развёртка по одному-двум параметрам и чувствительность метрик «Результатов» к входам.
+import { resolveParams, withStackInput, PRESETS_SCREED, PRESETS_COVER, PRESETS_INSULATION, PRESETS_UNDERLAY, PRESETS_PIPE, PRESETS_DRY_BASE, PRESETS_DRY_BOARD } from "./presets.js";
+import { solveFloor } from "./solver.js";
+
+// Входы развёртки: числовые — в СИ с множителем для отображения; материалы — перебор пресетов.
+// delta — отклонение от текущего значения для диаграммы чувствительности; system — вход только мокрой или сухой системы
+export const SWEEP_INPUTS = {
+  spacing: { label: 'Шаг укладки', unit: 'мм', scale: 1000, min: 0.05, max: 0.30, delta: 0.025 },
+  screedThk: { label: 'Толщина стяжки', unit: 'мм', scale: 1000, min: 0.02, max: 0.10, delta: 0.01, system: 'wet' },
+  pipeOD: { label: 'Диаметр трубы', unit: 'мм', scale: 1000, min: 0.012, max: 0.020, delta: 0.002 },
+  Ts: { label: 'Подача (перепад сохраняется)', unit: '°C', scale: 1, min: 25, max: 55, delta: 2 },
+  Tr: { label: 'Обратка', unit: '°C', scale: 1, min: 20, max: 50, delta: 2 },
+  Tair: { label: 'Температура воздуха', unit: '°C', scale: 1, min: 10, max: 30, delta: 1 },
+  hTop: { label: 'h сверху', unit: 'W/m²K', scale: 1, min: 6, max: 20, delta: 1 },
+  belowT: { label: 'Температура снизу', unit: '°C', scale: 1, min: 0, max: 25, delta: 2 },
+  airVel: { label: 'Скорость воздуха', unit: 'м/с', scale: 1, min: 0, max: 1.5, delta: 0.2 },
+  flowLpm: { label: 'Расход контура', unit: 'л/мин', scale: 1, min: 0.5, max: 6, delta: 0.5 },
+  plateW: { label: 'Ширина пластины', unit: 'мм', scale: 1000, min: 0.04, max: 0.30, delta: 0.02, system: 'dry' },
+  plateT: { label: 'Толщина пластины', unit: 'мм', scale: 1000, min: 0.0002, max: 0.002, delta: 0.0002, system: 'dry' },
+  cover: { label: 'Покрытие', options: PRESETS_COVER },
+  screed: { label: 'Стяжка', options: PRESETS_SCREED, system: 'wet' },
+  insul: { label: 'Утеплитель', options: PRESETS_INSULATION },
+  under: { label: 'Подложка', options: PRESETS_UNDERLAY, system: 'wet' },
+  pipeType: { label: 'Труба', options: PRESETS_PIPE },
+  dryBase: { label: 'Основание сухой системы', options: PRESETS_DRY_BASE, system: 'dry' },
+  dryBoard: { label: 'Плита сухой системы', options: PRESETS_DRY_BOARD, system: 'dry' },
+};
+
+// Метрики из results.metrics, выводимые в таблицах и диаграммах
+export const SWEEP_METRICS = [
+  { key: 'Tavg', label: 'Tпов ср', unit: '°C' },
+  { key: 'Tmax', label: 'Tпов макс', unit: '°C' },
+  { key: 'dTsurf', label: 'ΔTпов', unit: '°C' },
+  { key: 'qUpMean', label: 'q↑ средняя', unit: 'W/m²' },
+  { key: 'upShare', label: 'Доля вверх', unit: '%' },
+  { key: 'dFoot10', label: 'Δ на 10 см', unit: '°C' },
+];
+
+// Входы, влияющие на расчёт системы ('wet' | 'dry')
+export const sweepKeysFor = (system)=> Object.keys(SWEEP_INPUTS).filter(k => !SWEEP_INPUTS[k].system || SWEEP_INPUTS[k].system === system);
+
+// Значения развёртки: равномерно от from до to (steps точек) или все пресеты материала
+export function sweepValues(key, from, to, steps){
+  const def = SWEEP_INPUTS[key];
+  if (def.options) return def.options.map(o => o.id);
+  const n = Math.max(2, Math.round(steps));
+  return Array.from({ length: n }, (_, i)=> from + (to - from) * i / (n - 1));
+}
+
+// Подстановка значения входа; при смене подачи обратка сдвигается вместе с ней
+function withInput(P, key, value){
+  if (key === 'Ts') return { ...P, Ts: value, Tr: value - (P.Ts - P.Tr) };
+  return withStackInput(P, key, value);
+}
+
+// Последовательные расчёты: начальное поле — из предыдущего (игнорируется, если сетка другая)
+function makeRunner(onProgress, total){
+  let T0 = null, done = 0;
+  return (p)=> {
+    const r = solveFloor(p, { method: 'line', T0 });
+    T0 = r.field.T;
+    done++;
+    if (onProgress) onProgress(done / total);
+    return { metrics: r.metrics, converged: r.debug.converged };
+  };
+}
+
+/**
+ * Развёртка по входу a (и b — матрица a × b).
+ * @param {object} params
+ * @param {{ a: { key: string, values: Array }, b?: { key: string, values: Array } | null, onProgress?: (frac: number) => void }} opts
+ * @returns {{ a, b, base, cells: Array<{ i: number, j: number, va, vb, metrics, converged }> }}
+ */
+export function runSweep(params, { a, b = null, onProgress } = {}){
+  const P = resolveParams(params);
+  const nb = b ? b.values.length : 1;
+  const run = makeRunner(onProgress, a.values.length * nb + 1);
+  const base = run(P).metrics;
+  const cells = [];
+  a.values.forEach((va, i)=> {
+    for (let j=0; j<nb; j++){
+      const vb = b ? b.values[j] : null;
+      let p = withInput(P, a.key, va);
+      if (b) p = withInput(p, b.key, vb);
+      cells.push({ i, j, va, vb, ...run(resolveParams(p)) });
+    }
+  });
+  return { a, b, base, cells };
+}
+
+/**
+ * Чувствительность: каждый числовой вход отклоняется на ±delta от текущего значения (в пределах min…max),
+ * материал перебирается по всем пресетам. Размах метрики по прогонам входа — длина полосы «торнадо».
+ * @param {object} params
+ * @param {{ keys?: string[], onProgress?: (frac: number) => void }} [opts] — по умолчанию входы системы params.system
+ * @returns {{ base, items: Array<{ key, runs: Array<{ value, metrics }> }> }}
+ */
+export function sensitivity(params, { keys, onProgress } = {}){
+  const P = resolveParams(params);
+  const plan = (keys ?? sweepKeysFor(P.system)).map(key => {
+    const def = SWEEP_INPUTS[key];
+    if (def.options) return { key, values: def.options.map(o => o.id) };
+    const cur = P[key];
+    const lo = Math.max(def.min, cur - def.delta), hi = Math.min(def.max, cur + def.delta);
+    return { key, values: [lo, hi] };
+  });
+  const run = makeRunner(onProgress, 1 + plan.reduce((s, x)=> s + x.values.length, 0));
+  const base = run(P).metrics;
+  const items = plan.map(({ key, values }) => ({
+    key,
+    runs: values.map(value => ({ value, metrics: run(resolveParams(withInput(P, key, value))).metrics })),
+  }));
+  return { base, items };
+}
+
+// Полосы «торнадо» для метрики: отклонения min/max от базового значения, по убыванию размаха
+export function tornado(sens, metric){
+  const b = sens.base[metric];
+  return sens.items.map(it => {
+    const vals = it.runs.map(r => r.metrics[metric]);
+    const lo = Math.min(...vals) - b, hi = Math.max(...vals) - b;
+    return { key: it.key, label: SWEEP_INPUTS[it.key].label, low: Math.min(0, lo), high: Math.max(0, hi), span: hi - lo };
+  }).sort((x, y)=> y.span - x.span);
+}
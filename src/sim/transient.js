@@ -0,0 +1,167 @@
+import { buildModel, solveFloor, surfaceFluxes, pipeLink, wallBoundary } from "./solver.js";
+
+/**
+ * Нестационарный расчёт сечения: прогрев из холодного состояния или остывание после остановки насоса.
+ * Слои, сетка и трубы — те же, что у solveFloor (buildModel); добавляется теплоёмкость ρc из пресетов.
+ * Схема — неявный Эйлер, на каждом шаге линейный SOR по столбцам до сходимости.
+ */
+
+const RHO_C_WATER = 998 * 4180; // Дж/(м³·K)
+const K_WATER = 0.6; // неподвижная вода в трубе после остановки насоса, W/m·K
+
+/**
+ * @param {object} params — параметры как у solveFloor
+ * @param {{ mode?: 'heatup'|'cooldown', hours?: number, dt?: number, frames?: number, target?: number, nxPerPipe?: number, onProgress?: (frac: number) => void }} [opts]
+ *   mode: 'heatup' — в трубы с момента t=0 подаётся теплоноситель, исходное поле — равновесие без отопления;
+ *         'cooldown' — исходное поле стационарное, в t=0 насос останавливается и вода в трубах остывает вместе с полом.
+ *   target — целевая средняя температура поверхности, время её достижения возвращается в targetTime (ч).
+ * @returns {{ mode, hours, dt, target, targetTime, series, frames, base }}
+ */
+export function simulateTransient(params, opts = {}){
+  const mode = opts.mode === 'cooldown' ? 'cooldown' : 'heatup';
+  const hours = Math.max(0.1, opts.hours ?? 24);
+  const nxPerPipe = opts.nxPerPipe ?? 32;
+  const nFrames = Math.max(2, Math.round(opts.frames ?? 49));
+  const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+  const duration = hours * 3600;
+  const dt = Math.max(10, opts.dt ?? Math.min(300, Math.max(30, duration / 600)));
+  const nSteps = Math.max(1, Math.ceil(duration / dt));
+
+  // Стационарный режим: исходное поле для остывания и оверлеи/сетка для отрисовки кадров
+  const base = solveFloor(params, { nxPerPipe });
+  const M = buildModel(params, { nxPerPipe });
+  const { P, NX, NY, dx, dy, kNode, cNode, pipeMask, pipeLabel, wallRc, TpipeArr, hEff, twm, matPhi } = M;
+  const { Tair, belowT } = P;
+  const target = opts.target ?? 26;
+  const idx = (i,j)=> j*NX + i;
+
+  // Поузловые k и ρc модели (слои, пластины сухой системы). Трубы без циркуляции — неподвижная вода; при циркуляции узлы трубы
+  // фиксированы, и проводимость к ним, как в стационарной схеме, — по материалу слоя или через стенку
+  // и плёнку воды (pipeFilm). У остановленного насоса сопротивление стенки не учитывается
+  const kN = new Float64Array(NX*NY), cN = new Float64Array(NX*NY);
+  function setPipes(on){
+    for (let j=0; j<NY; j++){
+      for (let i=0; i<NX; i++){
+        const p = idx(i,j);
+        kN[p] = pipeMask[p] && !on ? K_WATER : kNode[p];
+        cN[p] = pipeMask[p] ? RHO_C_WATER : cNode[p];
+      }
+    }
+  }
+  const harm = (a, b)=> 2*a*b/(a+b);
+  const link = (on, k, q, d)=> on && wallRc && pipeMask[q] ? pipeLink(k, d, wallRc[pipeLabel[q]]) : harm(k, kN[q])/(d*d);
+
+  const la = new Float64Array(NY), lb = new Float64Array(NY), lc = new Float64Array(NY), ld = new Float64Array(NY);
+  const lx = new Float64Array(NY), lfix = new Uint8Array(NY);
+  // Один проход линейного SOR для шага dt (dt = Infinity — стационарная задача). Возвращает max |ΔT|
+  function sweep(T, Told, dt, pipesOn, omega){
+    let res = 0;
+    for (let i=1; i<NX-1; i++){
+      for (let j=0; j<NY; j++){
+        const p = idx(i,j);
+        la[j] = 0; lc[j] = 0; lfix[j] = 0;
+        if (j===NY-1){ lb[j] = 1; ld[j] = belowT; lfix[j] = 1; continue; }
+        if (pipesOn && pipeMask[p]){
+          const label = pipeLabel[p];
+          const Tpipe = (label >= 0) ? TpipeArr[Math.max(0, Math.min(TpipeArr.length-1, label))] : twm;
+          lb[j] = 1; lfix[j] = 1;
+          if (matPhi !== null){
+            const w = matPhi; const hGap = 0.026/0.001; const k = kNode[p];
+            const den = (k/dy) + hGap;
+            lc[j] = -(1-w)*(k/dy)/den; ld[j] = w*Tpipe + (1-w)*hGap*Tair/den;
+          } else {
+            ld[j] = Tpipe;
+          }
+          continue;
+        }
+        const k = kN[p];
+        if (j===0){
+          // Робин сверху (узел поверхности без теплоёмкости, как в стационарной схеме)
+          lb[j] = (k/dy) + hEff; lc[j] = -(k/dy); ld[j] = hEff*Tair;
+          continue;
+        }
+        const cap = Number.isFinite(dt) ? cN[p]/dt : 0;
+        const gL = link(pipesOn, k, p-1, dx), gR = link(pipesOn, k, p+1, dx);
+        const gU = link(pipesOn, k, p-NX, dy), gD = link(pipesOn, k, p+NX, dy);
+        la[j] = -gU; lc[j] = -gD;
+        lb[j] = cap + gL + gR + gU + gD;
+        ld[j] = cap*Told[p] + gL*T[p-1] + gR*T[p+1];
+      }
+      for (let j=1; j<NY; j++){
+        const m = la[j] / lb[j-1];
+        lb[j] -= m*lc[j-1]; ld[j] -= m*ld[j-1];
+      }
+      lx[NY-1] = ld[NY-1] / lb[NY-1];
+      for (let j=NY-2; j>=0; j--) lx[j] = (ld[j] - lc[j]*lx[j+1]) / lb[j];
+      for (let j=0; j<NY; j++){
+        const p = idx(i,j);
+        const old = T[p];
+        if (lfix[j]) { T[p] = lx[j]; continue; }
+        res = Math.max(res, Math.abs(lx[j] - old));
+        T[p] = old + omega*(lx[j] - old);
+      }
+    }
+    const leftT = wallBoundary(M, T);
+    for (let j=0; j<NY; j++){ T[idx(0,j)] = leftT(j); T[idx(NX-1,j)] = T[idx(NX-2,j)]; }
+    return res;
+  }
+  function relax(T, Told, dt, pipesOn, tol, maxSweeps, omega){
+    for (let s=0; s<maxSweeps; s++){
+      if (sweep(T, Told, dt, pipesOn, omega) < tol) return true;
+    }
+    return false;
+  }
+
+  // Исходное поле
+  const T = new Float64Array(NX*NY);
+  if (mode === 'cooldown') T.set(base.field.T);
+  else {
+    // Равновесие без отопления: трубы — неподвижная вода, стационарная задача
+    setPipes(false);
+    T.set(M.T);
+    relax(T, T, Infinity, false, 1e-5, 8000, 1.9);
+  }
+  const pipesOn = mode === 'heatup';
+  setPipes(pipesOn);
+
+  const pipeTempsOf = (T)=> {
+    if (pipesOn) return Array.from(TpipeArr);
+    const sum = new Float64Array(TpipeArr.length), cnt = new Float64Array(TpipeArr.length);
+    for (let p=0; p<T.length; p++){ const l = pipeLabel[p]; if (l >= 0){ sum[l] += T[p]; cnt[l]++; } }
+    return Array.from(sum, (s, l)=> cnt[l] ? s/cnt[l] : TpipeArr[l]);
+  };
+  const sample = (t)=> {
+    const f = surfaceFluxes(M, T);
+    let sum = 0, max = -Infinity;
+    for (let i=0; i<NX; i++){ sum += f.surfaceT[i]; max = Math.max(max, f.surfaceT[i]); }
+    return { t: t/3600, Tavg: sum/NX, Tmax: max, qUp: f.qUpMean, qDown: f.qDownMean };
+  };
+
+  const series = [sample(0)];
+  const frames = [{ t: 0, T: Float32Array.from(T), pipeTemps: pipeTempsOf(T) }];
+  const frameEvery = nSteps / (nFrames - 1);
+  let nextFrame = frameEvery;
+  const Told = new Float64Array(NX*NY);
+  for (let n=1; n<=nSteps; n++){
+    Told.set(T);
+    relax(T, Told, dt, pipesOn, 1e-4, 300, 1.6);
+    series.push(sample(n*dt));
+    if (n + 1e-9 >= nextFrame || n === nSteps){
+      frames.push({ t: n*dt/3600, T: Float32Array.from(T), pipeTemps: pipeTempsOf(T) });
+      nextFrame += frameEvery;
+    }
+    if (onProgress && n % 10 === 0) onProgress(n / nSteps);
+  }
+  if (onProgress) onProgress(1);
+
+  // Время достижения целевой средней температуры поверхности (линейная интерполяция)
+  let targetTime = null;
+  for (let n=1; n<series.length; n++){
+    const a = series[n-1], b = series[n];
+    const crossed = mode === 'heatup' ? (a.Tavg < target && b.Tavg >= target) : (a.Tavg > target && b.Tavg <= target);
+    if (crossed){ targetTime = a.t + (b.t - a.t) * (target - a.Tavg) / (b.Tavg - a.Tavg); break; }
+  }
+  if (targetTime === null && (mode === 'heatup' ? series[0].Tavg >= target : series[0].Tavg <= target)) targetTime = 0;
+
+  return { mode, hours, dt, target, targetTime, series, frames, base };
+}